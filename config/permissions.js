@@ -0,0 +1,66 @@
+// Admin permissions and the admin roles that group them. Every account with
+// the "admin" role has one adminRole; routes check permissions, not roles.
+
+export const PERMISSIONS = {
+  "dashboard.view": "View the admin dashboard",
+  "analytics.view": "View platform analytics and earnings",
+  "users.view": "List users and view their details and sign-in history",
+  "users.approve": "Approve vendor and waiter accounts",
+  "users.deactivate": "Deactivate and reactivate accounts",
+  "users.unlock": "Clear sign-in lockouts",
+  "users.delete": "Delete accounts",
+  "ratings.moderate": "View and remove any rating",
+  "reference.edit": "Manage categories, expertise and event types",
+  "payments.view": "View payments on any order",
+  "payments.refund": "Retry failed refunds on cancelled orders",
+  "payouts.manage": "Manage waiter payouts for any vendor",
+  "settlements.view": "View vendor settlement statements",
+  "settlements.manage": "Generate settlements and mark them paid",
+  "roles.manage": "Assign admin roles",
+  "audit.view": "View and export the audit log of admin actions",
+};
+
+export const ADMIN_ROLES = {
+  superadmin: {
+    description: "Full access, including assigning admin roles",
+    permissions: Object.keys(PERMISSIONS),
+  },
+  support: {
+    description: "Account approvals and support",
+    permissions: [
+      "dashboard.view",
+      "users.view",
+      "users.approve",
+      "users.deactivate",
+      "users.unlock",
+    ],
+  },
+  moderator: {
+    description: "Ratings and reference data",
+    permissions: [
+      "dashboard.view",
+      "users.view",
+      "ratings.moderate",
+      "reference.edit",
+    ],
+  },
+  finance: {
+    description: "Payments, payouts and settlements",
+    permissions: [
+      "dashboard.view",
+      "analytics.view",
+      "payments.view",
+      "payments.refund",
+      "payouts.manage",
+      "settlements.view",
+      "settlements.manage",
+    ],
+  },
+};
+
+// Admins created before admin roles existed keep full access
+export const DEFAULT_ADMIN_ROLE = "superadmin";
+
+// Permissions granted by an admin role
+export const getRolePermissions = (adminRole) =>
+  ADMIN_ROLES[adminRole || DEFAULT_ADMIN_ROLE]?.permissions || [];
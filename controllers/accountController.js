@@ -0,0 +1,199 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job } from "../models/Booking.js";
+import Rating from "../models/Rating.js";
+import Payment from "../models/Payment.js";
+import { Earning } from "../models/Payout.js";
+import { sendAccountDeletionEmail } from "../utils/emailService.js";
+import { createZip } from "../utils/zip.js";
+
+// Pull the messages out of orders and jobs, one entry per conversation
+const collectMessages = (type, docs, titleField) =>
+  docs
+    .filter((doc) => doc.messages?.length)
+    .map((doc) => ({
+      type,
+      id: doc._id,
+      title: doc[titleField],
+      messages: doc.messages,
+    }));
+
+// Remove embedded messages, which are exported separately
+const withoutMessages = (docs) => docs.map(({ messages, ...doc }) => doc);
+
+// Gather everything stored about a user, grouped by section
+const collectUserData = async (userId) => {
+  const user = await User.findById(userId).select("+loginHistory").lean();
+
+  const vendor = await Vendor.findOne({ user: userId }).lean();
+  const waiter = await Waiter.findOne({ user: userId }).lean();
+
+  // Orders the user placed, or received as a vendor
+  const orderMatch = [{ user: userId }];
+  const jobMatch = [];
+  const ratingMatch = [];
+  if (vendor) {
+    orderMatch.push({ vendor: vendor._id });
+    jobMatch.push({ vendor: vendor._id });
+    ratingMatch.push({ vendor: vendor._id });
+  }
+  if (waiter) {
+    jobMatch.push({ waiter: waiter._id });
+    ratingMatch.push({ waiter: waiter._id });
+  }
+
+  const orders = await Order.find({ $or: orderMatch })
+    .sort({ createdAt: 1 })
+    .lean();
+  const jobs = jobMatch.length
+    ? await Job.find({ $or: jobMatch }).sort({ createdAt: 1 }).lean()
+    : [];
+
+  // Hashed tokens are internal and are left out
+  const {
+    loginHistory,
+    resetPasswordToken,
+    resetPasswordExpire,
+    emailVerificationToken,
+    emailVerificationExpire,
+    ...profile
+  } = user;
+
+  return {
+    profile,
+    vendorProfile: vendor,
+    waiterProfile: waiter,
+    orders: withoutMessages(orders),
+    jobs: withoutMessages(jobs),
+    ratings: {
+      given: await Rating.find({ reviewer: userId }).lean(),
+      received: ratingMatch.length
+        ? await Rating.find({ $or: ratingMatch }).lean()
+        : [],
+    },
+    messages: [
+      ...collectMessages("order", orders, "eventTitle"),
+      ...collectMessages("job", jobs, "position"),
+    ],
+    payments: await Payment.find({ user: userId }).lean(),
+    earnings: waiter ? await Earning.find({ waiter: waiter._id }).lean() : [],
+    loginHistory: (loginHistory || []).map(({ deviceId, ...entry }) => entry),
+  };
+};
+
+// @desc    Download a copy of the user's personal data (JSON or ZIP)
+// @route   GET /api/auth/export
+// @access  Private
+export const exportMyData = asyncHandler(async (req, res, next) => {
+  const data = await collectUserData(req.user._id);
+  const exportedAt = new Date();
+  const fileName = `plenty-events-data-${exportedAt
+    .toISOString()
+    .slice(0, 10)}`;
+
+  // One JSON file per section; the archive's file times record the export
+  if (req.query.format === "zip") {
+    const files = Object.entries(data).map(([section, value]) => ({
+      name: `${section}.json`,
+      content: JSON.stringify(value, null, 2),
+    }));
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="${fileName}.zip"`
+    );
+    return res.status(200).send(createZip(files, exportedAt));
+  }
+
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.json"`
+  );
+  res.status(200).json({
+    success: true,
+    data: { exportedAt, ...data },
+  });
+});
+
+// @desc    Schedule the account for deletion after the grace period
+// @route   POST /api/auth/delete-account
+// @access  Private
+export const requestAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select("+password");
+
+  if (!(await user.matchPassword(req.body.password))) {
+    return next(new ErrorResponse("Password is incorrect", 401));
+  }
+
+  if (user.role === "admin") {
+    return next(
+      new ErrorResponse("Admin accounts can't be deleted this way", 403)
+    );
+  }
+
+  if (user.deletionScheduledFor) {
+    return next(
+      new ErrorResponse("Account deletion has already been requested", 400)
+    );
+  }
+
+  // Bookings and jobs in progress need the account until they are finished
+  if (await user.hasOpenWork()) {
+    return next(
+      new ErrorResponse(
+        "Please complete or cancel your open orders and jobs before deleting your account",
+        400
+      )
+    );
+  }
+
+  const scheduledFor = user.requestDeletion();
+  await user.save({ validateBeforeSave: false });
+
+  // Confirm the request by email (don't fail the request if email fails)
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      await sendAccountDeletionEmail(user, scheduledFor);
+      console.log("✅ Account deletion email sent successfully");
+    } catch (error) {
+      console.error("❌ Failed to send account deletion email:", error.message);
+    }
+  } else {
+    console.log(
+      "⚠️ Email credentials not configured, skipping account deletion email"
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Your account will be deleted at the end of the grace period",
+    data: {
+      deletionRequestedAt: user.deletionRequestedAt,
+      deletionScheduledFor: user.deletionScheduledFor,
+    },
+  });
+});
+
+// @desc    Cancel a pending account deletion
+// @route   DELETE /api/auth/delete-account
+// @access  Private
+export const cancelAccountDeletion = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id);
+
+  if (!user.deletionScheduledFor) {
+    return next(
+      new ErrorResponse("Account deletion has not been requested", 400)
+    );
+  }
+
+  user.cancelDeletion();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Account deletion cancelled",
+  });
+});
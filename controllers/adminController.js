@@ -4,7 +4,14 @@ import Vendor from "../models/Vendor.js";
 import Waiter from "../models/Waiter.js";
 import { Order, Job } from "../models/Booking.js";
 import Rating from "../models/Rating.js";
+import Payment, {
+  RETAINED_PAYMENT_STATUSES,
+  KEPT_AMOUNT,
+} from "../models/Payment.js";
+import Session from "../models/Session.js";
+import AuditLog from "../models/AuditLog.js";
 import { sendAccountApprovalEmail } from "../utils/emailService.js";
+import { PERMISSIONS, ADMIN_ROLES } from "../config/permissions.js";
 
 // @desc    Get dashboard statistics
 // @route   GET /api/admin/dashboard
@@ -121,7 +128,7 @@ export const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
     { $sort: { "_id.year": 1, "_id.month": 1 } },
   ]);
 
-  // Monthly bookings and revenue
+  // Monthly bookings
   const monthlyBookings = await Order.aggregate([
     {
       $match: {
@@ -135,7 +142,6 @@ export const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
           month: { $month: "$createdAt" },
         },
         bookings: { $sum: 1 },
-        revenue: { $sum: "$quotedPrice" },
         completed: {
           $sum: { $cond: [{ $eq: ["$status", "completed"] }, 1, 0] },
         },
@@ -144,11 +150,46 @@ export const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
     { $sort: { "_id.year": 1, "_id.month": 1 } },
   ]);
 
+  // Monthly payments received (less refunds) and the platform's commission
+  // on them
+  const monthlyEarnings = await Payment.aggregate([
+    {
+      $match: {
+        status: { $in: RETAINED_PAYMENT_STATUSES },
+        paidAt: { $gte: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          year: { $year: "$paidAt" },
+          month: { $month: "$paidAt" },
+        },
+        grossPayments: { $sum: KEPT_AMOUNT },
+        platformEarnings: { $sum: "$platformFee" },
+        vendorEarnings: { $sum: "$vendorNet" },
+      },
+    },
+    { $sort: { "_id.year": 1, "_id.month": 1 } },
+  ]);
+
   // Platform usage statistics
   const platformStats = {
-    totalRevenue: await Order.aggregate([
-      { $match: { status: "completed" } },
-      { $group: { _id: null, total: { $sum: "$quotedPrice" } } },
+    earnings: await Payment.aggregate([
+      { $match: { status: { $in: RETAINED_PAYMENT_STATUSES } } },
+      {
+        $group: {
+          _id: null,
+          grossPayments: { $sum: KEPT_AMOUNT },
+          platformEarnings: { $sum: "$platformFee" },
+          vendorEarnings: { $sum: "$vendorNet" },
+          unsettled: {
+            $sum: {
+              $cond: [{ $ifNull: ["$settlement", false] }, 0, "$vendorNet"],
+            },
+          },
+        },
+      },
     ]),
     totalJobs: await Job.countDocuments(),
     totalRatings: await Rating.countDocuments(),
@@ -162,8 +203,13 @@ export const getPlatformAnalytics = asyncHandler(async (req, res, next) => {
     data: {
       monthlyRegistrations,
       monthlyBookings,
+      monthlyEarnings,
       platformStats: {
-        totalRevenue: platformStats.totalRevenue[0]?.total || 0,
+        // Gross is what customers paid; platform earnings are the commission
+        grossPayments: platformStats.earnings[0]?.grossPayments || 0,
+        platformEarnings: platformStats.earnings[0]?.platformEarnings || 0,
+        vendorEarnings: platformStats.earnings[0]?.vendorEarnings || 0,
+        unsettledVendorEarnings: platformStats.earnings[0]?.unsettled || 0,
         totalJobs: platformStats.totalJobs,
         totalRatings: platformStats.totalRatings,
         averagePlatformRating:
@@ -204,6 +250,12 @@ export const getAllUsers = asyncHandler(async (req, res, next) => {
       case "approved":
         query.isApproved = true;
         break;
+      case "locked":
+        query.lockUntil = { $gt: new Date() };
+        break;
+      case "deleted":
+        query.deletedAt = { $ne: null };
+        break;
     }
   }
 
@@ -412,7 +464,10 @@ export const getAllWaiters = asyncHandler(async (req, res, next) => {
 // @route   GET /api/admin/users/:id
 // @access  Private (Admin only)
 export const getUserById = asyncHandler(async (req, res, next) => {
-  const user = await User.findById(req.params.id).select("-password");
+  // Deleted accounts can still be looked up, e.g. before restoring them
+  const user = await User.findById(req.params.id)
+    .withDeleted()
+    .select("-password");
 
   if (!user) {
     return next(new ErrorResponse("User not found", 404));
@@ -421,9 +476,13 @@ export const getUserById = asyncHandler(async (req, res, next) => {
   // Get role-specific profile
   let profile = null;
   if (user.role === "vendor") {
-    profile = await Vendor.findOne({ user: user._id }).populate("categories");
+    profile = await Vendor.findOne({ user: user._id })
+      .withDeleted()
+      .populate("categories");
   } else if (user.role === "waiter") {
-    profile = await Waiter.findOne({ user: user._id }).populate("expertise");
+    profile = await Waiter.findOne({ user: user._id })
+      .withDeleted()
+      .populate("expertise");
   }
 
   // Get user's activity stats
@@ -482,9 +541,12 @@ export const approveUser = asyncHandler(async (req, res, next) => {
   }
 
   // Approve user
+  const before = user.$clone();
   user.isApproved = true;
   await user.save();
 
+  await AuditLog.record(req, "user.approve", user, { before, after: user });
+
   // Send approval email (don't fail approval if email fails)
   if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
     try {
@@ -515,10 +577,24 @@ export const deactivateUser = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("User not found", 404));
   }
 
+  if (user.role === "admin" && !req.user.hasPermission("roles.manage")) {
+    return next(
+      new ErrorResponse("Only superadmins can deactivate admin accounts", 403)
+    );
+  }
+
   // Toggle active status
+  const before = user.$clone();
   user.isActive = !user.isActive;
   await user.save();
 
+  await AuditLog.record(
+    req,
+    user.isActive ? "user.activate" : "user.deactivate",
+    user,
+    { before, after: user }
+  );
+
   res.status(200).json({
     success: true,
     message: `User ${user.isActive ? "activated" : "deactivated"} successfully`,
@@ -526,7 +602,54 @@ export const deactivateUser = asyncHandler(async (req, res, next) => {
   });
 });
 
-// @desc    Delete user account
+// @desc    Get a user's recent sign-in attempts
+// @route   GET /api/admin/users/:id/login-history
+// @access  Private (Admin only)
+export const getUserLoginHistory = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).select("+loginHistory");
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  const history = [...(user.loginHistory || [])].reverse();
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    data: {
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: user.isLocked() ? user.lockUntil : null,
+      lockCount: user.lockCount,
+      history,
+    },
+  });
+});
+
+// @desc    Clear a user's sign-in lockout and failed attempts
+// @route   PUT /api/admin/users/:id/unlock
+// @access  Private (Admin only)
+export const unlockUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  const before = user.$clone();
+  user.clearLockout();
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, "user.unlock", user, { before, after: user });
+
+  res.status(200).json({
+    success: true,
+    message: "User unlocked successfully",
+    data: user,
+  });
+});
+
+// @desc    Delete user account (restorable until the retention period ends)
 // @route   DELETE /api/admin/users/:id
 // @access  Private (Admin only)
 export const deleteUser = asyncHandler(async (req, res, next) => {
@@ -541,35 +664,185 @@ export const deleteUser = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Cannot delete admin users", 403));
   }
 
-  // Delete related profiles and data
+  // Orders, jobs and ratings are kept so the other parties still have their
+  // booking history; only the account and its profile are hidden
   if (user.role === "vendor") {
     const vendor = await Vendor.findOne({ user: user._id });
     if (vendor) {
-      // Delete related orders and jobs
-      await Order.deleteMany({ vendor: vendor._id });
-      await Job.deleteMany({ vendor: vendor._id });
-      await Rating.deleteMany({ vendor: vendor._id });
-      await Vendor.findByIdAndDelete(vendor._id);
+      await vendor.softDelete(req.user._id);
     }
   } else if (user.role === "waiter") {
     const waiter = await Waiter.findOne({ user: user._id });
     if (waiter) {
-      // Delete related jobs and ratings
-      await Job.deleteMany({ waiter: waiter._id });
-      await Rating.deleteMany({ waiter: waiter._id });
-      await Waiter.findByIdAndDelete(waiter._id);
+      await waiter.softDelete(req.user._id);
     }
-  } else if (user.role === "user") {
-    // Delete user's orders and ratings
-    await Order.deleteMany({ user: user._id });
-    await Rating.deleteMany({ reviewer: user._id });
   }
 
-  // Delete the user
-  await User.findByIdAndDelete(user._id);
+  const before = user.$clone();
+  await user.softDelete(req.user._id);
+
+  // Sign the user out everywhere
+  await Session.revokeAll(user._id, "account-deleted");
+
+  await AuditLog.record(req, "user.delete", user, { before, after: user });
 
   res.status(200).json({
     success: true,
     message: "User deleted successfully",
+    data: {
+      deletedAt: user.deletedAt,
+      restorableUntil: user.getRestoreDeadline(),
+    },
+  });
+});
+
+// @desc    Restore a deleted user account
+// @route   PUT /api/admin/users/:id/restore
+// @access  Private (Admin only)
+export const restoreUser = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.params.id).onlyDeleted();
+
+  if (!user) {
+    return next(new ErrorResponse("Deleted user not found", 404));
+  }
+
+  if (user.anonymizedAt || user.getRestoreDeadline() < Date.now()) {
+    return next(
+      new ErrorResponse(
+        "This account is past its retention period and can't be restored",
+        400
+      )
+    );
+  }
+
+  if (user.role === "vendor") {
+    const vendor = await Vendor.findOne({ user: user._id }).onlyDeleted();
+    if (vendor) {
+      await vendor.restore();
+    }
+  } else if (user.role === "waiter") {
+    const waiter = await Waiter.findOne({ user: user._id }).onlyDeleted();
+    if (waiter) {
+      await waiter.restore();
+    }
+  }
+
+  const before = user.$clone();
+  await user.restore();
+
+  await AuditLog.record(req, "user.restore", user, { before, after: user });
+
+  res.status(200).json({
+    success: true,
+    message: "User restored successfully",
+    data: user,
+  });
+});
+
+// @desc    List admin roles and the permissions they grant
+// @route   GET /api/admin/roles
+// @access  Private (Superadmin)
+export const getAdminRoles = asyncHandler(async (req, res, next) => {
+  const roles = Object.entries(ADMIN_ROLES).map(([name, role]) => ({
+    name,
+    description: role.description,
+    permissions: role.permissions,
+  }));
+
+  res.status(200).json({
+    success: true,
+    data: {
+      roles,
+      permissions: PERMISSIONS,
+    },
+  });
+});
+
+// @desc    Make a user an admin or change an admin's role
+// @route   PUT /api/admin/users/:id/admin-role
+// @access  Private (Superadmin)
+export const assignAdminRole = asyncHandler(async (req, res, next) => {
+  const { adminRole } = req.body;
+
+  // Roles are only managed by superadmins, so refusing changes to their own
+  // account also means there is always at least one superadmin left
+  if (req.params.id === req.user.id) {
+    return next(
+      new ErrorResponse("You cannot change your own admin role", 400)
+    );
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  // Vendor and waiter accounts keep their profiles, so they can't become admins
+  if (user.role !== "user" && user.role !== "admin") {
+    return next(
+      new ErrorResponse(`A ${user.role} account cannot be made an admin`, 400)
+    );
+  }
+
+  const isPromotion = user.role !== "admin";
+  const before = user.$clone();
+
+  user.role = "admin";
+  user.adminRole = adminRole;
+  user.isApproved = true;
+  await user.save({ validateBeforeSave: false });
+
+  // New admins must sign in again so two-factor authentication is enforced
+  if (isPromotion) {
+    await Session.revokeAll(user._id, "revoked");
+  }
+
+  await AuditLog.record(req, "admin-role.assign", user, {
+    before,
+    after: user,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: `User is now a ${adminRole} admin`,
+    data: user,
+  });
+});
+
+// @desc    Remove a user's admin access
+// @route   DELETE /api/admin/users/:id/admin-role
+// @access  Private (Superadmin)
+export const removeAdminRole = asyncHandler(async (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next(
+      new ErrorResponse("You cannot remove your own admin role", 400)
+    );
+  }
+
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    return next(new ErrorResponse("User not found", 404));
+  }
+
+  if (user.role !== "admin") {
+    return next(new ErrorResponse("User is not an admin", 400));
+  }
+
+  const before = user.$clone();
+  user.role = "user";
+  user.adminRole = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  await AuditLog.record(req, "admin-role.remove", user, {
+    before,
+    after: user,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Admin access removed successfully",
+    data: user,
   });
 });
@@ -0,0 +1,126 @@
+import { asyncHandler } from "../middleware/errorHandler.js";
+import AuditLog from "../models/AuditLog.js";
+import { toCsv } from "../utils/csv.js";
+import { startOfDay, addDays } from "../utils/schedule.js";
+
+// Most entries a single export returns; narrow the filters for more
+const EXPORT_LIMIT = 10000;
+
+// Build the audit log query from the request filters. `to` is inclusive.
+const buildAuditQuery = (req) => {
+  const query = {};
+
+  if (req.query.actor) {
+    query.actor = req.query.actor;
+  }
+
+  if (req.query.target) {
+    query.target = req.query.target;
+  }
+
+  if (req.query.targetType) {
+    query.targetType = req.query.targetType;
+  }
+
+  if (req.query.action) {
+    query.action = req.query.action;
+  }
+
+  if (req.query.from || req.query.to) {
+    query.createdAt = {};
+    if (req.query.from) {
+      query.createdAt.$gte = startOfDay(req.query.from);
+    }
+    if (req.query.to) {
+      query.createdAt.$lt = addDays(startOfDay(req.query.to), 1);
+    }
+  }
+
+  return query;
+};
+
+// @desc    Get audit log entries, or export them as CSV
+// @route   GET /api/admin/audit
+// @access  Private (Admin only)
+export const getAuditLogs = asyncHandler(async (req, res, next) => {
+  const query = buildAuditQuery(req);
+  const actor = {
+    path: "actor",
+    select: "firstName lastName email",
+  };
+
+  if (req.query.format === "csv") {
+    const entries = await AuditLog.find(query)
+      .populate(actor)
+      .sort({ createdAt: -1 })
+      .limit(EXPORT_LIMIT)
+      .lean();
+
+    const csv = toCsv([
+      [
+        "Time",
+        "Actor",
+        "Actor Email",
+        "Admin Role",
+        "Action",
+        "Target Type",
+        "Target",
+        "Before",
+        "After",
+        "IP",
+        "User Agent",
+      ],
+      ...entries.map((entry) => [
+        entry.createdAt,
+        entry.actor && `${entry.actor.firstName} ${entry.actor.lastName}`,
+        entry.actor?.email,
+        entry.actorRole,
+        entry.action,
+        entry.targetType,
+        entry.target,
+        entry.changes?.before && JSON.stringify(entry.changes.before),
+        entry.changes?.after && JSON.stringify(entry.changes.after),
+        entry.ip,
+        entry.userAgent,
+      ]),
+    ]);
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="audit-log-${new Date()
+        .toISOString()
+        .slice(0, 10)}.csv"`
+    );
+    return res.status(200).send(csv);
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 50;
+  const startIndex = (page - 1) * limit;
+
+  const entries = await AuditLog.find(query)
+    .populate(actor)
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await AuditLog.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination,
+    data: entries,
+  });
+});
@@ -1,12 +1,38 @@
 import crypto from "crypto";
+import jwt from "jsonwebtoken";
 import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
-import User from "../models/User.js";
+import User, {
+  PHONE_CODE_MINUTES,
+  MAX_PHONE_CODE_ATTEMPTS,
+} from "../models/User.js";
 import Vendor from "../models/Vendor.js";
 import Waiter from "../models/Waiter.js";
+import Session from "../models/Session.js";
+import VendorMember from "../models/VendorMember.js";
 import {
   sendWelcomeEmail,
   sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendNewDeviceLoginEmail,
 } from "../utils/emailService.js";
+import { getRequestDevice } from "../utils/device.js";
+import { generateSecret, getOtpAuthUrl } from "../utils/totp.js";
+import { isSmsConfigured, sendSms } from "../utils/smsService.js";
+import { maskPhone } from "../utils/phone.js";
+import {
+  DEFAULT_ADMIN_ROLE,
+  getRolePermissions,
+} from "../config/permissions.js";
+
+const VERIFICATION_TOKEN_LIFETIME = 24 * 60 * 60 * 1000; // matches User model
+const VERIFICATION_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+const PHONE_CODE_RESEND_COOLDOWN = 60 * 1000; // 1 minute
+
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+// The device cookie lets sign-ins recognise a browser that signed in before
+const DEVICE_COOKIE_LIFETIME = 365 * 24 * 60 * 60 * 1000; // 1 year
 
 // Register user
 export const register = asyncHandler(async (req, res, next) => {
@@ -26,10 +52,10 @@ export const register = asyncHandler(async (req, res, next) => {
     address,
   } = req.body;
 
-  // Check if user already exists
+  // Check if user already exists (deleted accounts still hold their details)
   const existingUser = await User.findOne({
     $or: [{ email }, { phone }],
-  });
+  }).withDeleted();
 
   if (existingUser) {
     if (existingUser.email === email) {
@@ -88,40 +114,13 @@ export const register = asyncHandler(async (req, res, next) => {
     console.log("⚠️ Email credentials not configured, skipping welcome email");
   }
 
-  // Generate token
-  const token = user.getSignedJwtToken();
+  // Remember the device so signing in from it later is not reported as new
+  await recordSignIn(user, req, res, "register");
 
-  const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+  // Send email verification link
+  await issueEmailVerification(user);
 
-  if (process.env.NODE_ENV === "production") {
-    options.secure = true;
-  }
-
-  res
-    .status(201)
-    .cookie("token", token, options)
-    .json({
-      success: true,
-      message: "Registration successful",
-      token,
-      data: {
-        user: {
-          id: user._id,
-          firstName: user.firstName,
-          lastName: user.lastName,
-          email: user.email,
-          phone: user.phone,
-          role: user.role,
-          isApproved: user.isApproved,
-          isEmailVerified: user.isEmailVerified,
-        },
-      },
-    });
+  await startSession(user, 201, req, res, "Registration successful");
 });
 
 // Login user
@@ -129,16 +128,25 @@ export const login = asyncHandler(async (req, res, next) => {
   const { email, password } = req.body;
 
   // Find user with password field
-  const user = await User.findOne({ email }).select("+password");
+  const user = await User.findOne({ email }).select("+password +loginHistory");
 
   if (!user) {
     return next(new ErrorResponse("Invalid credentials", 401));
   }
 
+  // Locked accounts are refused before the password is checked
+  if (user.isLocked()) {
+    return next(getLockoutError(user));
+  }
+
   // Check if password matches
   const isMatch = await user.matchPassword(password);
 
   if (!isMatch) {
+    await user.recordFailedLogin(getRequestDevice(req), "invalid-password");
+    if (user.isLocked()) {
+      return next(getLockoutError(user));
+    }
     return next(new ErrorResponse("Invalid credentials", 401));
   }
 
@@ -147,19 +155,70 @@ export const login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Account has been deactivated", 401));
   }
 
-  // Update last login
-  user.lastLogin = Date.now();
+  // Accounts with two-factor authentication finish signing in with a code
+  if (user.requiresTwoFactor()) {
+    return sendTwoFactorChallenge(user, res);
+  }
+
+  await recordSignIn(user, req, res);
+
+  await startSession(user, 200, req, res, "Login successful");
+});
+
+// Complete login with a two-factor code. Admins still enrolling confirm
+// their authenticator here, which turns two-factor authentication on.
+export const loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await getChallengeUser(req.body.challengeToken);
+  const enrolling = !user.twoFactorEnabled;
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    await user.recordFailedLogin(getRequestDevice(req), "invalid-2fa-code");
+    if (user.isLocked()) {
+      return next(getLockoutError(user));
+    }
+    return next(new ErrorResponse("Invalid two-factor code", 401));
+  }
+
+  let backupCodes;
+  if (enrolling) {
+    user.twoFactorEnabled = true;
+    user.twoFactorEnabledAt = Date.now();
+    backupCodes = user.generateTwoFactorBackupCodes();
+  }
+
   await user.save({ validateBeforeSave: false });
+  await recordSignIn(user, req, res);
 
-  sendTokenResponse(user, 200, res, "Login successful");
+  await startSession(
+    user,
+    200,
+    req,
+    res,
+    "Login successful",
+    backupCodes && { backupCodes }
+  );
 });
 
-// Logout user
+// Start two-factor setup during login (admins that have not enrolled yet)
+export const loginTwoFactorSetup = asyncHandler(async (req, res, next) => {
+  const user = await getChallengeUser(req.body.challengeToken);
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  await sendTwoFactorSetup(user, res);
+});
+
+// Logout user (ends the current session)
 export const logout = asyncHandler(async (req, res, next) => {
-  res.cookie("token", "none", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+  req.authSession.revokedAt = Date.now();
+  req.authSession.revokedReason = "logout";
+  await req.authSession.save();
+
+  clearAuthCookies(res);
 
   res.status(200).json({
     success: true,
@@ -168,6 +227,138 @@ export const logout = asyncHandler(async (req, res, next) => {
   });
 });
 
+// Exchange a refresh token for new access and refresh tokens
+export const refreshToken = asyncHandler(async (req, res, next) => {
+  const token = req.cookies?.refreshToken || req.body.refreshToken;
+
+  if (!token) {
+    return next(new ErrorResponse("Refresh token is required", 401));
+  }
+
+  const result = await Session.rotate(token);
+
+  if (!result) {
+    clearAuthCookies(res);
+    return next(new ErrorResponse("Invalid or expired refresh token", 401));
+  }
+
+  const user = await User.findById(result.session.user);
+
+  if (!user || !user.isActive) {
+    await Session.revokeAll(result.session.user, "revoked");
+    clearAuthCookies(res);
+    return next(new ErrorResponse("User account is deactivated", 401));
+  }
+
+  // Admin sessions from before two-factor authentication was set up end here
+  if (user.requiresTwoFactor() && !user.twoFactorEnabled) {
+    await Session.revokeAll(user._id, "revoked");
+    clearAuthCookies(res);
+    return next(
+      new ErrorResponse(
+        "Two-factor authentication is required, please log in again",
+        401
+      )
+    );
+  }
+
+  sendTokenResponse(
+    user,
+    result.session,
+    result.refreshToken,
+    200,
+    req,
+    res,
+    "Token refreshed"
+  );
+});
+
+// Get my active sessions
+export const getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await Session.find({
+    user: req.user._id,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      id: session._id,
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.equals(req.authSession._id),
+    })),
+  });
+});
+
+// Revoke one of my sessions
+export const revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await Session.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!session) {
+    return next(new ErrorResponse("Session not found", 404));
+  }
+
+  session.revokedAt = Date.now();
+  session.revokedReason = "revoked";
+  await session.save();
+
+  if (session._id.equals(req.authSession._id)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Session revoked",
+    data: {},
+  });
+});
+
+// Revoke all of my sessions, or all but the current one with ?keepCurrent=true
+export const revokeAllSessions = asyncHandler(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  const result = await Session.revokeAll(
+    req.user._id,
+    "logout-all",
+    keepCurrent ? req.authSession._id : undefined
+  );
+
+  if (!keepCurrent) {
+    clearAuthCookies(res);
+  }
+
+  res.status(200).json({
+    success: true,
+    message: keepCurrent
+      ? "Signed out of all other sessions"
+      : "Signed out of all sessions",
+    data: { revoked: result.modifiedCount },
+  });
+});
+
+// Get my recent sign-in attempts
+export const getLoginHistory = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select("+loginHistory");
+  const history = [...(user.loginHistory || [])].reverse();
+
+  res.status(200).json({
+    success: true,
+    count: history.length,
+    data: history,
+  });
+});
+
 // Get current logged in user
 export const getMe = asyncHandler(async (req, res, next) => {
   let userData = {
@@ -189,6 +380,9 @@ export const getMe = asyncHandler(async (req, res, next) => {
     isActive: req.user.isActive,
     isApproved: req.user.isApproved,
     isEmailVerified: req.user.isEmailVerified,
+    isPhoneVerified: req.user.isPhoneVerified,
+    twoFactorEnabled: req.user.twoFactorEnabled,
+    deletionScheduledFor: req.user.deletionScheduledFor,
     lastLogin: req.user.lastLogin,
     createdAt: req.user.createdAt,
   };
@@ -198,12 +392,27 @@ export const getMe = asyncHandler(async (req, res, next) => {
     const vendorProfile = await Vendor.findOne({ user: req.user._id });
     if (vendorProfile) {
       userData.vendorProfile = vendorProfile;
+    } else {
+      // Team members act for another vendor
+      const acting = await VendorMember.findActingVendor(req.user._id);
+      if (acting) {
+        userData.vendorTeam = {
+          vendor: {
+            _id: acting.vendor._id,
+            businessName: acting.vendor.businessName,
+          },
+          role: acting.role,
+        };
+      }
     }
   } else if (req.user.role === "waiter") {
     const waiterProfile = await Waiter.findOne({ user: req.user._id });
     if (waiterProfile) {
       userData.waiterProfile = waiterProfile;
     }
+  } else if (req.user.role === "admin") {
+    userData.adminRole = req.user.adminRole || DEFAULT_ADMIN_ROLE;
+    userData.permissions = getRolePermissions(req.user.adminRole);
   }
 
   res.status(200).json({
@@ -239,11 +448,19 @@ export const updateProfile = asyncHandler(async (req, res, next) => {
     const existingUser = await User.findOne({
       phone: req.body.phone,
       _id: { $ne: req.user._id },
-    });
+    }).withDeleted();
 
     if (existingUser) {
       return next(new ErrorResponse("Phone number already in use", 400));
     }
+
+    // A new number has to be verified again
+    fieldsToUpdate.isPhoneVerified = false;
+    fieldsToUpdate.$unset = {
+      phoneVerificationCode: 1,
+      phoneVerificationExpire: 1,
+      phoneVerificationAttempts: 1,
+    };
   }
 
   const user = await User.findByIdAndUpdate(req.user._id, fieldsToUpdate, {
@@ -320,9 +537,201 @@ export const resetPassword = asyncHandler(async (req, res, next) => {
   user.resetPasswordToken = undefined;
   user.resetPasswordExpire = undefined;
 
+  // Proving access to the email unlocks the account
+  user.clearLockout();
+
   await user.save();
 
-  sendTokenResponse(user, 200, res, "Password reset successful");
+  // Sign out everywhere the old password was used
+  await Session.revokeAll(user._id, "password-change");
+
+  if (user.requiresTwoFactor()) {
+    return sendTwoFactorChallenge(user, res, "Password reset successful");
+  }
+
+  await startSession(user, 200, req, res, "Password reset successful");
+});
+
+// Verify email
+export const verifyEmail = asyncHandler(async (req, res, next) => {
+  // Get hashed token
+  const emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken,
+    emailVerificationExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse("Invalid or expired token", 400));
+  }
+
+  user.isEmailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpire = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Email verified successfully",
+    data: {
+      user: {
+        id: user._id,
+        email: user.email,
+        isEmailVerified: user.isEmailVerified,
+      },
+    },
+  });
+});
+
+// Resend email verification link
+export const resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isEmailVerified) {
+    return next(new ErrorResponse("Email is already verified", 400));
+  }
+
+  // Tokens last 24 hours, so the expiry tells when the last one was sent
+  if (
+    user.emailVerificationExpire &&
+    user.emailVerificationExpire.getTime() -
+      VERIFICATION_TOKEN_LIFETIME +
+      VERIFICATION_RESEND_COOLDOWN >
+      Date.now()
+  ) {
+    return next(
+      new ErrorResponse(
+        "Please wait a minute before requesting another verification email",
+        429
+      )
+    );
+  }
+
+  await issueEmailVerification(user);
+
+  res.status(200).json({
+    success: true,
+    message: "Verification email sent",
+  });
+});
+
+// Send a verification code to my phone number
+export const sendPhoneVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (user.isPhoneVerified) {
+    return next(new ErrorResponse("Phone number is already verified", 400));
+  }
+
+  if (!isSmsConfigured()) {
+    return next(
+      new ErrorResponse("Phone verification is temporarily unavailable", 503)
+    );
+  }
+
+  const waitMs = user.phoneVerificationSentAt
+    ? user.phoneVerificationSentAt.getTime() +
+      PHONE_CODE_RESEND_COOLDOWN -
+      Date.now()
+    : 0;
+  if (waitMs > 0) {
+    return next(
+      new ErrorResponse(
+        `Please wait ${Math.ceil(
+          waitMs / 1000
+        )} seconds before requesting another code`,
+        429
+      )
+    );
+  }
+
+  const code = user.getPhoneVerificationCode();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await sendSms(
+      user.phone,
+      `Your Plenty Events verification code is ${code}. It expires in ${PHONE_CODE_MINUTES} minutes.`
+    );
+  } catch (error) {
+    console.error("❌ Phone verification SMS failed:", error.message);
+    user.clearPhoneVerification();
+    user.phoneVerificationSentAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse("SMS could not be sent", 500));
+  }
+
+  res.status(200).json({
+    success: true,
+    message: `Verification code sent to ${maskPhone(user.phone)}`,
+    data: {
+      expiresAt: user.phoneVerificationExpire,
+    },
+  });
+});
+
+// Verify my phone number with the code sent by SMS
+export const verifyPhone = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+phoneVerificationCode +phoneVerificationExpire +phoneVerificationAttempts"
+  );
+
+  if (user.isPhoneVerified) {
+    return next(new ErrorResponse("Phone number is already verified", 400));
+  }
+
+  const result = user.verifyPhoneCode(req.body.code);
+
+  if (result === "expired") {
+    return next(
+      new ErrorResponse(
+        "Verification code has expired, please request a new one",
+        400
+      )
+    );
+  }
+  if (result === "too-many-attempts") {
+    return next(
+      new ErrorResponse(
+        "Too many incorrect attempts, please request a new code",
+        400
+      )
+    );
+  }
+
+  await user.save({ validateBeforeSave: false });
+
+  if (result === "invalid") {
+    const remaining = MAX_PHONE_CODE_ATTEMPTS - user.phoneVerificationAttempts;
+    return next(
+      new ErrorResponse(
+        remaining > 0
+          ? `Invalid verification code, ${remaining} attempt${
+              remaining === 1 ? "" : "s"
+            } left`
+          : "Invalid verification code, please request a new code",
+        400
+      )
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Phone number verified successfully",
+    data: {
+      user: {
+        id: user._id,
+        phone: user.phone,
+        isPhoneVerified: user.isPhoneVerified,
+      },
+    },
+  });
 });
 
 // Update password
@@ -347,32 +756,354 @@ export const updatePassword = asyncHandler(async (req, res, next) => {
   user.password = req.body.newPassword;
   await user.save();
 
-  sendTokenResponse(user, 200, res, "Password updated successfully");
+  // Sign out everywhere the old password was used
+  await Session.revokeAll(user._id, "password-change");
+
+  await startSession(user, 200, req, res, "Password updated successfully");
 });
 
-// Helper function to get token from model, create cookie and send response
-const sendTokenResponse = (user, statusCode, res, message) => {
-  // Create token
-  const token = user.getSignedJwtToken();
+// Start two-factor setup
+export const setupTwoFactor = asyncHandler(async (req, res, next) => {
+  if (req.user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
 
+  const user = await User.findById(req.user.id);
+
+  await sendTwoFactorSetup(user, res);
+});
+
+// Turn on two-factor authentication with a code from the authenticator app
+export const enableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep"
+  );
+
+  if (user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is already enabled", 400)
+    );
+  }
+
+  if (!user.twoFactorSecret) {
+    return next(
+      new ErrorResponse("Start two-factor authentication setup first", 400)
+    );
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid two-factor code", 400));
+  }
+
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = Date.now();
+  const backupCodes = user.generateTwoFactorBackupCodes();
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Two-factor authentication enabled. Store these backup codes somewhere safe, each works once.",
+    data: { backupCodes },
+  });
+});
+
+// Turn off two-factor authentication (not allowed for admins)
+export const disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+password +twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep"
+  );
+
+  if (user.role === "admin") {
+    return next(
+      new ErrorResponse(
+        "Two-factor authentication is required for admin accounts",
+        400
+      )
+    );
+  }
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!(await user.matchPassword(req.body.password))) {
+    return next(new ErrorResponse("Password is incorrect", 401));
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid two-factor code", 400));
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorEnabledAt = undefined;
+  user.twoFactorSecret = undefined;
+  user.twoFactorBackupCodes = undefined;
+  user.twoFactorLastStep = undefined;
+
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Two-factor authentication disabled",
+    data: {},
+  });
+});
+
+// Replace my backup codes
+export const regenerateBackupCodes = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id).select(
+    "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep"
+  );
+
+  if (!user.twoFactorEnabled) {
+    return next(
+      new ErrorResponse("Two-factor authentication is not enabled", 400)
+    );
+  }
+
+  if (!user.verifyTwoFactorCode(req.body.code)) {
+    return next(new ErrorResponse("Invalid two-factor code", 400));
+  }
+
+  const backupCodes = user.generateTwoFactorBackupCodes();
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "New backup codes generated, the old ones no longer work",
+    data: { backupCodes },
+  });
+});
+
+// Helper function to ask for a two-factor code after the password was checked
+const sendTwoFactorChallenge = (user, res, message) => {
+  res.status(200).json({
+    success: true,
+    message:
+      message ||
+      (user.twoFactorEnabled
+        ? "Enter your two-factor authentication code"
+        : "Set up two-factor authentication to continue"),
+    data: {
+      twoFactorRequired: true,
+      setupRequired: !user.twoFactorEnabled,
+      challengeToken: user.getTwoFactorChallengeToken(),
+    },
+  });
+};
+
+// Helper function to load the user a login challenge token was issued for
+const getChallengeUser = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (err) {
+    decoded = null;
+  }
+
+  const user =
+    decoded?.purpose === "2fa" &&
+    (await User.findById(decoded.id).select(
+      "+twoFactorSecret +twoFactorBackupCodes +twoFactorLastStep +loginHistory"
+    ));
+
+  if (!user || !user.isActive) {
+    throw new ErrorResponse(
+      "Login challenge is invalid or has expired, please log in again",
+      401
+    );
+  }
+
+  if (user.isLocked()) {
+    throw getLockoutError(user);
+  }
+
+  return user;
+};
+
+// Helper function to store a new TOTP secret and send it for the
+// authenticator app. Two-factor stays off until a code confirms it.
+const sendTwoFactorSetup = async (user, res) => {
+  const secret = generateSecret();
+
+  user.twoFactorSecret = secret;
+  user.twoFactorLastStep = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message:
+      "Add this account to your authenticator app, then confirm with a code",
+    data: {
+      secret,
+      otpauthUrl: getOtpAuthUrl(user.email, secret),
+    },
+  });
+};
+
+// Helper function to build the error for a locked account
+const getLockoutError = (user) => {
+  const minutes = Math.ceil((user.lockUntil - Date.now()) / (60 * 1000));
+
+  return new ErrorResponse(
+    `Too many failed login attempts. Try again in ${minutes} minute${
+      minutes === 1 ? "" : "s"
+    }, or reset your password to unlock your account now.`,
+    423
+  );
+};
+
+// Helper function to record a successful sign-in and alert the user when it
+// came from a device they have not used before. Browsers without a device
+// cookie are given one so they are recognised next time.
+const recordSignIn = async (user, req, res, reason) => {
+  let deviceId = req.cookies?.deviceId;
+  if (!/^[a-f0-9]{32}$/.test(deviceId || "")) {
+    deviceId = crypto.randomBytes(16).toString("hex");
+    res.cookie(
+      "deviceId",
+      deviceId,
+      cookieOptions(
+        REFRESH_COOKIE_PATH,
+        new Date(Date.now() + DEVICE_COOKIE_LIFETIME)
+      )
+    );
+  }
+
+  const device = getRequestDevice(req);
+  const isNewDevice = await user.recordLogin({ ...device, deviceId }, reason);
+
+  if (!isNewDevice) return;
+
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      await sendNewDeviceLoginEmail(user, { ...device, at: user.lastLogin });
+      console.log("✅ New device sign-in email sent successfully");
+    } catch (error) {
+      console.error(
+        "❌ Failed to send new device sign-in email:",
+        error.message
+      );
+    }
+  } else {
+    console.log(
+      "⚠️ Email credentials not configured, skipping new device sign-in email"
+    );
+  }
+};
+
+// Helper function to issue a verification token and email it. The token is
+// never sent back to the client; when email is not configured it is printed
+// to the server console outside production so the flow can still be tested.
+const issueEmailVerification = async (user) => {
+  const verificationToken = user.getEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      await sendEmailVerificationEmail(user, verificationToken);
+      console.log("✅ Verification email sent successfully");
+    } catch (error) {
+      console.error("❌ Failed to send verification email:", error.message);
+    }
+    return;
+  }
+
+  console.log(
+    "⚠️ Email credentials not configured, skipping verification email"
+  );
+  if (process.env.NODE_ENV !== "production") {
+    console.log(
+      `⚠️ Email verification token for ${user.email}: ${verificationToken}`
+    );
+  }
+};
+
+// Helper function to build the options for an auth cookie
+const cookieOptions = (path, expires) => {
   const options = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRE * 24 * 60 * 60 * 1000
-    ),
     httpOnly: true,
+    sameSite: "strict",
+    path,
   };
 
+  if (expires) {
+    options.expires = expires;
+  }
+
   if (process.env.NODE_ENV === "production") {
     options.secure = true;
   }
 
+  return options;
+};
+
+// Helper function to clear the access and refresh token cookies
+const clearAuthCookies = (res) => {
+  res.clearCookie("token", cookieOptions("/"));
+  res.clearCookie("refreshToken", cookieOptions(REFRESH_COOKIE_PATH));
+};
+
+// Helper function to start a session on the request's device and send its tokens
+const startSession = async (user, statusCode, req, res, message, extra) => {
+  const { session, refreshToken } = await Session.start(
+    user,
+    getRequestDevice(req)
+  );
+
+  sendTokenResponse(
+    user,
+    session,
+    refreshToken,
+    statusCode,
+    req,
+    res,
+    message,
+    extra
+  );
+};
+
+// Helper function to sign an access token for a session, set the cookies and
+// send the response. The refresh token stays in its httpOnly cookie unless
+// the client asks for it in the body with the X-Include-Refresh-Token
+// header, as apps that can't keep cookies do.
+const sendTokenResponse = (
+  user,
+  session,
+  refreshToken,
+  statusCode,
+  req,
+  res,
+  message,
+  extra = {}
+) => {
+  // Create token
+  const token = user.getSignedJwtToken(session._id);
+  const { exp } = jwt.decode(token);
+
   res
     .status(statusCode)
-    .cookie("token", token, options)
+    .cookie("token", token, cookieOptions("/", new Date(exp * 1000)))
+    .cookie(
+      "refreshToken",
+      refreshToken,
+      cookieOptions(REFRESH_COOKIE_PATH, session.expiresAt)
+    )
     .json({
       success: true,
       message,
       token,
+      refreshToken:
+        req.get("x-include-refresh-token") === "true"
+          ? refreshToken
+          : undefined,
+      ...extra,
       data: {
         user: {
           id: user._id,
@@ -383,6 +1114,7 @@ const sendTokenResponse = (user, statusCode, res, message) => {
           role: user.role,
           isApproved: user.isApproved,
           isEmailVerified: user.isEmailVerified,
+          isPhoneVerified: user.isPhoneVerified,
         },
       },
     });
@@ -0,0 +1,412 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import Vendor from "../models/Vendor.js";
+import { Order } from "../models/Booking.js";
+import {
+  sendBookingCancellationEmail,
+  notifyQuoteUpdate,
+} from "../utils/emailService.js";
+
+const UPCOMING_STATUSES = ["pending", "confirmed", "in-progress"];
+const CANCELLABLE_STATUSES = ["pending", "confirmed"];
+
+// @desc    Get customer bookings with filtering and pagination
+// @route   GET /api/bookings
+// @access  Private (User only)
+export const getMyBookings = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  let query = { user: req.user._id };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  if (req.query.vendor) {
+    query.vendor = req.query.vendor;
+  }
+
+  // Filter by event date range
+  if (req.query.from || req.query.to) {
+    query.eventDate = {};
+
+    if (req.query.from) {
+      query.eventDate.$gte = new Date(req.query.from);
+    }
+
+    if (req.query.to) {
+      query.eventDate.$lte = new Date(req.query.to);
+    }
+  }
+
+  // Build sort object
+  let sort = {};
+  if (req.query.sortBy === "eventDate") {
+    sort.eventDate = req.query.order === "desc" ? -1 : 1;
+  } else {
+    sort.createdAt = req.query.order === "asc" ? 1 : -1;
+  }
+
+  // Execute query (user, vendor and eventType are populated by the model)
+  const bookings = await Order.find(query)
+    .sort(sort)
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Order.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: bookings.length,
+    total,
+    pagination,
+    data: bookings,
+  });
+});
+
+// @desc    Get summary of upcoming and past bookings
+// @route   GET /api/bookings/summary
+// @access  Private (User only)
+export const getBookingSummary = asyncHandler(async (req, res, next) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const upcomingQuery = {
+    user: req.user._id,
+    eventDate: { $gte: today },
+    status: { $in: UPCOMING_STATUSES },
+  };
+
+  const pastQuery = {
+    user: req.user._id,
+    $or: [
+      { eventDate: { $lt: today } },
+      { status: { $nin: UPCOMING_STATUSES } },
+    ],
+  };
+
+  const upcoming = await Order.find(upcomingQuery)
+    .sort({ eventDate: 1 })
+    .limit(5);
+
+  const past = await Order.find(pastQuery).sort({ eventDate: -1 }).limit(5);
+
+  const upcomingCount = await Order.countDocuments(upcomingQuery);
+  const pastCount = await Order.countDocuments(pastQuery);
+
+  // Get booking counts and spend by status
+  const statusStats = await Order.aggregate([
+    { $match: { user: req.user._id } },
+    {
+      $group: {
+        _id: "$status",
+        count: { $sum: 1 },
+        totalAmount: { $sum: "$quotedPrice" },
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      upcoming: {
+        count: upcomingCount,
+        nextEvent: upcoming[0] || null,
+        bookings: upcoming,
+      },
+      past: {
+        count: pastCount,
+        bookings: past,
+      },
+      statusStats,
+    },
+  });
+});
+
+// @desc    Get single customer booking
+// @route   GET /api/bookings/:id
+// @access  Private (User only)
+export const getMyBooking = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: booking,
+  });
+});
+
+// @desc    Get booking status and status history
+// @route   GET /api/bookings/:id/status
+// @access  Private (User only)
+export const getMyBookingStatus = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  }).select("status paymentStatus statusHistory eventDate updatedAt");
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      id: booking._id,
+      status: booking.status,
+      paymentStatus: booking.paymentStatus,
+      eventDate: booking.eventDate,
+      statusHistory: booking.statusHistory,
+      updatedAt: booking.updatedAt,
+    },
+  });
+});
+
+// @desc    Preview the refund for cancelling a booking
+// @route   GET /api/bookings/:id/cancellation
+// @access  Private (User only)
+export const getCancellationQuote = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  const vendor = await Vendor.findById(booking.vendor._id).withDeleted();
+
+  if (!vendor) {
+    return next(new ErrorResponse("Vendor not found", 404));
+  }
+
+  const refundPercentage = vendor.getRefundPercentage(booking.eventDate);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      canCancel: CANCELLABLE_STATUSES.includes(booking.status),
+      paidAmount: booking.getPaidAmount(),
+      refundPercentage,
+      refundAmount: booking.calculateRefund(refundPercentage),
+      currency: booking.currency,
+      cancellationPolicy: vendor.cancellationPolicy,
+    },
+  });
+});
+
+// @desc    Cancel a booking under the vendor's cancellation policy
+// @route   PUT /api/bookings/:id/cancel
+// @access  Private (User only)
+export const cancelBooking = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(booking.status)) {
+    return next(
+      new ErrorResponse(
+        `Cannot cancel a booking that is ${booking.status}`,
+        400
+      )
+    );
+  }
+
+  const vendor = await Vendor.findById(booking.vendor._id).withDeleted();
+
+  if (!vendor) {
+    return next(new ErrorResponse("Vendor not found", 404));
+  }
+
+  booking.cancel(
+    req.user._id,
+    req.body.reason,
+    vendor.getRefundPercentage(booking.eventDate)
+  );
+  await booking.issueRefund();
+  await booking.save();
+
+  // Notify vendor (don't fail cancellation if email fails)
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      await sendBookingCancellationEmail(vendor.user, booking, req.user);
+      console.log("✅ Cancellation email sent successfully");
+    } catch (error) {
+      console.error("❌ Failed to send cancellation email:", error.message);
+    }
+  } else {
+    console.log(
+      "⚠️ Email credentials not configured, skipping cancellation email"
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message:
+      booking.refundStatus === "failed"
+        ? "Booking cancelled, but the refund could not be sent yet"
+        : booking.refundedAt
+        ? "Booking cancelled and refund issued"
+        : "Booking cancelled successfully",
+    data: booking,
+  });
+});
+
+// @desc    Get quote history for a booking
+// @route   GET /api/bookings/:id/quotes
+// @access  Private (User only)
+export const getBookingQuotes = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: booking.quotes.length,
+    data: {
+      currentQuote: booking.getCurrentQuote(),
+      finalPrice: booking.finalPrice,
+      quotes: booking.quotes,
+    },
+  });
+});
+
+// @desc    Counter the vendor's quote
+// @route   POST /api/bookings/:id/quotes
+// @access  Private (User only)
+export const counterQuote = asyncHandler(async (req, res, next) => {
+  const booking = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  if (!booking) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (booking.status !== "pending") {
+    return next(
+      new ErrorResponse("Quotes can only be changed on pending bookings", 400)
+    );
+  }
+
+  const current = booking.getCurrentQuote();
+  if (current && current.status === "pending" && current.party === "customer") {
+    return next(
+      new ErrorResponse(
+        "Please wait for the vendor to respond to your quote",
+        400
+      )
+    );
+  }
+
+  const quote = booking.proposeQuote(req.user._id, "customer", req.body);
+  await booking.save();
+
+  await notifyQuoteUpdate(booking, quote, "countered", "vendor");
+
+  res.status(201).json({
+    success: true,
+    message: "Counter offer sent successfully",
+    data: quote,
+  });
+});
+
+// Accept or reject the vendor's current quote
+const respondToVendorQuote = (accept) =>
+  asyncHandler(async (req, res, next) => {
+    const booking = await Order.findOne({
+      _id: req.params.id,
+      user: req.user._id,
+    });
+
+    if (!booking) {
+      return next(new ErrorResponse("Booking not found", 404));
+    }
+
+    const current = booking.getCurrentQuote();
+    if (
+      booking.status !== "pending" ||
+      !current ||
+      current.status !== "pending" ||
+      current.party !== "vendor"
+    ) {
+      return next(
+        new ErrorResponse(
+          "There is no vendor quote awaiting your response",
+          400
+        )
+      );
+    }
+
+    // Confirming the booking must not overbook the vendor
+    if (accept) {
+      const vendor = await Vendor.findById(booking.vendor._id).withDeleted();
+
+      if (!vendor) {
+        return next(new ErrorResponse("Vendor not found", 404));
+      }
+
+      const availability = await vendor.checkAvailability(
+        booking.eventDate,
+        booking.startTime,
+        booking.endTime,
+        booking.endDate,
+        booking._id
+      );
+      if (!availability.available) {
+        return next(new ErrorResponse(availability.reason, 400));
+      }
+    }
+
+    const quote = booking.respondToQuote(accept);
+    await booking.save();
+
+    await notifyQuoteUpdate(booking, quote, quote.status, "vendor");
+
+    res.status(200).json({
+      success: true,
+      message: accept
+        ? "Quote accepted and booking confirmed"
+        : "Quote rejected successfully",
+      data: booking,
+    });
+  });
+
+// @desc    Accept the vendor's quote
+// @route   PUT /api/bookings/:id/quotes/accept
+// @access  Private (User only)
+export const acceptQuote = respondToVendorQuote(true);
+
+// @desc    Reject the vendor's quote
+// @route   PUT /api/bookings/:id/quotes/reject
+// @access  Private (User only)
+export const rejectQuote = respondToVendorQuote(false);
@@ -0,0 +1,211 @@
+import crypto from "crypto";
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import Vendor from "../models/Vendor.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job } from "../models/Booking.js";
+import { buildCalendar } from "../utils/ical.js";
+import { getShiftTimes } from "../utils/schedule.js";
+
+// Feeds skip anything that finished longer ago than this
+const FEED_HISTORY_DAYS = 90;
+
+const ORDER_FEED_STATUSES = ["confirmed", "in-progress"];
+const JOB_FEED_STATUSES = ["accepted", "in-progress"];
+
+// Load the vendor or waiter profile of the current user, with its feed token
+const loadProfile = async (req) => {
+  const Model = req.user.role === "vendor" ? Vendor : Waiter;
+  const profile = await Model.findOne({ user: req.user._id }).select(
+    "+calendarToken"
+  );
+
+  if (!profile) {
+    throw new ErrorResponse(
+      `${req.user.role === "vendor" ? "Vendor" : "Waiter"} profile not found`,
+      404
+    );
+  }
+
+  return profile;
+};
+
+const getFeedUrl = (req, token) =>
+  `${
+    process.env.API_URL || `${req.protocol}://${req.get("host")}`
+  }/api/calendar/${token}.ics`;
+
+// Real start and end of a scheduled order or job
+const getTimes = (doc) => {
+  if (doc.startsAt && doc.endsAt) {
+    return { start: doc.startsAt, end: doc.endsAt };
+  }
+
+  const { startsAt, endsAt } = getShiftTimes(
+    doc.workDate || doc.eventDate,
+    doc.startTime,
+    doc.endTime,
+    doc.endDate
+  );
+  return { start: startsAt, end: endsAt };
+};
+
+// Single-line venue for the LOCATION field
+const formatVenue = (venue) =>
+  venue
+    ? [
+        venue.name,
+        venue.address?.street,
+        venue.address?.city,
+        venue.address?.state,
+        venue.address?.country,
+      ]
+        .filter(Boolean)
+        .join(", ")
+    : "";
+
+const getGeo = (coordinates) =>
+  coordinates?.latitude != null && coordinates?.longitude != null
+    ? coordinates
+    : null;
+
+// Calendar event for a vendor's order
+const toOrderEvent = (order) => ({
+  uid: `order-${order._id}@plentyevents`,
+  ...getTimes(order),
+  summary: order.eventTitle,
+  location: formatVenue(order.venue),
+  geo: getGeo(order.venue?.coordinates),
+  description: [
+    order.eventType?.name && `Event type: ${order.eventType.name}`,
+    `Guests: ${order.guestCount}`,
+    `Customer: ${order.user.firstName} ${order.user.lastName}${
+      order.user.phone ? ` (${order.user.phone})` : ""
+    }`,
+    ...order.staffing.positions.map(
+      (position) =>
+        `Staff: ${position.position} ${position.filled}/${position.count}`
+    ),
+    order.specialRequests && `Special requests: ${order.specialRequests}`,
+  ]
+    .filter(Boolean)
+    .join("\n"),
+  updatedAt: order.updatedAt,
+});
+
+// Calendar event for a waiter's job
+const toJobEvent = (job) => {
+  const shiftLocation = job.shift?.location;
+
+  return {
+    uid: `job-${job._id}@plentyevents`,
+    ...getTimes(job),
+    summary: `${job.position} - ${
+      job.order?.eventTitle || job.vendor.businessName
+    }`,
+    location: job.order
+      ? formatVenue(job.order.venue)
+      : [
+          shiftLocation?.name,
+          shiftLocation?.address,
+          shiftLocation?.city,
+          shiftLocation?.state,
+        ]
+          .filter(Boolean)
+          .join(", "),
+    geo: getGeo(job.order?.venue?.coordinates),
+    description: [
+      `Position: ${job.position}`,
+      `Vendor: ${job.vendor.businessName}`,
+      job.order && `Guests: ${job.order.guestCount}`,
+      job.breakMinutes && `Unpaid break: ${job.breakMinutes} minutes`,
+      job.dresscode && `Dress code: ${job.dresscode}`,
+      job.instructions && `Instructions: ${job.instructions}`,
+    ]
+      .filter(Boolean)
+      .join("\n"),
+    updatedAt: job.updatedAt,
+  };
+};
+
+// @desc    Get my private calendar feed URL
+// @route   GET /api/calendar/feed
+// @access  Private (Vendor or Waiter)
+export const getCalendarFeed = asyncHandler(async (req, res, next) => {
+  const profile = await loadProfile(req);
+
+  if (!profile.calendarToken) {
+    profile.calendarToken = crypto.randomBytes(24).toString("hex");
+    await profile.save({ validateBeforeSave: false });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      url: getFeedUrl(req, profile.calendarToken),
+    },
+  });
+});
+
+// @desc    Regenerate my calendar feed token, revoking the old URL
+// @route   POST /api/calendar/feed/regenerate
+// @access  Private (Vendor or Waiter)
+export const regenerateCalendarFeed = asyncHandler(async (req, res, next) => {
+  const profile = await loadProfile(req);
+
+  profile.calendarToken = crypto.randomBytes(24).toString("hex");
+  await profile.save({ validateBeforeSave: false });
+
+  res.status(200).json({
+    success: true,
+    message: "Calendar feed URL regenerated, the old URL no longer works",
+    data: {
+      url: getFeedUrl(req, profile.calendarToken),
+    },
+  });
+});
+
+// @desc    Get a vendor or waiter schedule as an iCalendar feed
+// @route   GET /api/calendar/:token.ics
+// @access  Public (secret token)
+export const getCalendar = asyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const since = new Date(Date.now() - FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+  let calendar;
+
+  const vendor = await Vendor.findOne({ calendarToken: token });
+  if (vendor) {
+    const orders = await Order.find({
+      vendor: vendor._id,
+      status: { $in: ORDER_FEED_STATUSES },
+      $or: [{ endsAt: { $gte: since } }, { eventDate: { $gte: since } }],
+    }).sort({ eventDate: 1 });
+
+    calendar = buildCalendar(
+      `${vendor.businessName} - Plenty Events`,
+      orders.map(toOrderEvent)
+    );
+  } else {
+    const waiter = await Waiter.findOne({ calendarToken: token });
+    if (!waiter) {
+      return next(new ErrorResponse("Calendar not found", 404));
+    }
+
+    const jobs = await Job.find({
+      waiter: waiter._id,
+      status: { $in: JOB_FEED_STATUSES },
+      $or: [{ endsAt: { $gte: since } }, { workDate: { $gte: since } }],
+    })
+      .populate({
+        path: "shift",
+        select: "location",
+      })
+      .sort({ workDate: 1 });
+
+    calendar = buildCalendar("My Plenty Events jobs", jobs.map(toJobEvent));
+  }
+
+  res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+  res.setHeader("Content-Disposition", 'inline; filename="calendar.ics"');
+  res.status(200).send(calendar);
+});
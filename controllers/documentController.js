@@ -0,0 +1,261 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import { resolveActingVendor } from "../middleware/auth.js";
+import Vendor from "../models/Vendor.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job } from "../models/Booking.js";
+import Payment, { RETAINED_PAYMENT_STATUSES } from "../models/Payment.js";
+import Invoice from "../models/Invoice.js";
+import { renderInvoicePdf, renderPayStatementPdf } from "../utils/pdf.js";
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+// Business details printed on every document
+const getVendorDetails = (vendor) => ({
+  businessName: vendor.businessName,
+  address: [
+    vendor.location?.street,
+    vendor.location?.city,
+    vendor.location?.state,
+    vendor.location?.country,
+  ]
+    .filter(Boolean)
+    .join(", "),
+  phone: vendor.user?.phone,
+  email: vendor.user?.email,
+  website: vendor.website,
+  vatNumber: vendor.vatNumber,
+});
+
+// Figures printed on an order invoice. Prices include VAT, which is shown
+// separately at VAT_PERCENTAGE.
+const buildInvoiceData = async (order) => {
+  const vendor = await Vendor.findById(order.vendor._id).withDeleted();
+  // Payments refunded later were still made, and count towards amountPaid
+  const payments = await Payment.find({
+    order: order._id,
+    status: { $in: [...RETAINED_PAYMENT_STATUSES, "refunded"] },
+  });
+
+  const total = order.getTotalPrice();
+  const accepted = [...order.quotes]
+    .reverse()
+    .find((quote) => quote.status === "accepted");
+
+  const items = accepted?.items.length
+    ? accepted.items.map((item) => ({
+        description: item.description,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: roundTo(item.quantity * item.unitPrice),
+      }))
+    : [
+        {
+          description: order.eventType?.name
+            ? `${order.eventTitle} (${order.eventType.name})`
+            : order.eventTitle,
+          quantity: 1,
+          unitPrice: total,
+          amount: total,
+        },
+      ];
+
+  const vatRate = parseFloat(process.env.VAT_PERCENTAGE ?? 7.5);
+  const vat = roundTo((total * vatRate) / (100 + vatRate));
+  const depositPaid = roundTo(
+    payments
+      .filter((payment) => payment.type === "deposit")
+      .reduce((sum, payment) => sum + payment.amount, 0)
+  );
+
+  return {
+    vendor: getVendorDetails(vendor),
+    customer: {
+      name: `${order.user.firstName} ${order.user.lastName}`,
+      email: order.user.email,
+      phone: order.user.phone,
+    },
+    event: {
+      title: order.eventTitle,
+      date: order.eventDate,
+      venue: [order.venue?.name, order.venue?.address?.city]
+        .filter(Boolean)
+        .join(", "),
+      guestCount: order.guestCount,
+    },
+    items,
+    totals: {
+      subtotal: roundTo(total - vat),
+      vatRate,
+      vat,
+      total,
+      depositPaid,
+      otherPayments: roundTo((order.amountPaid || 0) - depositPaid),
+      balance: order.getAmountDue(),
+    },
+    currency: order.currency,
+  };
+};
+
+// Figures printed on a waiter's pay statement for a job
+const buildPayStatementData = async (job) => {
+  const vendor = await Vendor.findById(job.vendor._id).withDeleted();
+  const waiter = await Waiter.findById(job.waiter._id).withDeleted();
+
+  const overtimeHours = job.overtimeHours || 0;
+  const regularHours = roundTo((job.totalHours || 0) - overtimeHours);
+  const overtimeRate = job.getOvertimeRate();
+
+  const lines = [
+    {
+      description: `${job.position} - regular hours`,
+      hours: regularHours,
+      rate: job.hourlyRate,
+      amount: roundTo(regularHours * job.hourlyRate),
+    },
+  ];
+  if (overtimeHours > 0) {
+    lines.push({
+      description: `${job.position} - overtime`,
+      hours: overtimeHours,
+      rate: overtimeRate,
+      amount: roundTo(overtimeHours * overtimeRate),
+    });
+  }
+
+  return {
+    vendor: getVendorDetails(vendor),
+    waiter: {
+      name: `${waiter.user.firstName} ${waiter.user.lastName}`,
+      email: waiter.user.email,
+      phone: waiter.user.phone,
+    },
+    job: {
+      position: job.position,
+      event: job.order?.eventTitle,
+      workDate: job.workDate,
+      startTime: job.startTime,
+      endTime: job.endTime,
+      breakMinutes: job.breakMinutes,
+    },
+    lines,
+    totals: {
+      hours: job.totalHours,
+      amount: job.totalAmount,
+    },
+    currency: job.currency,
+  };
+};
+
+// Reuse the latest stored document while its figures are unchanged, otherwise
+// issue a new one with the next number
+const getOrIssueDocument = async (filter, details, data, render) => {
+  const fingerprint = JSON.stringify({
+    items: data.items || data.lines,
+    totals: data.totals,
+  });
+
+  const latest = await Invoice.findLatest(filter);
+  if (latest && latest.fingerprint === fingerprint) {
+    return latest;
+  }
+
+  return Invoice.issue({ ...filter, ...details, data, fingerprint }, render);
+};
+
+const sendPdf = (res, document) => {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${document.fileName}"`
+  );
+  res.status(200).send(document.pdf);
+};
+
+// Send the invoice for an order the current user may see
+const sendOrderInvoice = async (order, res, next) => {
+  if (!order) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (order.status === "pending") {
+    return next(
+      new ErrorResponse(
+        "An invoice is available once the booking is confirmed",
+        400
+      )
+    );
+  }
+
+  const document = await getOrIssueDocument(
+    { type: "invoice", order: order._id },
+    { vendor: order.vendor._id, issuedTo: order.user._id },
+    await buildInvoiceData(order),
+    renderInvoicePdf
+  );
+
+  sendPdf(res, document);
+};
+
+// @desc    Download the invoice for my booking
+// @route   GET /api/bookings/:id/invoice
+// @access  Private (User only)
+export const getBookingInvoice = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({
+    _id: req.params.id,
+    user: req.user._id,
+  });
+
+  await sendOrderInvoice(order, res, next);
+});
+
+// @desc    Download the invoice for one of my orders
+// @route   GET /api/vendors/orders/:orderId/invoice
+// @access  Private (Vendor or team member)
+export const getVendorOrderInvoice = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    vendor: req.vendor._id,
+  });
+
+  await sendOrderInvoice(order, res, next);
+});
+
+// @desc    Download the pay statement for a completed job
+// @route   GET /api/waiters/jobs/:jobId/pay-statement
+// @access  Private (the Waiter or Vendor team on the job)
+export const getJobPayStatement = asyncHandler(async (req, res, next) => {
+  const job = await Job.findById(req.params.jobId);
+
+  if (!job) {
+    return next(new ErrorResponse("Job not found", 404));
+  }
+
+  let isParticipant;
+  if (req.user.role === "vendor") {
+    const { vendor } = await resolveActingVendor(req.user);
+    isParticipant = vendor._id.toString() === job.vendor._id.toString();
+  } else {
+    isParticipant = job.waiter.user._id.toString() === req.user._id.toString();
+  }
+  if (!isParticipant) {
+    return next(new ErrorResponse("Job not found", 404));
+  }
+
+  if (job.status !== "completed") {
+    return next(
+      new ErrorResponse(
+        "A pay statement is available once the job is completed",
+        400
+      )
+    );
+  }
+
+  const document = await getOrIssueDocument(
+    { type: "pay-statement", job: job._id },
+    { vendor: job.vendor._id, issuedTo: job.waiter.user._id },
+    await buildPayStatementData(job),
+    renderPayStatementPdf
+  );
+
+  sendPdf(res, document);
+});
@@ -0,0 +1,316 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import User from "../models/User.js";
+import VendorMember, { hasTeamRole } from "../models/VendorMember.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job } from "../models/Booking.js";
+import { sendNewMessageEmail } from "../utils/emailService.js";
+
+// Load an order or job and resolve the vendor and the other party (the
+// customer or the waiter) taking part in its conversation
+const loadConversation = async (type, id) => {
+  if (type === "order") {
+    const order = await Order.findById(id);
+    if (!order) {
+      throw new ErrorResponse("Order not found", 404);
+    }
+
+    return {
+      doc: order,
+      title: order.eventTitle,
+      vendor: order.vendor,
+      otherUser: order.user._id,
+    };
+  }
+
+  const job = await Job.findById(id);
+  if (!job) {
+    throw new ErrorResponse("Job not found", 404);
+  }
+
+  return {
+    doc: job,
+    title: job.position,
+    vendor: job.vendor,
+    otherUser: job.waiter.user._id,
+  };
+};
+
+// Ensure the current user takes part in the conversation, either as the other
+// party or for the vendor (as its owner or a team member with at least
+// teamRole). Returns the ids of everyone on the user's side, whose messages
+// are never unread for them.
+const checkParticipant = async (conversation, user, teamRole = "viewer") => {
+  if (conversation.otherUser.toString() === user._id.toString()) {
+    return { isVendor: false, ownSenderIds: [user._id] };
+  }
+
+  const acting = await VendorMember.findActingVendor(user._id);
+  if (
+    !acting ||
+    acting.vendor._id.toString() !== conversation.vendor._id.toString()
+  ) {
+    throw new ErrorResponse("Not authorized to access this conversation", 403);
+  }
+
+  if (!hasTeamRole(acting.role, teamRole)) {
+    throw new ErrorResponse(
+      `Team role ${acting.role} is not authorized to send messages`,
+      403
+    );
+  }
+
+  return {
+    isVendor: true,
+    ownSenderIds: await VendorMember.getTeamUserIds(acting.vendor),
+  };
+};
+
+// Messages sent by someone on the other side that have not been read yet
+const isUnread = (msg, ownSenderIds) =>
+  !msg.isRead &&
+  !ownSenderIds.some((id) => id.toString() === msg.sender.toString());
+
+// Get paginated messages for an order or job
+const getMessages = (type) =>
+  asyncHandler(async (req, res, next) => {
+    const conversation = await loadConversation(type, req.params.id);
+    const participant = await checkParticipant(conversation, req.user);
+
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const startIndex = (page - 1) * limit;
+
+    // Page backwards from the newest message, keeping chronological order
+    const messages = conversation.doc.messages;
+    const total = messages.length;
+    const end = Math.max(total - startIndex, 0);
+    const pageMessages = messages.slice(Math.max(end - limit, 0), end);
+
+    // Pagination
+    const pagination = {};
+    if (startIndex + limit < total) {
+      pagination.next = { page: page + 1, limit };
+    }
+    if (startIndex > 0) {
+      pagination.prev = { page: page - 1, limit };
+    }
+
+    res.status(200).json({
+      success: true,
+      count: pageMessages.length,
+      total,
+      unreadCount: messages.filter((msg) =>
+        isUnread(msg, participant.ownSenderIds)
+      ).length,
+      pagination,
+      data: pageMessages,
+    });
+  });
+
+// Send a message on an order or job and notify the other party
+const sendMessage = (type) =>
+  asyncHandler(async (req, res, next) => {
+    const conversation = await loadConversation(type, req.params.id);
+    const participant = await checkParticipant(
+      conversation,
+      req.user,
+      "manager"
+    );
+
+    conversation.doc.messages.push({
+      sender: req.user._id,
+      message: req.body.message,
+    });
+    await conversation.doc.save();
+
+    const message =
+      conversation.doc.messages[conversation.doc.messages.length - 1];
+
+    // Notify the other party (don't fail sending if email fails). Messages
+    // to a vendor go to the vendor's own account.
+    const recipientId = participant.isVendor
+      ? conversation.otherUser
+      : conversation.vendor.user._id;
+
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      try {
+        const recipient = await User.findById(recipientId);
+        if (recipient) {
+          await sendNewMessageEmail(
+            recipient,
+            req.user,
+            conversation.title,
+            message.message,
+            `${type}s/${conversation.doc._id}`
+          );
+          console.log("✅ Message notification email sent successfully");
+        }
+      } catch (error) {
+        console.error(
+          "❌ Failed to send message notification email:",
+          error.message
+        );
+      }
+    } else {
+      console.log(
+        "⚠️ Email credentials not configured, skipping message notification email"
+      );
+    }
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent successfully",
+      data: message,
+    });
+  });
+
+// Mark messages received on an order or job as read
+const markMessagesRead = (type) =>
+  asyncHandler(async (req, res, next) => {
+    const conversation = await loadConversation(type, req.params.id);
+    const participant = await checkParticipant(conversation, req.user);
+
+    let markedCount = 0;
+    conversation.doc.messages.forEach((msg) => {
+      if (isUnread(msg, participant.ownSenderIds)) {
+        msg.isRead = true;
+        markedCount += 1;
+      }
+    });
+
+    if (markedCount > 0) {
+      await conversation.doc.save();
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Messages marked as read",
+      data: { markedCount },
+    });
+  });
+
+// @desc    Get order messages
+// @route   GET /api/messages/orders/:id
+// @access  Private (Customer or Vendor team on the order)
+export const getOrderMessages = getMessages("order");
+
+// @desc    Send order message
+// @route   POST /api/messages/orders/:id
+// @access  Private (Customer or Vendor team on the order)
+export const sendOrderMessage = sendMessage("order");
+
+// @desc    Mark order messages as read
+// @route   PUT /api/messages/orders/:id/read
+// @access  Private (Customer or Vendor team on the order)
+export const markOrderMessagesRead = markMessagesRead("order");
+
+// @desc    Get job messages
+// @route   GET /api/messages/jobs/:id
+// @access  Private (Vendor team or Waiter on the job)
+export const getJobMessages = getMessages("job");
+
+// @desc    Send job message
+// @route   POST /api/messages/jobs/:id
+// @access  Private (Vendor team or Waiter on the job)
+export const sendJobMessage = sendMessage("job");
+
+// @desc    Mark job messages as read
+// @route   PUT /api/messages/jobs/:id/read
+// @access  Private (Vendor team or Waiter on the job)
+export const markJobMessagesRead = markMessagesRead("job");
+
+// @desc    Get all conversations with last message and unread counts
+// @route   GET /api/messages/inbox
+// @access  Private
+export const getInbox = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+  const userId = req.user._id;
+
+  // Resolve which orders and jobs the user takes part in, and whose messages
+  // count as their own (the whole team for vendors)
+  const orderMatch = [{ user: userId }];
+  const jobMatch = [];
+  let ownSenderIds = [userId];
+
+  const acting = await VendorMember.findActingVendor(userId);
+  if (acting) {
+    orderMatch.push({ vendor: acting.vendor._id });
+    jobMatch.push({ vendor: acting.vendor._id });
+    ownSenderIds = await VendorMember.getTeamUserIds(acting.vendor);
+  }
+
+  const waiter = await Waiter.findOne({ user: userId });
+  if (waiter) {
+    jobMatch.push({ waiter: waiter._id });
+  }
+
+  const conversationPipeline = (titleField) => [
+    { $match: { "messages.0": { $exists: true } } },
+    {
+      $project: {
+        title: `$${titleField}`,
+        status: 1,
+        lastMessage: { $arrayElemAt: ["$messages", -1] },
+        messageCount: { $size: "$messages" },
+        unreadCount: {
+          $size: {
+            $filter: {
+              input: "$messages",
+              cond: {
+                $and: [
+                  { $not: [{ $in: ["$$this.sender", ownSenderIds] }] },
+                  { $eq: ["$$this.isRead", false] },
+                ],
+              },
+            },
+          },
+        },
+      },
+    },
+  ];
+
+  const orders = await Order.aggregate([
+    { $match: { $or: orderMatch } },
+    ...conversationPipeline("eventTitle"),
+  ]);
+
+  const jobs = jobMatch.length
+    ? await Job.aggregate([
+        { $match: { $or: jobMatch } },
+        ...conversationPipeline("position"),
+      ])
+    : [];
+
+  const conversations = [
+    ...orders.map((order) => ({ type: "order", ...order })),
+    ...jobs.map((job) => ({ type: "job", ...job })),
+  ].sort((a, b) => b.lastMessage.timestamp - a.lastMessage.timestamp);
+
+  const total = conversations.length;
+  const totalUnread = conversations.reduce(
+    (sum, conversation) => sum + conversation.unreadCount,
+    0
+  );
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  const pageConversations = conversations.slice(startIndex, startIndex + limit);
+
+  res.status(200).json({
+    success: true,
+    count: pageConversations.length,
+    total,
+    totalUnread,
+    pagination,
+    data: pageConversations,
+  });
+});
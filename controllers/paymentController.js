@@ -0,0 +1,308 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import { Order } from "../models/Booking.js";
+import Payment, { PAYABLE_ORDER_STATUSES } from "../models/Payment.js";
+import AuditLog from "../models/AuditLog.js";
+import {
+  getPaymentProvider,
+  generatePaymentReference,
+} from "../utils/paymentGateway.js";
+
+// Load a payment made by the current customer
+const loadMyPayment = async (req) => {
+  const payment = await Payment.findOne({
+    reference: req.params.reference,
+    user: req.user._id,
+  });
+  if (!payment) {
+    throw new ErrorResponse("Payment not found", 404);
+  }
+  return payment;
+};
+
+// Current payment position of an order
+const getPaymentSummary = (order) => ({
+  paymentStatus: order.paymentStatus,
+  totalPrice: order.getTotalPrice(),
+  amountPaid: order.amountPaid,
+  amountDue: order.getAmountDue(),
+  currency: order.currency,
+});
+
+// @desc    Start a deposit or full payment for an order
+// @route   POST /api/payments/orders/:orderId/initialize
+// @access  Private (User only)
+export const initializePayment = asyncHandler(async (req, res, next) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    user: req.user._id,
+  });
+
+  if (!order) {
+    return next(new ErrorResponse("Booking not found", 404));
+  }
+
+  if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+    return next(
+      new ErrorResponse(
+        order.status === "pending"
+          ? "Payment opens once the vendor confirms your booking"
+          : `Cannot pay for a ${order.status} booking`,
+        400
+      )
+    );
+  }
+
+  const amountDue = order.getAmountDue();
+  if (amountDue <= 0) {
+    return next(new ErrorResponse("This booking has already been paid", 400));
+  }
+
+  const type = req.body.type || "full";
+  if (type === "deposit" && order.amountPaid > 0) {
+    return next(
+      new ErrorResponse(
+        "A deposit has already been paid, please pay the balance",
+        400
+      )
+    );
+  }
+
+  const provider = getPaymentProvider();
+  if (!provider) {
+    return next(new ErrorResponse("Payment provider is not configured", 500));
+  }
+
+  const amount =
+    type === "deposit"
+      ? Math.min(order.getDepositAmount(), amountDue)
+      : amountDue;
+  const reference = generatePaymentReference();
+
+  let checkout;
+  try {
+    checkout = await provider.initialize({
+      reference,
+      amount,
+      currency: order.currency,
+      email: req.user.email,
+      callbackUrl: `${process.env.FRONTEND_URL}/bookings/${order._id}/payment`,
+      metadata: { orderId: order._id.toString(), type },
+    });
+  } catch (error) {
+    console.error("❌ Failed to initialize payment:", error.message);
+    return next(
+      new ErrorResponse("Could not start the payment, please try again", 502)
+    );
+  }
+
+  const payment = await Payment.create({
+    order: order._id,
+    user: req.user._id,
+    vendor: order.vendor._id,
+    provider: provider.name,
+    reference: checkout.reference,
+    authorizationUrl: checkout.authorizationUrl,
+    type,
+    amount,
+    currency: order.currency,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Payment initialized",
+    data: {
+      reference: payment.reference,
+      authorizationUrl: payment.authorizationUrl,
+      provider: payment.provider,
+      type: payment.type,
+      amount: payment.amount,
+      currency: payment.currency,
+    },
+  });
+});
+
+// @desc    Verify a payment with the gateway after checkout
+// @route   GET /api/payments/verify/:reference
+// @access  Private (User only)
+export const verifyPayment = asyncHandler(async (req, res, next) => {
+  let payment = await loadMyPayment(req);
+
+  if (payment.status === "pending") {
+    const provider = getPaymentProvider(payment.provider);
+    if (!provider) {
+      return next(
+        new ErrorResponse("Payment provider is no longer supported", 400)
+      );
+    }
+
+    let result;
+    try {
+      result = await provider.verify(payment.reference);
+    } catch (error) {
+      console.error("❌ Failed to verify payment:", error.message);
+      return next(
+        new ErrorResponse("Could not verify the payment, please try again", 502)
+      );
+    }
+
+    payment = await payment.applyResult(result);
+  }
+
+  const order = await Order.findById(payment.order);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      payment,
+      order: getPaymentSummary(order),
+    },
+  });
+});
+
+// @desc    Get the payments made on an order
+// @route   GET /api/payments/orders/:orderId
+// @access  Private (Customer or Vendor of the order)
+export const getOrderPayments = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    return next(new ErrorResponse("Order not found", 404));
+  }
+
+  const isCustomer = order.user._id.toString() === req.user._id.toString();
+  const isVendor = order.vendor.user._id.toString() === req.user._id.toString();
+  if (!isCustomer && !isVendor && !req.user.hasPermission("payments.view")) {
+    return next(new ErrorResponse("Order not found", 404));
+  }
+
+  const payments = await Payment.find({ order: order._id })
+    .select("-authorizationUrl")
+    .sort({ createdAt: -1 });
+
+  res.status(200).json({
+    success: true,
+    count: payments.length,
+    data: {
+      ...getPaymentSummary(order),
+      depositAmount: order.getDepositAmount(),
+      payments,
+    },
+  });
+});
+
+// @desc    Retry a failed refund on a cancelled order
+// @route   POST /api/payments/orders/:orderId/refund
+// @access  Private (Admin only)
+export const retryRefund = asyncHandler(async (req, res, next) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    return next(new ErrorResponse("Order not found", 404));
+  }
+
+  if (order.refundStatus !== "failed") {
+    return next(new ErrorResponse("This order has no failed refund", 400));
+  }
+
+  const before = order.$clone();
+  await order.issueRefund();
+  await order.save();
+
+  await AuditLog.record(req, "order.refund", order, { before, after: order });
+
+  if (order.refundStatus === "failed") {
+    return next(
+      new ErrorResponse(`Refund failed again: ${order.refundError}`, 502)
+    );
+  }
+
+  res.status(200).json({
+    success: true,
+    message: "Refund issued",
+    data: {
+      refundAmount: order.refundAmount,
+      refundStatus: order.refundStatus,
+      ...getPaymentSummary(order),
+    },
+  });
+});
+
+// Verify and apply a webhook event from a payment provider
+const processWebhook = async (provider, rawBody, headers) => {
+  if (!provider.verifySignature(rawBody, headers)) {
+    throw new ErrorResponse("Invalid webhook signature", 401);
+  }
+
+  const result = provider.parseEvent(JSON.parse(rawBody));
+  const payment = await Payment.findOne({
+    reference: result.reference,
+    provider: provider.name,
+  });
+
+  // Events for transactions we didn't start are acknowledged and ignored
+  if (!payment) {
+    return null;
+  }
+
+  return payment.applyResult(result);
+};
+
+// @desc    Receive payment events from a gateway
+// @route   POST /api/payments/webhook/:provider
+// @access  Public (signed by the gateway)
+export const handleWebhook = asyncHandler(async (req, res, next) => {
+  const provider = getPaymentProvider(req.params.provider);
+
+  if (!provider) {
+    return next(new ErrorResponse("Unknown payment provider", 404));
+  }
+
+  await processWebhook(provider, req.rawBody, req.headers);
+
+  res.status(200).json({
+    success: true,
+    message: "Webhook received",
+  });
+});
+
+// @desc    Complete a checkout with the local mock provider
+// @route   POST /api/payments/mock/:reference
+// @access  Private (User only, not available in production)
+export const completeMockPayment = asyncHandler(async (req, res, next) => {
+  if (process.env.NODE_ENV === "production") {
+    return next(new ErrorResponse("Mock payments are disabled", 404));
+  }
+
+  const payment = await loadMyPayment(req);
+
+  if (payment.provider !== "mock") {
+    return next(
+      new ErrorResponse("This payment was not made with the mock provider", 400)
+    );
+  }
+
+  const provider = getPaymentProvider("mock");
+  if (!provider) {
+    return next(new ErrorResponse("Mock payments are not configured", 404));
+  }
+
+  // Deliver the signed webhook the mock gateway would send
+  const { rawBody, headers } = provider.simulate(
+    payment.reference,
+    req.body.status,
+    req.body.amount ?? payment.amount,
+    payment.currency
+  );
+  const updated = await processWebhook(provider, rawBody, headers);
+
+  const order = await Order.findById(payment.order);
+
+  res.status(200).json({
+    success: true,
+    message: `Mock payment ${updated.status}`,
+    data: {
+      payment: updated,
+      order: getPaymentSummary(order),
+    },
+  });
+});
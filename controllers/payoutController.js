@@ -0,0 +1,474 @@
+import mongoose from "mongoose";
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import { resolveActingVendor } from "../middleware/auth.js";
+import Waiter from "../models/Waiter.js";
+import { Earning, Payout } from "../models/Payout.js";
+import AuditLog from "../models/AuditLog.js";
+import { toCsv } from "../utils/csv.js";
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+// Admins need the payouts.manage permission to act for any vendor
+const checkAdminAccess = (req) => {
+  if (!req.user.hasPermission("payouts.manage")) {
+    throw new ErrorResponse("Not authorized to manage payouts", 403);
+  }
+};
+
+// Resolve which vendor's earnings the request covers. Vendors act on their
+// own, or as a team member with at least teamRole; admins pick a vendor
+// (required when creating a payout)
+const resolveVendorId = async (
+  req,
+  source,
+  { required = false, teamRole = "viewer" } = {}
+) => {
+  if (req.user.role === "admin") {
+    checkAdminAccess(req);
+    if (!source.vendor && required) {
+      throw new ErrorResponse("Please select a vendor", 400);
+    }
+    return source.vendor || null;
+  }
+
+  const { vendor } = await resolveActingVendor(req.user, teamRole);
+  return vendor._id;
+};
+
+// Load a payout the current vendor or admin can manage
+const loadPayout = async (req, teamRole = "viewer") => {
+  const payout = await Payout.findById(req.params.id).populate({
+    path: "vendor",
+    select: "businessName",
+  });
+
+  if (!payout) {
+    throw new ErrorResponse("Payout not found", 404);
+  }
+
+  if (req.user.role === "vendor") {
+    const vendorId = await resolveVendorId(req, req.query, { teamRole });
+    if (payout.vendor._id.toString() !== vendorId.toString()) {
+      throw new ErrorResponse("Payout not found", 404);
+    }
+  } else {
+    checkAdminAccess(req);
+  }
+
+  return payout;
+};
+
+// @desc    Get unpaid earnings grouped by waiter
+// @route   GET /api/payouts/unpaid
+// @access  Private (Vendor, its team or Admin)
+export const getUnpaidEarnings = asyncHandler(async (req, res, next) => {
+  const vendorId = await resolveVendorId(req, req.query);
+
+  // Build query
+  let query = { status: "pending" };
+
+  if (vendorId) {
+    query.vendor = vendorId;
+  }
+
+  if (req.query.waiter) {
+    query.waiter = req.query.waiter;
+  }
+
+  const entries = await Earning.find(query)
+    .populate({
+      path: "waiter",
+      select: "user",
+    })
+    .sort({ earnedAt: 1 });
+
+  const byWaiter = entries.reduce((groups, entry) => {
+    const key = entry.waiter._id.toString();
+    if (!groups[key]) {
+      groups[key] = {
+        waiter: entry.waiter,
+        entries: [],
+        totalAmount: 0,
+      };
+    }
+    groups[key].entries.push(entry);
+    groups[key].totalAmount = roundTo(groups[key].totalAmount + entry.amount);
+    return groups;
+  }, {});
+
+  const waiters = Object.values(byWaiter);
+
+  res.status(200).json({
+    success: true,
+    count: waiters.length,
+    data: {
+      totalAmount: roundTo(
+        waiters.reduce((sum, group) => sum + group.totalAmount, 0)
+      ),
+      waiters,
+    },
+  });
+});
+
+// @desc    Group unpaid earnings into a payout batch
+// @route   POST /api/payouts
+// @access  Private (Vendor, team manager or Admin)
+export const createPayout = asyncHandler(async (req, res, next) => {
+  const vendorId = await resolveVendorId(req, req.body, {
+    required: true,
+    teamRole: "manager",
+  });
+
+  // Build query
+  let query = { vendor: vendorId, status: "pending" };
+
+  if (req.body.entryIds) {
+    query._id = { $in: req.body.entryIds };
+  }
+
+  if (req.body.waiterIds) {
+    query.waiter = { $in: req.body.waiterIds };
+  }
+
+  if (req.body.from || req.body.to) {
+    query.earnedAt = {};
+    if (req.body.from) {
+      query.earnedAt.$gte = new Date(req.body.from);
+    }
+    if (req.body.to) {
+      query.earnedAt.$lte = new Date(req.body.to);
+    }
+  }
+
+  // Claim the entries first, so a concurrent payout can't batch them twice,
+  // then build the payout from what was actually claimed
+  const payoutId = new mongoose.Types.ObjectId();
+  await Earning.updateMany(query, { status: "processing", payout: payoutId });
+
+  const entries = await Earning.find({ payout: payoutId });
+
+  if (entries.length === 0) {
+    return next(new ErrorResponse("No unpaid earnings match this payout", 400));
+  }
+
+  let payout;
+  try {
+    payout = await Payout.create({
+      _id: payoutId,
+      vendor: vendorId,
+      createdBy: req.user._id,
+      entries: entries.map((entry) => entry._id),
+      waiterCount: new Set(entries.map((entry) => entry.waiter.toString()))
+        .size,
+      totalAmount: roundTo(
+        entries.reduce((sum, entry) => sum + entry.amount, 0)
+      ),
+      currency: entries[0].currency,
+      note: req.body.note,
+    });
+  } catch (error) {
+    // Release the claimed entries so they can be batched again
+    await Earning.updateMany(
+      { payout: payoutId },
+      { status: "pending", $unset: { payout: 1 } }
+    );
+    throw error;
+  }
+
+  await AuditLog.record(req, "payout.create", payout, { after: payout });
+
+  res.status(201).json({
+    success: true,
+    message: "Payout created successfully",
+    data: payout,
+  });
+});
+
+// @desc    Get payout batches
+// @route   GET /api/payouts
+// @access  Private (Vendor, its team or Admin)
+export const getPayouts = asyncHandler(async (req, res, next) => {
+  const vendorId = await resolveVendorId(req, req.query);
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  let query = {};
+
+  if (vendorId) {
+    query.vendor = vendorId;
+  }
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const payouts = await Payout.find(query)
+    .select("-entries")
+    .populate({
+      path: "vendor",
+      select: "businessName",
+    })
+    .sort({ createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Payout.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: payouts.length,
+    total,
+    pagination,
+    data: payouts,
+  });
+});
+
+// @desc    Get a payout batch with its entries
+// @route   GET /api/payouts/:id
+// @access  Private (Vendor, its team or Admin)
+export const getPayout = asyncHandler(async (req, res, next) => {
+  const payout = await loadPayout(req);
+
+  await payout.populate({
+    path: "entries",
+    populate: {
+      path: "waiter",
+      select: "user",
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: payout,
+  });
+});
+
+// @desc    Mark a payout batch as paid
+// @route   PUT /api/payouts/:id/paid
+// @access  Private (Vendor, team manager or Admin)
+export const markPayoutPaid = asyncHandler(async (req, res, next) => {
+  const payout = await loadPayout(req, "manager");
+
+  if (payout.status !== "pending") {
+    return next(
+      new ErrorResponse(`This payout is already ${payout.status}`, 400)
+    );
+  }
+
+  const before = payout.$clone();
+  payout.status = "paid";
+  payout.reference = req.body.reference;
+  payout.paidAt = req.body.paidAt || Date.now();
+  payout.paidBy = req.user._id;
+  await payout.save();
+
+  await Earning.updateMany(
+    { payout: payout._id },
+    { status: "paid", paidAt: payout.paidAt }
+  );
+
+  await AuditLog.record(req, "payout.mark-paid", payout, {
+    before,
+    after: payout,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Payout marked as paid",
+    data: payout,
+  });
+});
+
+// @desc    Cancel a payout batch and release its entries
+// @route   PUT /api/payouts/:id/cancel
+// @access  Private (Vendor, team manager or Admin)
+export const cancelPayout = asyncHandler(async (req, res, next) => {
+  const payout = await loadPayout(req, "manager");
+
+  if (payout.status !== "pending") {
+    return next(
+      new ErrorResponse(`Cannot cancel a payout that is ${payout.status}`, 400)
+    );
+  }
+
+  const before = payout.$clone();
+  payout.status = "cancelled";
+  payout.cancelledAt = Date.now();
+  await payout.save();
+
+  await Earning.updateMany(
+    { payout: payout._id },
+    { status: "pending", $unset: { payout: 1 } }
+  );
+
+  await AuditLog.record(req, "payout.cancel", payout, {
+    before,
+    after: payout,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Payout cancelled successfully",
+    data: payout,
+  });
+});
+
+// @desc    Export a waiter's payslip for a payout batch
+// @route   GET /api/payouts/:id/payslip
+// @access  Private (Vendor, its team, Admin or the Waiter)
+export const getPayslip = asyncHandler(async (req, res, next) => {
+  let payout;
+  let waiterId = req.query.waiter;
+
+  if (req.user.role === "waiter") {
+    const waiter = await Waiter.findOne({ user: req.user._id });
+    if (!waiter) {
+      return next(new ErrorResponse("Waiter profile not found", 404));
+    }
+    waiterId = waiter._id;
+
+    payout = await Payout.findById(req.params.id).populate({
+      path: "vendor",
+      select: "businessName",
+    });
+    if (!payout) {
+      return next(new ErrorResponse("Payout not found", 404));
+    }
+  } else {
+    if (!waiterId) {
+      return next(new ErrorResponse("Please select a waiter", 400));
+    }
+    payout = await loadPayout(req);
+  }
+
+  const entries = await Earning.find({
+    payout: payout._id,
+    waiter: waiterId,
+  }).sort({ earnedAt: 1 });
+
+  if (entries.length === 0) {
+    return next(new ErrorResponse("Payslip not found", 404));
+  }
+
+  const waiter = await Waiter.findById(waiterId).withDeleted();
+
+  const payslip = {
+    payout: payout._id,
+    vendor: payout.vendor.businessName,
+    waiter: {
+      id: waiter._id,
+      name: `${waiter.user.firstName} ${waiter.user.lastName}`,
+    },
+    status: payout.status,
+    reference: payout.reference,
+    paidAt: payout.paidAt,
+    currency: payout.currency,
+    entries: entries.map((entry) => ({
+      description: entry.description,
+      earnedAt: entry.earnedAt,
+      hours: entry.hours,
+      amount: entry.amount,
+    })),
+    totalHours: roundTo(entries.reduce((sum, e) => sum + (e.hours || 0), 0)),
+    totalAmount: roundTo(entries.reduce((sum, e) => sum + e.amount, 0)),
+  };
+
+  if (req.query.format === "csv") {
+    const csv = toCsv([
+      ["Payslip", payslip.payout],
+      ["Vendor", payslip.vendor],
+      ["Waiter", payslip.waiter.name],
+      ["Status", payslip.status],
+      ["Reference", payslip.reference],
+      ["Paid At", payslip.paidAt],
+      [],
+      ["Description", "Date", "Hours", `Amount (${payslip.currency})`],
+      ...payslip.entries.map((entry) => [
+        entry.description,
+        entry.earnedAt,
+        entry.hours,
+        entry.amount,
+      ]),
+      ["Total", "", payslip.totalHours, payslip.totalAmount],
+    ]);
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="payslip-${payout._id}-${waiter._id}.csv"`
+    );
+    return res.status(200).send(csv);
+  }
+
+  res.status(200).json({
+    success: true,
+    data: payslip,
+  });
+});
+
+// @desc    Get the waiter's earnings ledger and balances
+// @route   GET /api/waiters/earnings
+// @access  Private (Waiter only)
+export const getMyEarnings = asyncHandler(async (req, res, next) => {
+  const waiter = await Waiter.findOne({ user: req.user._id });
+
+  if (!waiter) {
+    return next(new ErrorResponse("Waiter profile not found", 404));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  let query = { waiter: waiter._id };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const entries = await Earning.find(query)
+    .populate({
+      path: "vendor",
+      select: "businessName",
+    })
+    .populate({
+      path: "payout",
+      select: "status reference paidAt",
+    })
+    .sort({ earnedAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Earning.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: entries.length,
+    total,
+    pagination,
+    balances: await Earning.getBalances(waiter._id),
+    data: entries,
+  });
+});
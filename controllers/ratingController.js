@@ -2,6 +2,7 @@ import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
 import Rating from "../models/Rating.js";
 import Vendor from "../models/Vendor.js";
 import Waiter from "../models/Waiter.js";
+import AuditLog from "../models/AuditLog.js";
 
 // @desc    Get vendor ratings
 // @route   GET /api/ratings/vendor/:vendorId
@@ -251,9 +252,9 @@ export const getRatingById = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Rating not found", 404));
   }
 
-  // Check if user can view this rating (owner, rated party, or admin)
+  // Check if user can view this rating (owner, rated party, or moderator)
   const canView =
-    req.user.role === "admin" ||
+    req.user.hasPermission("ratings.moderate") ||
     rating.reviewer._id.toString() === req.user._id.toString() ||
     (rating.vendor &&
       rating.vendor.user.toString() === req.user._id.toString()) ||
@@ -280,9 +281,9 @@ export const deleteRating = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Rating not found", 404));
   }
 
-  // Check if user can delete this rating (owner or admin)
+  // Check if user can delete this rating (owner or moderator)
   const canDelete =
-    req.user.role === "admin" ||
+    req.user.hasPermission("ratings.moderate") ||
     rating.reviewer.toString() === req.user._id.toString();
 
   if (!canDelete) {
@@ -290,9 +291,15 @@ export const deleteRating = asyncHandler(async (req, res, next) => {
   }
 
   // Soft delete by marking as inactive
+  const before = rating.$clone();
   rating.isActive = false;
   await rating.save();
 
+  await AuditLog.record(req, "rating.remove", rating, {
+    before,
+    after: rating,
+  });
+
   // Update vendor/waiter ratings
   if (rating.vendor) {
     const vendor = await Vendor.findById(rating.vendor);
@@ -1,5 +1,6 @@
 import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
 import { Category, Expertise, EventType } from "../models/Reference.js";
+import AuditLog from "../models/AuditLog.js";
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -20,6 +21,8 @@ export const getCategories = asyncHandler(async (req, res, next) => {
 export const createCategory = asyncHandler(async (req, res, next) => {
   const category = await Category.create(req.body);
 
+  await AuditLog.record(req, "category.create", category, { after: category });
+
   res.status(201).json({
     success: true,
     message: "Category created successfully",
@@ -37,11 +40,17 @@ export const updateCategory = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Category not found", 404));
   }
 
+  const before = category;
   category = await Category.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
   });
 
+  await AuditLog.record(req, "category.update", category, {
+    before,
+    after: category,
+  });
+
   res.status(200).json({
     success: true,
     message: "Category updated successfully",
@@ -76,6 +85,8 @@ export const deleteCategory = asyncHandler(async (req, res, next) => {
 
   await Category.findByIdAndDelete(req.params.id);
 
+  await AuditLog.record(req, "category.delete", category, { before: category });
+
   res.status(200).json({
     success: true,
     message: "Category deleted successfully",
@@ -101,6 +112,10 @@ export const getExpertise = asyncHandler(async (req, res, next) => {
 export const createExpertise = asyncHandler(async (req, res, next) => {
   const expertise = await Expertise.create(req.body);
 
+  await AuditLog.record(req, "expertise.create", expertise, {
+    after: expertise,
+  });
+
   res.status(201).json({
     success: true,
     message: "Expertise created successfully",
@@ -118,11 +133,17 @@ export const updateExpertise = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Expertise not found", 404));
   }
 
+  const before = expertise;
   expertise = await Expertise.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
   });
 
+  await AuditLog.record(req, "expertise.update", expertise, {
+    before,
+    after: expertise,
+  });
+
   res.status(200).json({
     success: true,
     message: "Expertise updated successfully",
@@ -155,6 +176,10 @@ export const deleteExpertise = asyncHandler(async (req, res, next) => {
 
   await Expertise.findByIdAndDelete(req.params.id);
 
+  await AuditLog.record(req, "expertise.delete", expertise, {
+    before: expertise,
+  });
+
   res.status(200).json({
     success: true,
     message: "Expertise deleted successfully",
@@ -185,6 +210,10 @@ export const getEventTypes = asyncHandler(async (req, res, next) => {
 export const createEventType = asyncHandler(async (req, res, next) => {
   const eventType = await EventType.create(req.body);
 
+  await AuditLog.record(req, "event-type.create", eventType, {
+    after: eventType,
+  });
+
   // Populate the created event type
   await eventType.populate({
     path: "suggestedVendorCategories",
@@ -208,6 +237,7 @@ export const updateEventType = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse("Event type not found", 404));
   }
 
+  const before = eventType;
   eventType = await EventType.findByIdAndUpdate(req.params.id, req.body, {
     new: true,
     runValidators: true,
@@ -216,6 +246,11 @@ export const updateEventType = asyncHandler(async (req, res, next) => {
     select: "name icon",
   });
 
+  await AuditLog.record(req, "event-type.update", eventType, {
+    before,
+    after: eventType,
+  });
+
   res.status(200).json({
     success: true,
     message: "Event type updated successfully",
@@ -248,6 +283,10 @@ export const deleteEventType = asyncHandler(async (req, res, next) => {
 
   await EventType.findByIdAndDelete(req.params.id);
 
+  await AuditLog.record(req, "event-type.delete", eventType, {
+    before: eventType,
+  });
+
   res.status(200).json({
     success: true,
     message: "Event type deleted successfully",
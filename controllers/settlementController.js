@@ -0,0 +1,284 @@
+import mongoose from "mongoose";
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import Vendor from "../models/Vendor.js";
+import Payment, {
+  RETAINED_PAYMENT_STATUSES,
+  KEPT_AMOUNT,
+} from "../models/Payment.js";
+import Settlement from "../models/Settlement.js";
+import AuditLog from "../models/AuditLog.js";
+import { startOfDay, addDays } from "../utils/schedule.js";
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+// Load a settlement the current vendor or admin can see
+const loadSettlement = async (req) => {
+  const settlement = await Settlement.findById(req.params.id);
+
+  if (!settlement) {
+    throw new ErrorResponse("Settlement not found", 404);
+  }
+
+  if (req.user.role === "vendor") {
+    const vendor = await Vendor.findOne({ user: req.user._id });
+    if (!vendor || !settlement.vendor._id.equals(vendor._id)) {
+      throw new ErrorResponse("Settlement not found", 404);
+    }
+  }
+
+  return settlement;
+};
+
+// List settlements matching a query with pagination
+const listSettlements = async (req, query) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 20;
+  const startIndex = (page - 1) * limit;
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const settlements = await Settlement.find(query)
+    .select("-payments")
+    .sort({ periodStart: -1, createdAt: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Settlement.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  return { settlements, total, pagination };
+};
+
+// @desc    Generate settlement statements for a period
+// @route   POST /api/admin/settlements
+// @access  Private (Admin only)
+export const generateSettlements = asyncHandler(async (req, res, next) => {
+  const periodStart = startOfDay(req.body.from);
+  const periodEnd = startOfDay(req.body.to);
+
+  if (periodEnd < periodStart) {
+    return next(new ErrorResponse("Period end must be after its start", 400));
+  }
+
+  // Payments in the period that still hold money (after refunds) and aren't
+  // on a statement yet
+  const match = {
+    status: { $in: RETAINED_PAYMENT_STATUSES },
+    settlement: null,
+    paidAt: { $gte: periodStart, $lt: addDays(periodEnd, 1) },
+  };
+
+  if (req.body.vendor) {
+    match.vendor = new mongoose.Types.ObjectId(req.body.vendor);
+  }
+
+  // One statement per vendor and currency
+  const groups = await Payment.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { vendor: "$vendor", currency: "$currency" },
+        payments: { $push: "$_id" },
+      },
+    },
+  ]);
+
+  const settlements = [];
+  for (const group of groups) {
+    // Claim the payments first, so a concurrent run or a refund in between
+    // can't put a payment on two statements or settle refunded money
+    const settlementId = new mongoose.Types.ObjectId();
+    await Payment.updateMany(
+      {
+        _id: { $in: group.payments },
+        status: { $in: RETAINED_PAYMENT_STATUSES },
+        settlement: null,
+      },
+      { settlement: settlementId }
+    );
+
+    // Totals come from what was actually claimed
+    const [claimed] = await Payment.aggregate([
+      { $match: { settlement: settlementId } },
+      {
+        $group: {
+          _id: null,
+          payments: { $push: "$_id" },
+          grossAmount: { $sum: KEPT_AMOUNT },
+          platformFee: { $sum: "$platformFee" },
+          netAmount: { $sum: "$vendorNet" },
+        },
+      },
+    ]);
+    if (!claimed) continue;
+
+    const settlement = await Settlement.create({
+      _id: settlementId,
+      vendor: group._id.vendor,
+      periodStart,
+      periodEnd,
+      payments: claimed.payments,
+      paymentCount: claimed.payments.length,
+      grossAmount: roundTo(claimed.grossAmount),
+      platformFee: roundTo(claimed.platformFee),
+      netAmount: roundTo(claimed.netAmount),
+      currency: group._id.currency,
+      generatedBy: req.user._id,
+    });
+    settlements.push(settlement);
+
+    await AuditLog.record(req, "settlement.generate", settlement, {
+      after: settlement,
+    });
+  }
+
+  if (settlements.length === 0) {
+    return next(
+      new ErrorResponse("No unsettled payments found for this period", 400)
+    );
+  }
+
+  res.status(201).json({
+    success: true,
+    message: `${settlements.length} settlement statement${
+      settlements.length === 1 ? "" : "s"
+    } generated`,
+    count: settlements.length,
+    data: settlements,
+  });
+});
+
+// @desc    Get settlement statements
+// @route   GET /api/admin/settlements
+// @access  Private (Admin only)
+export const getSettlements = asyncHandler(async (req, res, next) => {
+  // Build query
+  let query = {};
+
+  if (req.query.vendor) {
+    query.vendor = req.query.vendor;
+  }
+
+  const { settlements, total, pagination } = await listSettlements(req, query);
+
+  res.status(200).json({
+    success: true,
+    count: settlements.length,
+    total,
+    pagination,
+    data: settlements,
+  });
+});
+
+// @desc    Get a settlement statement with its payments
+// @route   GET /api/admin/settlements/:id
+// @route   GET /api/vendors/settlements/:id
+// @access  Private (Admin or the Vendor)
+export const getSettlement = asyncHandler(async (req, res, next) => {
+  const settlement = await loadSettlement(req);
+
+  await settlement.populate({
+    path: "payments",
+    select:
+      "order reference type amount commissionRate platformFee vendorNet paidAt",
+    populate: {
+      path: "order",
+      select: "eventTitle eventDate",
+    },
+  });
+
+  res.status(200).json({
+    success: true,
+    data: settlement,
+  });
+});
+
+// @desc    Mark a settlement as paid to the vendor
+// @route   PUT /api/admin/settlements/:id/paid
+// @access  Private (Admin only)
+export const markSettlementPaid = asyncHandler(async (req, res, next) => {
+  const settlement = await loadSettlement(req);
+
+  if (settlement.status === "paid") {
+    return next(new ErrorResponse("This settlement is already paid", 400));
+  }
+
+  const before = settlement.$clone();
+  settlement.status = "paid";
+  settlement.reference = req.body.reference;
+  settlement.paidAt = req.body.paidAt || Date.now();
+  settlement.paidBy = req.user._id;
+  await settlement.save();
+
+  await AuditLog.record(req, "settlement.mark-paid", settlement, {
+    before,
+    after: settlement,
+  });
+
+  res.status(200).json({
+    success: true,
+    message: "Settlement marked as paid",
+    data: settlement,
+  });
+});
+
+// @desc    Get my settlement statements and unsettled earnings
+// @route   GET /api/vendors/settlements
+// @access  Private (Vendor only)
+export const getMySettlements = asyncHandler(async (req, res, next) => {
+  const vendor = await Vendor.findOne({ user: req.user._id });
+
+  if (!vendor) {
+    return next(new ErrorResponse("Vendor profile not found", 404));
+  }
+
+  const { settlements, total, pagination } = await listSettlements(req, {
+    vendor: vendor._id,
+  });
+
+  // Paid orders not yet on a statement
+  const unsettled = await Payment.aggregate([
+    {
+      $match: {
+        vendor: vendor._id,
+        status: { $in: RETAINED_PAYMENT_STATUSES },
+        settlement: null,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        grossAmount: { $sum: KEPT_AMOUNT },
+        platformFee: { $sum: "$platformFee" },
+        netAmount: { $sum: "$vendorNet" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  res.status(200).json({
+    success: true,
+    count: settlements.length,
+    total,
+    pagination,
+    unsettled: unsettled[0]
+      ? {
+          grossAmount: roundTo(unsettled[0].grossAmount),
+          platformFee: roundTo(unsettled[0].platformFee),
+          netAmount: roundTo(unsettled[0].netAmount),
+          count: unsettled[0].count,
+        }
+      : { grossAmount: 0, platformFee: 0, netAmount: 0, count: 0 },
+    data: settlements,
+  });
+});
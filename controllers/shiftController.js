@@ -0,0 +1,716 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import { resolveActingVendor } from "../middleware/auth.js";
+import Shift from "../models/Shift.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job } from "../models/Booking.js";
+import { sendShiftApplicationEmail } from "../utils/emailService.js";
+import { getShiftTimes } from "../utils/schedule.js";
+
+const SHIFT_FIELDS = [
+  "position",
+  "description",
+  "expertise",
+  "openings",
+  "workDate",
+  "endDate",
+  "startTime",
+  "endTime",
+  "breakMinutes",
+  "hourlyRate",
+  "overtimeAfterHours",
+  "overtimeRate",
+  "dresscode",
+  "instructions",
+];
+
+// Fields that cannot change once a waiter has been hired for the shift
+const LOCKED_FIELDS = [
+  "expertise",
+  "workDate",
+  "endDate",
+  "startTime",
+  "endTime",
+  "breakMinutes",
+  "hourlyRate",
+  "overtimeAfterHours",
+  "overtimeRate",
+];
+
+const EARTH_RADIUS_KM = 6378.1;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Split a location from the request into the address and geo point
+const buildLocation = ({ latitude, longitude, ...address }) => ({
+  location: address,
+  geoLocation:
+    latitude !== undefined && longitude !== undefined
+      ? { type: "Point", coordinates: [Number(longitude), Number(latitude)] }
+      : undefined,
+});
+
+// Shift details for a waiter, showing only their own application
+const toWaiterView = (shift, waiterId) => {
+  const { applications, ...details } = shift.toJSON();
+  const application = shift.getApplication(waiterId);
+
+  return {
+    ...details,
+    myApplication: application || null,
+  };
+};
+
+// Load the current user's waiter profile, which must be verified
+const loadVerifiedWaiter = async (req) => {
+  const waiter = await Waiter.findOne({ user: req.user._id });
+  if (!waiter) {
+    throw new ErrorResponse("Waiter profile not found", 404);
+  }
+  if (!waiter.isVerified) {
+    throw new ErrorResponse("Only verified waiters can apply for shifts", 403);
+  }
+  return waiter;
+};
+
+// Load a shift of the vendor the user acts for (see loadActingVendor)
+const loadVendorShift = async (req, vendor = req.vendor) => {
+  const shift = await Shift.findOne({ _id: req.params.id, vendor: vendor._id });
+  if (!shift) {
+    throw new ErrorResponse("Shift not found", 404);
+  }
+  return shift;
+};
+
+// @desc    Post an open shift
+// @route   POST /api/shifts
+// @access  Private (Vendor or team manager)
+export const createShift = asyncHandler(async (req, res, next) => {
+  if (req.body.orderId) {
+    const order = await Order.findOne({
+      _id: req.body.orderId,
+      vendor: req.vendor._id,
+    });
+
+    if (!order) {
+      return next(
+        new ErrorResponse("Order not found or not owned by you", 404)
+      );
+    }
+  }
+
+  const fields = SHIFT_FIELDS.reduce((data, field) => {
+    if (req.body[field] !== undefined) {
+      data[field] = req.body[field];
+    }
+    return data;
+  }, {});
+
+  const shift = await Shift.create({
+    ...fields,
+    ...buildLocation(req.body.location),
+    vendor: req.vendor._id,
+    order: req.body.orderId,
+  });
+
+  res.status(201).json({
+    success: true,
+    message: "Shift posted successfully",
+    data: shift,
+  });
+});
+
+// @desc    Get the vendor's posted shifts
+// @route   GET /api/shifts/mine
+// @access  Private (Vendor or team member)
+export const getMyShifts = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  let query = { vendor: req.vendor._id };
+
+  if (req.query.status) {
+    query.status = req.query.status;
+  }
+
+  const shifts = await Shift.find(query)
+    .sort({ workDate: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Shift.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: shifts.length,
+    total,
+    pagination,
+    data: shifts,
+  });
+});
+
+// @desc    Update a posted shift
+// @route   PUT /api/shifts/:id
+// @access  Private (Vendor or team manager)
+export const updateShift = asyncHandler(async (req, res, next) => {
+  const shift = await loadVendorShift(req);
+
+  if (shift.status === "closed") {
+    return next(new ErrorResponse("Cannot update a closed shift", 400));
+  }
+
+  if (shift.filled > 0) {
+    const locked = LOCKED_FIELDS.filter(
+      (field) => req.body[field] !== undefined
+    );
+    if (locked.length > 0) {
+      return next(
+        new ErrorResponse(
+          `Cannot change ${locked.join(", ")} after waiters have been hired`,
+          400
+        )
+      );
+    }
+  }
+
+  if (req.body.openings !== undefined && req.body.openings < shift.filled) {
+    return next(
+      new ErrorResponse(
+        `Openings cannot be fewer than the ${shift.filled} waiters already hired`,
+        400
+      )
+    );
+  }
+
+  SHIFT_FIELDS.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      shift[field] = req.body[field];
+    }
+  });
+
+  if (req.body.location) {
+    const { location, geoLocation } = buildLocation(req.body.location);
+    Object.entries(location).forEach(([key, value]) => {
+      shift.set(`location.${key}`, value);
+    });
+    if (geoLocation) {
+      shift.geoLocation = geoLocation;
+    }
+  }
+
+  shift.updateFillStatus();
+  await shift.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Shift updated successfully",
+    data: shift,
+  });
+});
+
+// @desc    Close a shift to new applications
+// @route   PUT /api/shifts/:id/close
+// @access  Private (Vendor or team manager)
+export const closeShift = asyncHandler(async (req, res, next) => {
+  const shift = await loadVendorShift(req);
+
+  if (shift.status === "closed") {
+    return next(new ErrorResponse("Shift is already closed", 400));
+  }
+
+  // Applications still waiting for a response will not be accepted
+  shift.applications.forEach((application) => {
+    if (application.status === "pending") {
+      application.status = "rejected";
+      application.respondedAt = Date.now();
+    }
+  });
+
+  shift.status = "closed";
+  shift.closedAt = Date.now();
+  await shift.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Shift closed successfully",
+    data: shift,
+  });
+});
+
+// @desc    Get applicants for a shift
+// @route   GET /api/shifts/:id/applications
+// @access  Private (Vendor or team member)
+export const getShiftApplications = asyncHandler(async (req, res, next) => {
+  const shift = await loadVendorShift(req);
+
+  await shift.populate({
+    path: "applications.waiter",
+    select:
+      "user expertise yearsOfExperience averageRating totalRatings hourlyRate completedJobs location.city serviceAreas",
+  });
+
+  const applications = req.query.status
+    ? shift.applications.filter((app) => app.status === req.query.status)
+    : shift.applications;
+
+  res.status(200).json({
+    success: true,
+    count: applications.length,
+    data: {
+      openings: shift.openings,
+      filled: shift.filled,
+      status: shift.status,
+      applications,
+    },
+  });
+});
+
+// Accept or reject a waiter's application
+const respondToApplication = (accept) =>
+  asyncHandler(async (req, res, next) => {
+    let shift = await loadVendorShift(req);
+
+    let application = shift.applications.id(req.params.applicationId);
+    if (!application) {
+      return next(new ErrorResponse("Application not found", 404));
+    }
+
+    if (application.status !== "pending") {
+      return next(
+        new ErrorResponse(
+          `This application has already been ${application.status}`,
+          400
+        )
+      );
+    }
+
+    const waiter = await Waiter.findById(application.waiter);
+    if (!waiter) {
+      return next(new ErrorResponse("Waiter not found", 404));
+    }
+
+    let job = null;
+
+    if (accept) {
+      if (shift.status !== "open") {
+        return next(new ErrorResponse(`This shift is ${shift.status}`, 400));
+      }
+
+      // The waiter may have accepted another job since applying
+      const conflicts = await waiter.getJobConflicts(shift);
+      if (conflicts.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Waiter has since accepted an overlapping job",
+          conflicts,
+        });
+      }
+
+      // Take the opening before creating the job, so concurrent acceptances
+      // can't over-fill the shift
+      const claimed = await shift.claimOpening(application._id);
+      if (!claimed) {
+        return next(
+          new ErrorResponse(
+            "This shift has been filled or the application has already been answered",
+            400
+          )
+        );
+      }
+
+      // The waiter applied, so the job starts out accepted
+      try {
+        job = await Job.create({
+          ...shift.getJobDetails(),
+          waiter: waiter._id,
+          status: "accepted",
+          respondedAt: Date.now(),
+        });
+      } catch (error) {
+        await shift.releaseOpening(application._id);
+        throw error;
+      }
+
+      await Shift.updateOne(
+        { _id: shift._id },
+        { $set: { "applications.$[application].job": job._id } },
+        { arrayFilters: [{ "application._id": application._id }] }
+      );
+
+      waiter.totalJobs += 1;
+      await waiter.save();
+
+      // Reload to mark the shift filled from its current applications
+      shift = await Shift.findById(shift._id);
+      application = shift.applications.id(req.params.applicationId);
+    } else {
+      application.status = "rejected";
+      application.respondedAt = Date.now();
+    }
+
+    shift.updateFillStatus();
+    await shift.save();
+
+    // Notify the waiter (don't fail the response if email fails)
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      try {
+        await sendShiftApplicationEmail(waiter, shift, application.status);
+        console.log("✅ Shift application email sent successfully");
+      } catch (error) {
+        console.error(
+          "❌ Failed to send shift application email:",
+          error.message
+        );
+      }
+    } else {
+      console.log(
+        "⚠️ Email credentials not configured, skipping shift application email"
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      message: accept
+        ? "Application accepted and job created"
+        : "Application rejected",
+      data: {
+        application,
+        job,
+        shift: {
+          status: shift.status,
+          openings: shift.openings,
+          filled: shift.filled,
+        },
+      },
+    });
+  });
+
+// @desc    Accept a shift application
+// @route   PUT /api/shifts/:id/applications/:applicationId/accept
+// @access  Private (Vendor or team manager)
+export const acceptApplication = respondToApplication(true);
+
+// @desc    Reject a shift application
+// @route   PUT /api/shifts/:id/applications/:applicationId/reject
+// @access  Private (Vendor or team manager)
+export const rejectApplication = respondToApplication(false);
+
+// @desc    Browse open shifts matching the waiter's profile
+// @route   GET /api/shifts
+// @access  Private (Verified waiters only)
+export const getOpenShifts = asyncHandler(async (req, res, next) => {
+  const waiter = await loadVerifiedWaiter(req);
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 12;
+  const startIndex = (page - 1) * limit;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  // Build query
+  let query = { status: "open", workDate: { $gte: today } };
+  const conditions = [];
+
+  // Only shifts the waiter has the expertise for, unless asked otherwise
+  if (req.query.expertise) {
+    query.expertise = req.query.expertise;
+  } else if (req.query.matchExpertise !== "false") {
+    conditions.push({
+      $or: [
+        { expertise: null },
+        { expertise: { $in: waiter.expertise.map((e) => e._id || e) } },
+      ],
+    });
+  }
+
+  // Only shifts in the waiter's service areas
+  if (req.query.inServiceAreas === "true") {
+    if (!waiter.serviceAreas || waiter.serviceAreas.length === 0) {
+      return next(
+        new ErrorResponse("Add service areas to your profile first", 400)
+      );
+    }
+
+    const areas = waiter.serviceAreas.map(
+      (area) => new RegExp(`^${escapeRegex(area)}$`, "i")
+    );
+    conditions.push({
+      $or: [
+        { "location.city": { $in: areas } },
+        { "location.state": { $in: areas } },
+      ],
+    });
+  }
+
+  // Filter by location (city/state)
+  if (req.query.location) {
+    conditions.push({
+      $or: [
+        { "location.city": { $regex: req.query.location, $options: "i" } },
+        { "location.state": { $regex: req.query.location, $options: "i" } },
+      ],
+    });
+  }
+
+  // Only shifts within a radius (km) of the waiter
+  if (req.query.radius) {
+    const coordinates = waiter.location?.coordinates;
+    if (!coordinates || coordinates.length !== 2) {
+      return next(
+        new ErrorResponse(
+          "Add your location to your profile to find shifts near you",
+          400
+        )
+      );
+    }
+
+    query.geoLocation = {
+      $geoWithin: {
+        $centerSphere: [
+          coordinates,
+          parseFloat(req.query.radius) / EARTH_RADIUS_KM,
+        ],
+      },
+    };
+  }
+
+  if (req.query.from) {
+    query.workDate.$gte = new Date(req.query.from);
+  }
+  if (req.query.to) {
+    query.workDate.$lte = new Date(req.query.to);
+  }
+
+  if (req.query.minRate) {
+    query.hourlyRate = { $gte: parseFloat(req.query.minRate) };
+  }
+
+  if (conditions.length > 0) {
+    query.$and = conditions;
+  }
+
+  // Build sort object
+  let sort = {};
+  if (req.query.sortBy === "rate") {
+    sort.hourlyRate = -1;
+  } else if (req.query.sortBy === "newest") {
+    sort.createdAt = -1;
+  } else {
+    sort.workDate = 1;
+  }
+
+  const shifts = await Shift.find(query)
+    .sort(sort)
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Shift.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: shifts.length,
+    total,
+    pagination,
+    data: shifts.map((shift) => toWaiterView(shift, waiter._id)),
+  });
+});
+
+// @desc    Get the waiter's shift applications
+// @route   GET /api/shifts/applications
+// @access  Private (Waiter only)
+export const getMyApplications = asyncHandler(async (req, res, next) => {
+  const waiter = await Waiter.findOne({ user: req.user._id });
+
+  if (!waiter) {
+    return next(new ErrorResponse("Waiter profile not found", 404));
+  }
+
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  const query = req.query.status
+    ? {
+        applications: {
+          $elemMatch: { waiter: waiter._id, status: req.query.status },
+        },
+      }
+    : { "applications.waiter": waiter._id };
+
+  const shifts = await Shift.find(query)
+    .sort({ workDate: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Shift.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: shifts.length,
+    total,
+    pagination,
+    data: shifts.map((shift) => toWaiterView(shift, waiter._id)),
+  });
+});
+
+// @desc    Get a single shift
+// @route   GET /api/shifts/:id
+// @access  Private (Owning vendor, its team or waiter)
+export const getShift = asyncHandler(async (req, res, next) => {
+  if (req.user.role === "vendor") {
+    const { vendor } = await resolveActingVendor(req.user);
+    const shift = await loadVendorShift(req, vendor);
+
+    return res.status(200).json({
+      success: true,
+      data: shift,
+    });
+  }
+
+  const waiter = await Waiter.findOne({ user: req.user._id });
+  if (!waiter) {
+    return next(new ErrorResponse("Waiter profile not found", 404));
+  }
+
+  const shift = await Shift.findById(req.params.id);
+  if (!shift) {
+    return next(new ErrorResponse("Shift not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    data: toWaiterView(shift, waiter._id),
+  });
+});
+
+// @desc    Apply for an open shift
+// @route   POST /api/shifts/:id/apply
+// @access  Private (Verified waiters only)
+export const applyToShift = asyncHandler(async (req, res, next) => {
+  const waiter = await loadVerifiedWaiter(req);
+
+  const shift = await Shift.findById(req.params.id);
+  if (!shift) {
+    return next(new ErrorResponse("Shift not found", 404));
+  }
+
+  if (shift.status !== "open") {
+    return next(new ErrorResponse("This shift is no longer open", 400));
+  }
+
+  const { startsAt } = getShiftTimes(
+    shift.workDate,
+    shift.startTime,
+    shift.endTime,
+    shift.endDate
+  );
+  if (startsAt <= new Date()) {
+    return next(new ErrorResponse("This shift has already started", 400));
+  }
+
+  // Waiters can only apply again after withdrawing
+  const existing = shift.getApplication(waiter._id);
+  if (existing && existing.status !== "withdrawn") {
+    return next(
+      new ErrorResponse(
+        existing.status === "rejected"
+          ? "Your application for this shift was not accepted"
+          : "You have already applied for this shift",
+        400
+      )
+    );
+  }
+
+  if (shift.expertise && !waiter.hasExpertise(shift.expertise._id)) {
+    return next(
+      new ErrorResponse(
+        `This shift requires ${shift.expertise.name} expertise`,
+        400
+      )
+    );
+  }
+
+  const conflicts = await waiter.getJobConflicts(shift);
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: "This shift overlaps a job you have already accepted",
+      conflicts,
+    });
+  }
+
+  shift.applications.push({
+    waiter: waiter._id,
+    message: req.body.message,
+  });
+  await shift.save();
+
+  res.status(201).json({
+    success: true,
+    message: "Application submitted successfully",
+    data: shift.getApplication(waiter._id),
+  });
+});
+
+// @desc    Withdraw a pending shift application
+// @route   PUT /api/shifts/:id/withdraw
+// @access  Private (Waiter only)
+export const withdrawApplication = asyncHandler(async (req, res, next) => {
+  const waiter = await Waiter.findOne({ user: req.user._id });
+
+  if (!waiter) {
+    return next(new ErrorResponse("Waiter profile not found", 404));
+  }
+
+  const shift = await Shift.findById(req.params.id);
+  if (!shift) {
+    return next(new ErrorResponse("Shift not found", 404));
+  }
+
+  const application = shift.getApplication(waiter._id);
+  if (!application || application.status !== "pending") {
+    return next(
+      new ErrorResponse("You have no pending application for this shift", 400)
+    );
+  }
+
+  application.status = "withdrawn";
+  application.respondedAt = Date.now();
+  await shift.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Application withdrawn successfully",
+    data: application,
+  });
+});
@@ -0,0 +1,285 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import Waiter from "../models/Waiter.js";
+import { Order, Job, STAFFED_JOB_STATUSES } from "../models/Booking.js";
+import { sendJobOfferEmail } from "../utils/emailService.js";
+
+// Orders in these statuses can no longer be staffed
+const CLOSED_ORDER_STATUSES = ["completed", "cancelled", "refunded"];
+
+// Job statuses that still hold an offer or a place for a waiter
+const ACTIVE_JOB_STATUSES = ["pending", ...STAFFED_JOB_STATUSES];
+
+const POSITION_FIELDS = [
+  "position",
+  "count",
+  "expertise",
+  "hourlyRate",
+  "startTime",
+  "endTime",
+  "breakMinutes",
+  "overtimeAfterHours",
+  "overtimeRate",
+  "responsibilities",
+  "instructions",
+  "dresscode",
+];
+
+// Load an order of the vendor the user acts for (see loadActingVendor)
+const loadVendorOrder = async (req) => {
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    vendor: req.vendor._id,
+  });
+  if (!order) {
+    throw new ErrorResponse("Order not found", 404);
+  }
+
+  return { vendor: req.vendor, order };
+};
+
+// Pick the editable fields of a staffing position from the request
+const pickPositionFields = (data) =>
+  POSITION_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+    return fields;
+  }, {});
+
+// @desc    Get an order's staffing plan with filled and offered counts
+// @route   GET /api/vendors/orders/:orderId/staffing
+// @access  Private (Vendor or team member)
+export const getStaffingPlan = asyncHandler(async (req, res, next) => {
+  const { order } = await loadVendorOrder(req);
+
+  const jobs = await Job.find({
+    order: order._id,
+    staffingPosition: { $ne: null },
+  })
+    .select("waiter staffingPosition position status respondedAt")
+    .sort({ createdAt: 1 });
+
+  const positions = order.staffing.positions.map((position) => {
+    const positionJobs = jobs.filter(
+      (job) => job.staffingPosition.toString() === position._id.toString()
+    );
+
+    return {
+      ...position.toObject(),
+      offered: positionJobs.filter((job) => job.status === "pending").length,
+      open: Math.max(position.count - position.filled, 0),
+      jobs: positionJobs,
+    };
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      isFullyStaffed: order.staffing.isFullyStaffed,
+      fullyStaffedAt: order.staffing.fullyStaffedAt,
+      totalNeeded: positions.reduce((sum, p) => sum + p.count, 0),
+      totalFilled: positions.reduce((sum, p) => sum + p.filled, 0),
+      positions,
+    },
+  });
+});
+
+// @desc    Create or update an order's staffing plan
+// @route   PUT /api/vendors/orders/:orderId/staffing
+// @access  Private (Vendor or team manager)
+export const updateStaffingPlan = asyncHandler(async (req, res, next) => {
+  const { order } = await loadVendorOrder(req);
+
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    return next(
+      new ErrorResponse(
+        `Cannot change staffing for a ${order.status} order`,
+        400
+      )
+    );
+  }
+
+  const existing = order.staffing.positions;
+  const keptIds = req.body.positions
+    .filter((data) => data._id)
+    .map((data) => data._id.toString());
+
+  // Positions with offers out or waiters hired cannot be dropped
+  const activeJobs = await Job.find({
+    order: order._id,
+    staffingPosition: { $ne: null },
+    status: { $in: ACTIVE_JOB_STATUSES },
+  }).select("staffingPosition");
+
+  const removed = existing.find(
+    (position) =>
+      !keptIds.includes(position._id.toString()) &&
+      activeJobs.some(
+        (job) => job.staffingPosition.toString() === position._id.toString()
+      )
+  );
+  if (removed) {
+    return next(
+      new ErrorResponse(
+        `Cannot remove the ${removed.position} position while it has active jobs`,
+        400
+      )
+    );
+  }
+
+  const positions = [];
+  for (const data of req.body.positions) {
+    if (!data._id) {
+      positions.push(pickPositionFields(data));
+      continue;
+    }
+
+    const position = existing.id(data._id);
+    if (!position) {
+      return next(new ErrorResponse("Staffing position not found", 404));
+    }
+    position.set(pickPositionFields(data));
+    positions.push(position);
+  }
+
+  order.staffing.positions = positions;
+  await order.updateStaffing();
+
+  const overfilled = order.staffing.positions.find(
+    (position) => position.filled > position.count
+  );
+  if (overfilled) {
+    return next(
+      new ErrorResponse(
+        `Cannot reduce ${overfilled.position} below the ${overfilled.filled} staff already hired`,
+        400
+      )
+    );
+  }
+
+  await order.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Staffing plan updated successfully",
+    data: order.staffing,
+  });
+});
+
+// @desc    Send job offers for a staffing position to several waiters
+// @route   POST /api/vendors/orders/:orderId/staffing/:positionId/offers
+// @access  Private (Vendor or team manager)
+export const sendStaffingOffers = asyncHandler(async (req, res, next) => {
+  const { vendor, order } = await loadVendorOrder(req);
+
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) {
+    return next(new ErrorResponse(`Cannot staff a ${order.status} order`, 400));
+  }
+
+  const position = order.staffing.positions.id(req.params.positionId);
+  if (!position) {
+    return next(new ErrorResponse("Staffing position not found", 404));
+  }
+
+  if (position.filled >= position.count) {
+    return next(
+      new ErrorResponse(
+        `All ${position.position} positions have already been filled`,
+        400
+      )
+    );
+  }
+
+  const shift = order.getStaffingShift(position);
+
+  // Waiters who already hold an offer or a place for this position
+  const existingJobs = await Job.find({
+    order: order._id,
+    staffingPosition: position._id,
+    status: { $in: ACTIVE_JOB_STATUSES },
+  }).select("waiter");
+  const offeredWaiters = existingJobs.map((job) => job.waiter._id.toString());
+
+  const waiterIds = [...new Set(req.body.waiterIds.map(String))];
+  const sent = [];
+  const skipped = [];
+
+  for (const waiterId of waiterIds) {
+    const waiter = await Waiter.findById(waiterId);
+
+    if (!waiter) {
+      skipped.push({ waiter: waiterId, reason: "Waiter not found" });
+      continue;
+    }
+
+    if (!waiter.isAvailable) {
+      skipped.push({
+        waiter: waiterId,
+        reason: "Waiter is currently not available",
+      });
+      continue;
+    }
+
+    if (offeredWaiters.includes(waiterId)) {
+      skipped.push({
+        waiter: waiterId,
+        reason: "Waiter already has an offer for this position",
+      });
+      continue;
+    }
+
+    if (position.expertise && !waiter.hasExpertise(position.expertise)) {
+      skipped.push({
+        waiter: waiterId,
+        reason: "Waiter does not have the required expertise",
+      });
+      continue;
+    }
+
+    const conflicts = await waiter.getScheduleConflicts({
+      ...shift,
+      overrideAvailability: req.body.overrideAvailability,
+    });
+    if (conflicts.length > 0) {
+      skipped.push({
+        waiter: waiterId,
+        reason: "Waiter has schedule conflicts for this shift",
+        conflicts,
+      });
+      continue;
+    }
+
+    const job = await Job.create({
+      vendor: vendor._id,
+      waiter: waiter._id,
+      order: order._id,
+      staffingPosition: position._id,
+      ...shift,
+    });
+    sent.push(job);
+
+    // Send job offer email (don't fail the offers if email fails)
+    if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+      try {
+        await sendJobOfferEmail(waiter, job, vendor);
+      } catch (error) {
+        console.error("❌ Failed to send job offer email:", error.message);
+      }
+    }
+  }
+
+  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
+    console.log(
+      "⚠️ Email credentials not configured, skipping job offer emails"
+    );
+  }
+
+  res.status(sent.length ? 201 : 200).json({
+    success: true,
+    message: `${sent.length} job offer${sent.length === 1 ? "" : "s"} sent`,
+    data: {
+      sent,
+      skipped,
+    },
+  });
+});
@@ -0,0 +1,253 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import User from "../models/User.js";
+import Vendor from "../models/Vendor.js";
+import VendorMember from "../models/VendorMember.js";
+import { sendTeamInvitationEmail } from "../utils/emailService.js";
+
+// Check that an account can join a vendor team: only vendor accounts that
+// don't run their own business and aren't on another team can
+const checkCanJoinTeam = async (user) => {
+  if (user.deletedAt) {
+    throw new ErrorResponse("This email belongs to a deleted account", 400);
+  }
+
+  if (user.role !== "vendor") {
+    throw new ErrorResponse(
+      `This email belongs to a ${user.role} account, which can't join a vendor team`,
+      400
+    );
+  }
+
+  if (await Vendor.exists({ user: user._id })) {
+    throw new ErrorResponse("This email belongs to another vendor", 400);
+  }
+
+  if (await VendorMember.exists({ user: user._id, status: "active" })) {
+    throw new ErrorResponse("This account is already on a vendor team", 400);
+  }
+};
+
+// Send the invitation email. When email is not configured the token is
+// printed to the console outside production, never returned to the inviter.
+const sendInvitation = async (member, vendor, inviter, inviteToken) => {
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      await sendTeamInvitationEmail(
+        member.email,
+        vendor,
+        inviter,
+        member.role,
+        inviteToken
+      );
+      console.log("✅ Team invitation email sent successfully");
+    } catch (error) {
+      console.error("❌ Failed to send team invitation email:", error.message);
+    }
+    return;
+  }
+
+  console.log(
+    "⚠️ Email credentials not configured, skipping team invitation email"
+  );
+  if (process.env.NODE_ENV !== "production") {
+    console.log(`⚠️ Team invitation token for ${member.email}: ${inviteToken}`);
+  }
+};
+
+// Load a membership of the current vendor's team
+const loadMember = async (req) => {
+  const member = await VendorMember.findOne({
+    _id: req.params.memberId,
+    vendor: req.vendor._id,
+    status: { $ne: "removed" },
+  });
+
+  if (!member) {
+    throw new ErrorResponse("Team member not found", 404);
+  }
+
+  return member;
+};
+
+// @desc    Get the vendor's team and pending invitations
+// @route   GET /api/vendors/team
+// @access  Private (Vendor or team member)
+export const getTeam = asyncHandler(async (req, res, next) => {
+  const members = await VendorMember.find({
+    vendor: req.vendor._id,
+    status: { $ne: "removed" },
+  })
+    .populate({
+      path: "user",
+      select: "firstName lastName email phone profilePicture",
+    })
+    .sort({ createdAt: 1 });
+
+  res.status(200).json({
+    success: true,
+    count: members.length,
+    data: {
+      owner: req.vendor.user,
+      teamRole: req.teamRole,
+      members,
+    },
+  });
+});
+
+// @desc    Invite someone to the vendor's team by email
+// @route   POST /api/vendors/team
+// @access  Private (Vendor or team owner)
+export const inviteTeamMember = asyncHandler(async (req, res, next) => {
+  const { email, role } = req.body;
+  const vendor = req.vendor;
+
+  if (vendor.user.email === email) {
+    return next(new ErrorResponse("This email belongs to the vendor", 400));
+  }
+
+  let member = await VendorMember.findOne({ vendor: vendor._id, email });
+  if (member && member.status === "active") {
+    return next(new ErrorResponse("This person is already on your team", 400));
+  }
+
+  const existingUser = await User.findOne({ email }).withDeleted();
+  if (existingUser) {
+    await checkCanJoinTeam(existingUser);
+  }
+
+  // Inviting a pending or removed member again sends a fresh invitation
+  if (!member) {
+    member = new VendorMember({ vendor: vendor._id, email });
+  }
+  member.role = role;
+  member.invitedBy = req.user._id;
+  member.removedAt = undefined;
+
+  const inviteToken = member.getInviteToken();
+  await member.save();
+
+  await sendInvitation(member, vendor, req.user, inviteToken);
+
+  res.status(201).json({
+    success: true,
+    message: "Invitation sent successfully",
+    data: member,
+  });
+});
+
+// @desc    Change a team member's role
+// @route   PUT /api/vendors/team/:memberId
+// @access  Private (Vendor or team owner)
+export const updateTeamMember = asyncHandler(async (req, res, next) => {
+  const member = await loadMember(req);
+
+  if (member.user && member.user.toString() === req.user._id.toString()) {
+    return next(new ErrorResponse("You cannot change your own team role", 400));
+  }
+
+  member.role = req.body.role;
+  await member.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Team member updated successfully",
+    data: member,
+  });
+});
+
+// @desc    Remove a team member or cancel an invitation
+// @route   DELETE /api/vendors/team/:memberId
+// @access  Private (Vendor or team owner)
+export const removeTeamMember = asyncHandler(async (req, res, next) => {
+  const member = await loadMember(req);
+
+  if (member.user && member.user.toString() === req.user._id.toString()) {
+    return next(
+      new ErrorResponse("You cannot remove yourself from the team", 400)
+    );
+  }
+
+  // Keep the membership so messages the member sent stay the vendor's own
+  member.status = "removed";
+  member.removedAt = Date.now();
+  member.inviteTokenHash = undefined;
+  member.inviteExpire = undefined;
+  await member.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Team member removed successfully",
+  });
+});
+
+// @desc    Accept a team invitation, creating an account if needed
+// @route   POST /api/vendors/team/invitations/:token/accept
+// @access  Public
+export const acceptTeamInvitation = asyncHandler(async (req, res, next) => {
+  const member = await VendorMember.findByInviteToken(req.params.token);
+  const vendor = member && (await Vendor.findById(member.vendor));
+
+  // Invitations to a vendor that has since been deleted lapse
+  if (!vendor) {
+    return next(new ErrorResponse("Invalid or expired invitation", 400));
+  }
+
+  const { firstName, lastName, phone, password } = req.body;
+  let user = await User.findOne({ email: member.email })
+    .withDeleted()
+    .select("+password");
+  let statusCode = 200;
+
+  if (user) {
+    // Existing accounts confirm the invitation with their password
+    const isMatch = await user.matchPassword(password);
+    if (!isMatch) {
+      return next(new ErrorResponse("Invalid credentials", 401));
+    }
+
+    await checkCanJoinTeam(user);
+  } else {
+    if (!firstName || !lastName || !phone) {
+      return next(
+        new ErrorResponse(
+          "Please provide your first name, last name and phone number",
+          400
+        )
+      );
+    }
+
+    if (await User.exists({ phone }).withDeleted()) {
+      return next(new ErrorResponse("Phone number already registered", 400));
+    }
+
+    // The invitation link proves the email address, and the vendor vouches
+    // for the member, so the account needs no further approval
+    user = await User.create({
+      firstName,
+      lastName,
+      email: member.email,
+      phone,
+      password,
+      role: "vendor",
+      isApproved: true,
+      isEmailVerified: true,
+    });
+    statusCode = 201;
+  }
+
+  member.user = user._id;
+  member.status = "active";
+  member.acceptedAt = Date.now();
+  member.inviteTokenHash = undefined;
+  member.inviteExpire = undefined;
+  await member.save();
+
+  res.status(statusCode).json({
+    success: true,
+    message: `You have joined ${vendor.businessName}. Please log in to continue`,
+    data: {
+      vendor: { _id: vendor._id, businessName: vendor.businessName },
+      role: member.role,
+    },
+  });
+});
@@ -0,0 +1,265 @@
+import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
+import Waiter from "../models/Waiter.js";
+import { Job } from "../models/Booking.js";
+import { getShiftTimes } from "../utils/schedule.js";
+
+// Load a job assigned to the current waiter
+const loadWaiterJob = async (req) => {
+  const waiter = await Waiter.findOne({ user: req.user._id });
+  if (!waiter) {
+    throw new ErrorResponse("Waiter profile not found", 404);
+  }
+
+  const job = await Job.findOne({ _id: req.params.jobId, waiter: waiter._id });
+  if (!job) {
+    throw new ErrorResponse("Job not found", 404);
+  }
+
+  return { waiter, job };
+};
+
+// Check the waiter's position against the venue, returning where they were
+const checkPosition = async (job, { latitude, longitude }, action) => {
+  const position = {
+    latitude: parseFloat(latitude),
+    longitude: parseFloat(longitude),
+  };
+  const geofence = await job.checkGeofence(position);
+
+  if (!geofence.withinRadius) {
+    throw new ErrorResponse(
+      `You are ${geofence.distance}m from the venue. Please ${action} within ${geofence.radius}m`,
+      400
+    );
+  }
+
+  return {
+    location: { ...position, distance: geofence.distance },
+    verified: geofence.verified,
+  };
+};
+
+// @desc    Clock in to a job at the venue
+// @route   PUT /api/waiters/jobs/:jobId/clock-in
+// @access  Private (Waiter only)
+export const clockIn = asyncHandler(async (req, res, next) => {
+  const { job } = await loadWaiterJob(req);
+
+  if (job.status !== "accepted" || job.timesheet.status !== "not-started") {
+    return next(
+      new ErrorResponse(
+        "You can only clock in to an accepted job you have not started",
+        400
+      )
+    );
+  }
+
+  // Clock-in opens shortly before the shift starts
+  const earlyMinutes = parseInt(process.env.CLOCK_IN_EARLY_MINUTES, 10) || 60;
+  const { startsAt, endsAt } = getShiftTimes(
+    job.workDate,
+    job.startTime,
+    job.endTime,
+    job.endDate
+  );
+  const now = new Date();
+
+  if (now < new Date(startsAt.getTime() - earlyMinutes * 60 * 1000)) {
+    return next(
+      new ErrorResponse(
+        `Clock-in opens ${earlyMinutes} minutes before the shift starts`,
+        400
+      )
+    );
+  }
+
+  if (now > endsAt) {
+    return next(new ErrorResponse("This shift has already ended", 400));
+  }
+
+  const { location, verified } = await checkPosition(job, req.body, "clock in");
+
+  job.timesheet.status = "clocked-in";
+  job.timesheet.clockInAt = now;
+  job.timesheet.clockInLocation = location;
+  job.timesheet.locationVerified = verified;
+  job.status = "in-progress";
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Clocked in successfully",
+    data: job.timesheet,
+  });
+});
+
+// @desc    Clock out of a job and submit the timesheet
+// @route   PUT /api/waiters/jobs/:jobId/clock-out
+// @access  Private (Waiter only)
+export const clockOut = asyncHandler(async (req, res, next) => {
+  const { waiter, job } = await loadWaiterJob(req);
+
+  if (job.timesheet.status !== "clocked-in") {
+    return next(new ErrorResponse("You have not clocked in to this job", 400));
+  }
+
+  const { location, verified } = await checkPosition(
+    job,
+    req.body,
+    "clock out"
+  );
+
+  job.clockOut(location);
+  job.timesheet.locationVerified = job.timesheet.locationVerified && verified;
+  job.status = "completed";
+  job.completedAt = Date.now();
+  await job.save();
+
+  waiter.completedJobs += 1;
+  await waiter.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Clocked out successfully. Timesheet submitted for approval",
+    data: {
+      timesheet: job.timesheet,
+      totalHours: job.totalHours,
+      overtimeHours: job.overtimeHours,
+      totalAmount: job.totalAmount,
+    },
+  });
+});
+
+// @desc    Get timesheets for the vendor's jobs
+// @route   GET /api/waiters/timesheets
+// @access  Private (Vendor or team member)
+export const getTimesheets = asyncHandler(async (req, res, next) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = parseInt(req.query.limit, 10) || 10;
+  const startIndex = (page - 1) * limit;
+
+  // Build query
+  let query = {
+    vendor: req.vendor._id,
+    "timesheet.status": req.query.status || { $ne: "not-started" },
+  };
+
+  if (req.query.order) {
+    query.order = req.query.order;
+  }
+
+  const jobs = await Job.find(query)
+    .select(
+      "waiter order position workDate startTime endTime breakMinutes hourlyRate totalHours overtimeHours totalAmount currency status timesheet"
+    )
+    .sort({ workDate: -1 })
+    .skip(startIndex)
+    .limit(limit);
+
+  const total = await Job.countDocuments(query);
+
+  // Pagination
+  const pagination = {};
+  if (startIndex + limit < total) {
+    pagination.next = { page: page + 1, limit };
+  }
+  if (startIndex > 0) {
+    pagination.prev = { page: page - 1, limit };
+  }
+
+  res.status(200).json({
+    success: true,
+    count: jobs.length,
+    total,
+    pagination,
+    data: jobs,
+  });
+});
+
+// @desc    Approve or dispute a job timesheet
+// @route   PUT /api/waiters/jobs/:jobId/timesheet
+// @access  Private (Vendor or team manager)
+export const reviewTimesheet = asyncHandler(async (req, res, next) => {
+  const job = await Job.findOne({
+    _id: req.params.jobId,
+    vendor: req.vendor._id,
+  });
+
+  if (!job) {
+    return next(new ErrorResponse("Job not found", 404));
+  }
+
+  const { timesheet } = job;
+
+  // Jobs completed without clocking in are reviewed on their scheduled hours,
+  // since their earnings are only paid out once approved
+  const reviewable =
+    ["submitted", "disputed"].includes(timesheet.status) ||
+    (timesheet.status === "not-started" && job.status === "completed");
+
+  if (!reviewable) {
+    return next(
+      new ErrorResponse(
+        timesheet.status === "approved"
+          ? "This timesheet has already been approved"
+          : "This timesheet has not been submitted yet",
+        400
+      )
+    );
+  }
+
+  if (req.body.action === "approve") {
+    // Vendors can correct the hours when approving; pay follows the hours.
+    // Multi-day jobs are corrected day by day, so overtime is paid per day.
+    const days = job.getWorkDays().length;
+    let dailyHours = req.body.dailyHours;
+    if (dailyHours === undefined && req.body.hours !== undefined) {
+      if (days > 1) {
+        return next(
+          new ErrorResponse(
+            `Please give dailyHours with the hours for each of the job's ${days} days`,
+            400
+          )
+        );
+      }
+      dailyHours = [req.body.hours];
+    }
+
+    if (dailyHours !== undefined) {
+      if (dailyHours.length !== days) {
+        return next(
+          new ErrorResponse(
+            `dailyHours must have one entry for each of the job's ${days} days`,
+            400
+          )
+        );
+      }
+
+      timesheet.approvedDailyHours = dailyHours.map(parseFloat);
+      timesheet.approvedHours = timesheet.approvedDailyHours.reduce(
+        (sum, hours) => sum + hours,
+        0
+      );
+      Object.assign(job, job.calculatePay(job.getBillableDailyHours()));
+    }
+
+    timesheet.status = "approved";
+    timesheet.disputeReason = undefined;
+  } else {
+    timesheet.status = "disputed";
+    timesheet.disputeReason = req.body.reason;
+  }
+
+  timesheet.reviewedBy = req.user._id;
+  timesheet.reviewedAt = Date.now();
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    message:
+      timesheet.status === "approved"
+        ? "Timesheet approved successfully"
+        : "Timesheet disputed",
+    data: job,
+  });
+});
@@ -6,6 +6,7 @@ import { Category, EventType } from "../models/Reference.js";
 import {
   sendBookingConfirmationEmail,
   sendNewBookingNotificationEmail,
+  notifyQuoteUpdate,
 } from "../utils/emailService.js";
 
 // @desc    Get all vendors with filtering, sorting, and pagination
@@ -210,6 +211,73 @@ export const updateVendorProfile = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get vendor availability for a date range
+// @route   GET /api/vendors/:id/availability
+// @access  Public
+export const getVendorAvailability = asyncHandler(async (req, res, next) => {
+  const vendor = await Vendor.findById(req.params.id);
+
+  if (!vendor) {
+    return next(new ErrorResponse("Vendor not found", 404));
+  }
+
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to
+    ? new Date(req.query.to)
+    : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+
+  const days = await vendor.getAvailability(from, to);
+
+  res.status(200).json({
+    success: true,
+    count: days.length,
+    data: {
+      isAvailable: vendor.isAvailable,
+      dailyCapacity: vendor.dailyCapacity,
+      days,
+    },
+  });
+});
+
+// @desc    Update vendor availability calendar
+// @route   PUT /api/vendors/availability
+// @access  Private (Vendor only)
+export const updateVendorAvailability = asyncHandler(async (req, res, next) => {
+  const vendor = await Vendor.findOne({ user: req.user._id });
+
+  if (!vendor) {
+    return next(new ErrorResponse("Vendor profile not found", 404));
+  }
+
+  const fields = [
+    "isAvailable",
+    "businessHours",
+    "dailyCapacity",
+    "blackoutDates",
+    "holidayExceptions",
+  ];
+
+  fields.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      vendor[field] = req.body[field];
+    }
+  });
+
+  await vendor.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Availability updated successfully",
+    data: {
+      isAvailable: vendor.isAvailable,
+      businessHours: vendor.businessHours,
+      dailyCapacity: vendor.dailyCapacity,
+      blackoutDates: vendor.blackoutDates,
+      holidayExceptions: vendor.holidayExceptions,
+    },
+  });
+});
+
 // @desc    Rate a vendor
 // @route   POST /api/vendors/:id/rate
 // @access  Private (User only)
@@ -289,6 +357,17 @@ export const hireVendor = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Reject closed days, blackouts and slots that are already fully booked
+  const availability = await vendor.checkAvailability(
+    req.body.eventDate,
+    req.body.startTime,
+    req.body.endTime,
+    req.body.endDate
+  );
+  if (!availability.available) {
+    return next(new ErrorResponse(availability.reason, 400));
+  }
+
   // Check if event type exists
   const eventType = await EventType.findById(req.body.eventType);
   if (!eventType) {
@@ -305,8 +384,17 @@ export const hireVendor = asyncHandler(async (req, res, next) => {
     eventDate: req.body.eventDate,
     startTime: req.body.startTime,
     endTime: req.body.endTime,
+    endDate: req.body.endDate,
     guestCount: req.body.guestCount,
     quotedPrice: req.body.quotedPrice,
+    quotes: [
+      {
+        proposedBy: req.user._id,
+        party: "customer",
+        amount: req.body.quotedPrice,
+        note: req.body.quoteNote,
+      },
+    ],
     venue: req.body.venue,
     specialRequests: req.body.specialRequests,
     dietaryRequirements: req.body.dietaryRequirements,
@@ -341,13 +429,9 @@ export const hireVendor = asyncHandler(async (req, res, next) => {
 
 // @desc    Get vendor orders
 // @route   GET /api/vendors/orders
-// @access  Private (Vendor only)
+// @access  Private (Vendor or team member)
 export const getVendorOrders = asyncHandler(async (req, res, next) => {
-  const vendor = await Vendor.findOne({ user: req.user._id });
-
-  if (!vendor) {
-    return next(new ErrorResponse("Vendor profile not found", 404));
-  }
+  const vendor = req.vendor;
 
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 10;
@@ -396,13 +480,9 @@ export const getVendorOrders = asyncHandler(async (req, res, next) => {
 
 // @desc    Get single vendor order
 // @route   GET /api/vendors/orders/:orderId
-// @access  Private (Vendor only)
+// @access  Private (Vendor or team member)
 export const getVendorOrder = asyncHandler(async (req, res, next) => {
-  const vendor = await Vendor.findOne({ user: req.user._id });
-
-  if (!vendor) {
-    return next(new ErrorResponse("Vendor profile not found", 404));
-  }
+  const vendor = req.vendor;
 
   const order = await Order.findOne({
     _id: req.params.orderId,
@@ -429,13 +509,9 @@ export const getVendorOrder = asyncHandler(async (req, res, next) => {
 
 // @desc    Update order status
 // @route   PUT /api/vendors/orders/:orderId
-// @access  Private (Vendor only)
+// @access  Private (Vendor or team manager)
 export const updateOrderStatus = asyncHandler(async (req, res, next) => {
-  const vendor = await Vendor.findOne({ user: req.user._id });
-
-  if (!vendor) {
-    return next(new ErrorResponse("Vendor profile not found", 404));
-  }
+  const vendor = req.vendor;
 
   const order = await Order.findOne({
     _id: req.params.orderId,
@@ -467,7 +543,23 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
-  order.status = status;
+  // Confirmation requires both sides to have agreed on a price
+  if (status === "confirmed" && !order.finalPrice) {
+    return next(
+      new ErrorResponse(
+        "Accept the customer's quote or have yours accepted before confirming",
+        400
+      )
+    );
+  }
+
+  if (status === "cancelled") {
+    // Vendor-initiated cancellations always refund the customer in full
+    order.cancel(req.user._id, req.body.reason, 100);
+    await order.issueRefund();
+  } else {
+    order.status = status;
+  }
 
   // Update vendor stats when order is completed
   if (status === "completed") {
@@ -484,15 +576,147 @@ export const updateOrderStatus = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Get quote history for an order
+// @route   GET /api/vendors/orders/:orderId/quotes
+// @access  Private (Vendor or team member)
+export const getOrderQuotes = asyncHandler(async (req, res, next) => {
+  const vendor = req.vendor;
+
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    vendor: vendor._id,
+  });
+
+  if (!order) {
+    return next(new ErrorResponse("Order not found", 404));
+  }
+
+  res.status(200).json({
+    success: true,
+    count: order.quotes.length,
+    data: {
+      currentQuote: order.getCurrentQuote(),
+      finalPrice: order.finalPrice,
+      quotes: order.quotes,
+    },
+  });
+});
+
+// @desc    Send a (counter) quote to the customer
+// @route   POST /api/vendors/orders/:orderId/quotes
+// @access  Private (Vendor or team manager)
+export const proposeOrderQuote = asyncHandler(async (req, res, next) => {
+  const vendor = req.vendor;
+
+  const order = await Order.findOne({
+    _id: req.params.orderId,
+    vendor: vendor._id,
+  });
+
+  if (!order) {
+    return next(new ErrorResponse("Order not found", 404));
+  }
+
+  if (order.status !== "pending") {
+    return next(
+      new ErrorResponse("Quotes can only be changed on pending orders", 400)
+    );
+  }
+
+  const current = order.getCurrentQuote();
+  if (current && current.status === "pending" && current.party === "vendor") {
+    return next(
+      new ErrorResponse(
+        "Please wait for the customer to respond to your quote",
+        400
+      )
+    );
+  }
+
+  const quote = order.proposeQuote(req.user._id, "vendor", req.body);
+  await order.save();
+
+  await notifyQuoteUpdate(order, quote, "countered", "customer");
+
+  res.status(201).json({
+    success: true,
+    message: "Quote sent successfully",
+    data: quote,
+  });
+});
+
+// Accept or reject the customer's current quote
+const respondToCustomerQuote = (accept) =>
+  asyncHandler(async (req, res, next) => {
+    const vendor = req.vendor;
+
+    const order = await Order.findOne({
+      _id: req.params.orderId,
+      vendor: vendor._id,
+    });
+
+    if (!order) {
+      return next(new ErrorResponse("Order not found", 404));
+    }
+
+    const current = order.getCurrentQuote();
+    if (
+      order.status !== "pending" ||
+      !current ||
+      current.status !== "pending" ||
+      current.party !== "customer"
+    ) {
+      return next(
+        new ErrorResponse(
+          "There is no customer quote awaiting your response",
+          400
+        )
+      );
+    }
+
+    // Confirming the order must not overbook the vendor
+    if (accept) {
+      const availability = await vendor.checkAvailability(
+        order.eventDate,
+        order.startTime,
+        order.endTime,
+        order.endDate,
+        order._id
+      );
+      if (!availability.available) {
+        return next(new ErrorResponse(availability.reason, 400));
+      }
+    }
+
+    const quote = order.respondToQuote(accept);
+    await order.save();
+
+    await notifyQuoteUpdate(order, quote, quote.status, "customer");
+
+    res.status(200).json({
+      success: true,
+      message: accept
+        ? "Quote accepted and order confirmed"
+        : "Quote rejected successfully",
+      data: order,
+    });
+  });
+
+// @desc    Accept the customer's quote
+// @route   PUT /api/vendors/orders/:orderId/quotes/accept
+// @access  Private (Vendor or team manager)
+export const acceptOrderQuote = respondToCustomerQuote(true);
+
+// @desc    Reject the customer's quote
+// @route   PUT /api/vendors/orders/:orderId/quotes/reject
+// @access  Private (Vendor or team manager)
+export const rejectOrderQuote = respondToCustomerQuote(false);
+
 // @desc    Get vendor statistics
 // @route   GET /api/vendors/orders/stats
-// @access  Private (Vendor only)
+// @access  Private (Vendor or team member)
 export const getVendorStats = asyncHandler(async (req, res, next) => {
-  const vendor = await Vendor.findOne({ user: req.user._id });
-
-  if (!vendor) {
-    return next(new ErrorResponse("Vendor profile not found", 404));
-  }
+  const vendor = req.vendor;
 
   // Get order statistics
   const orderStats = await Order.aggregate([
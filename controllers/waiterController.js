@@ -1,9 +1,9 @@
 import { asyncHandler, ErrorResponse } from "../middleware/errorHandler.js";
 import Waiter from "../models/Waiter.js";
-import Vendor from "../models/Vendor.js";
 import Rating from "../models/Rating.js";
 import { Job, Order } from "../models/Booking.js";
 import { Expertise } from "../models/Reference.js";
+import { Earning } from "../models/Payout.js";
 import { sendJobOfferEmail } from "../utils/emailService.js";
 
 // @desc    Get all waiters with filtering, sorting, and pagination
@@ -265,9 +265,30 @@ export const rateWaiter = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Check a shift against a waiter's schedule
+// @route   GET /api/waiters/:id/conflicts
+// @access  Private (Vendor only)
+export const checkWaiterConflicts = asyncHandler(async (req, res, next) => {
+  const waiter = await Waiter.findById(req.params.id);
+
+  if (!waiter) {
+    return next(new ErrorResponse("Waiter not found", 404));
+  }
+
+  const conflicts = await waiter.getScheduleConflicts(req.query);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      hasConflicts: conflicts.length > 0,
+      conflicts,
+    },
+  });
+});
+
 // @desc    Hire a waiter (create job)
 // @route   POST /api/waiters/:id/hire
-// @access  Private (Vendor only)
+// @access  Private (Vendor or team manager)
 export const hireWaiter = asyncHandler(async (req, res, next) => {
   const waiter = await Waiter.findById(req.params.id);
 
@@ -281,13 +302,8 @@ export const hireWaiter = asyncHandler(async (req, res, next) => {
     );
   }
 
-  // Get vendor profile
-  const vendorProfile =
-    (await req.user.vendorProfile) ||
-    (await Vendor.findOne({ user: req.user._id }));
-  if (!vendorProfile) {
-    return next(new ErrorResponse("Vendor profile not found", 404));
-  }
+  // Vendor the user hires for (their own or their team's)
+  const vendorProfile = req.vendor;
 
   // Check if order exists (optional - for linking jobs to specific orders)
   let order = null;
@@ -304,13 +320,18 @@ export const hireWaiter = asyncHandler(async (req, res, next) => {
     }
   }
 
-  // Calculate total amount based on hours
-  const startTime = new Date(`2000-01-01 ${req.body.startTime}`);
-  const endTime = new Date(`2000-01-01 ${req.body.endTime}`);
-  const totalHours = Math.abs(endTime - startTime) / 36e5; // Convert to hours
-  const totalAmount = totalHours * req.body.hourlyRate;
+  // Check the shift against the waiter's accepted jobs and availability
+  const conflicts = await waiter.getScheduleConflicts(req.body);
+
+  if (conflicts.length > 0) {
+    return res.status(409).json({
+      success: false,
+      message: "Waiter has schedule conflicts for this shift",
+      conflicts,
+    });
+  }
 
-  // Create job
+  // Create job (hours and total amount are calculated by the model)
   const job = await Job.create({
     vendor: vendorProfile._id,
     waiter: req.params.id,
@@ -320,9 +341,11 @@ export const hireWaiter = asyncHandler(async (req, res, next) => {
     workDate: req.body.workDate,
     startTime: req.body.startTime,
     endTime: req.body.endTime,
+    endDate: req.body.endDate,
+    breakMinutes: req.body.breakMinutes,
     hourlyRate: req.body.hourlyRate,
-    totalHours,
-    totalAmount,
+    overtimeAfterHours: req.body.overtimeAfterHours,
+    overtimeRate: req.body.overtimeRate,
     instructions: req.body.instructions,
     dresscode: req.body.dresscode,
   });
@@ -349,6 +372,68 @@ export const hireWaiter = asyncHandler(async (req, res, next) => {
   });
 });
 
+// @desc    Update a job's schedule and rates (pay is recalculated)
+// @route   PUT /api/waiters/jobs/:jobId/schedule
+// @access  Private (Vendor or team manager)
+export const updateJobSchedule = asyncHandler(async (req, res, next) => {
+  const job = await Job.findOne({
+    _id: req.params.jobId,
+    vendor: req.vendor._id,
+  });
+
+  if (!job) {
+    return next(new ErrorResponse("Job not found", 404));
+  }
+
+  if (!["pending", "accepted"].includes(job.status)) {
+    return next(
+      new ErrorResponse(
+        `Cannot change the schedule of a ${job.status} job`,
+        400
+      )
+    );
+  }
+
+  const fieldsToUpdate = [
+    "workDate",
+    "endDate",
+    "startTime",
+    "endTime",
+    "breakMinutes",
+    "hourlyRate",
+    "overtimeAfterHours",
+    "overtimeRate",
+  ];
+
+  fieldsToUpdate.forEach((field) => {
+    if (req.body[field] !== undefined) {
+      job[field] = req.body[field];
+    }
+  });
+
+  // An accepted job must not end up overlapping the waiter's other jobs
+  if (job.status === "accepted") {
+    const waiter = await Waiter.findById(job.waiter._id).withDeleted();
+    const conflicts = await waiter.getJobConflicts(job, job._id);
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "Waiter has schedule conflicts for this shift",
+        conflicts,
+      });
+    }
+  }
+
+  await job.save();
+
+  res.status(200).json({
+    success: true,
+    message: "Job schedule updated successfully",
+    data: job,
+  });
+});
+
 // @desc    Get waiter jobs
 // @route   GET /api/waiters/jobs
 // @access  Private (Waiter only)
@@ -485,6 +570,47 @@ export const updateJobStatus = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // Clocked-in jobs are completed by clocking out, which records the hours
+  if (job.timesheet.status === "clocked-in" && status === "completed") {
+    return next(
+      new ErrorResponse("Please clock out to complete this job", 400)
+    );
+  }
+
+  // Waiters cannot accept overlapping jobs
+  if (status === "accepted") {
+    const conflicts = await waiter.getJobConflicts(job, job._id);
+
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: "This job overlaps a job you have already accepted",
+        conflicts,
+      });
+    }
+  }
+
+  // Jobs offered from a staffing plan cannot over-fill their position. The
+  // place is taken atomically so concurrent acceptances can't both get it.
+  const order = job.staffingPosition
+    ? await Order.findById(job.order._id)
+    : null;
+  const position = order?.staffing.positions.id(job.staffingPosition);
+  const claimsPosition = status === "accepted" && Boolean(position);
+  const releasesPosition = status === "cancelled" && Boolean(position);
+
+  if (claimsPosition) {
+    const claimed = await order.claimStaffingPosition(job.staffingPosition);
+    if (!claimed) {
+      return next(
+        new ErrorResponse(
+          `All ${position.position} positions for this event have been filled`,
+          400
+        )
+      );
+    }
+  }
+
   job.status = status;
 
   // Set response time
@@ -495,18 +621,38 @@ export const updateJobStatus = asyncHandler(async (req, res, next) => {
     }
   }
 
+  if (status === "completed") {
+    job.completedAt = Date.now();
+  }
+
+  try {
+    await job.save();
+  } catch (error) {
+    if (claimsPosition) {
+      await order.releaseStaffingPosition(job.staffingPosition);
+    }
+    throw error;
+  }
+
   // Update waiter stats when job is completed
   if (status === "completed") {
     waiter.completedJobs += 1;
     waiter.totalJobs += 1;
-    job.completedAt = Date.now();
     await waiter.save();
   } else if (status === "accepted") {
     waiter.totalJobs += 1;
     await waiter.save();
   }
 
-  await job.save();
+  // Keep the order's filled positions in step with accepted jobs
+  if (releasesPosition) {
+    await order.releaseStaffingPosition(job.staffingPosition);
+  }
+  if (claimsPosition || releasesPosition) {
+    const updatedOrder = await Order.findById(order._id);
+    updatedOrder.updateStaffedFlag();
+    await updatedOrder.save();
+  }
 
   res.status(200).json({
     success: true,
@@ -590,6 +736,7 @@ export const getWaiterStats = asyncHandler(async (req, res, next) => {
       },
       jobStats,
       monthlyJobs,
+      balances: await Earning.getBalances(waiter._id),
       ratingsStats: ratingsStats[0] || {
         averageRating: 0,
         averageAttitudeRating: 0,
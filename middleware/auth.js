@@ -1,23 +1,43 @@
 import jwt from "jsonwebtoken";
 import { asyncHandler, ErrorResponse } from "./errorHandler.js";
 import User from "../models/User.js";
+import Session from "../models/Session.js";
+import VendorMember, { hasTeamRole } from "../models/VendorMember.js";
 
-// Protect routes - require authentication
-export const protect = asyncHandler(async (req, res, next) => {
-  let token;
-
-  // Check for token in headers
+// Read the access token from the Authorization header, x-auth-token header
+// or the token cookie
+const getRequestToken = (req) => {
   if (
     req.headers.authorization &&
     req.headers.authorization.startsWith("Bearer")
   ) {
-    // Set token from Bearer token in header
-    token = req.headers.authorization.split(" ")[1];
+    return req.headers.authorization.split(" ")[1];
   }
-  // Check for token in x-auth-token header
-  else if (req.headers["x-auth-token"]) {
-    token = req.headers["x-auth-token"];
+  if (req.headers["x-auth-token"]) {
+    return req.headers["x-auth-token"];
   }
+  return req.cookies?.token;
+};
+
+// Load the session an access token was issued for, if it is still active
+const getTokenSession = async (decoded) => {
+  if (!decoded.sid) return null;
+
+  const session = await Session.findById(decoded.sid);
+  if (
+    !session ||
+    !session.isActive() ||
+    session.user.toString() !== decoded.id
+  ) {
+    return null;
+  }
+
+  return session;
+};
+
+// Protect routes - require authentication
+export const protect = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
 
   // Make sure token exists
   if (!token) {
@@ -28,6 +48,14 @@ export const protect = asyncHandler(async (req, res, next) => {
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Tokens stop working as soon as their session is revoked
+    const session = await getTokenSession(decoded);
+    if (!session) {
+      return next(
+        new ErrorResponse("Session has expired, please log in again", 401)
+      );
+    }
+
     // Get user from token
     const user = await User.findById(decoded.id).select("+password");
 
@@ -45,6 +73,7 @@ export const protect = asyncHandler(async (req, res, next) => {
     await user.save({ validateBeforeSave: false });
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (err) {
     return next(new ErrorResponse("Not authorized to access this route", 401));
@@ -74,26 +103,59 @@ export const checkApproval = asyncHandler(async (req, res, next) => {
   next();
 });
 
-// Optional auth - doesn't fail if no token provided
-export const optionalAuth = asyncHandler(async (req, res, next) => {
-  let token;
+// Resolve the vendor a user acts for (their own, or their team's) and check
+// their team role is at least teamRole. Returns { vendor, role }; throws when
+// the user can't act for a vendor. For routes shared with other roles, where
+// loadActingVendor can't be used.
+export const resolveActingVendor = async (user, teamRole = "viewer") => {
+  const acting = await VendorMember.findActingVendor(user._id);
 
-  if (
-    req.headers.authorization &&
-    req.headers.authorization.startsWith("Bearer")
-  ) {
-    token = req.headers.authorization.split(" ")[1];
-  } else if (req.headers["x-auth-token"]) {
-    token = req.headers["x-auth-token"];
+  if (!acting) {
+    throw new ErrorResponse("Vendor profile not found", 404);
+  }
+
+  // Team members can't act for a vendor that isn't approved or is inactive
+  if (acting.member) {
+    const owner = await User.findById(acting.vendor.user._id);
+    if (!owner || !owner.isActive || !owner.isApproved) {
+      throw new ErrorResponse("This vendor account is not active", 403);
+    }
   }
 
+  if (!hasTeamRole(acting.role, teamRole)) {
+    throw new ErrorResponse(
+      `Team role ${acting.role} is not authorized to access this route`,
+      403
+    );
+  }
+
+  return { vendor: acting.vendor, role: acting.role };
+};
+
+// Resolve the vendor the user acts for and check their team role (see
+// resolveActingVendor). Sets req.vendor and req.teamRole.
+export const loadActingVendor = (teamRole = "viewer") =>
+  asyncHandler(async (req, res, next) => {
+    const { vendor, role } = await resolveActingVendor(req.user, teamRole);
+
+    req.vendor = vendor;
+    req.teamRole = role;
+    next();
+  });
+
+// Optional auth - doesn't fail if no token provided
+export const optionalAuth = asyncHandler(async (req, res, next) => {
+  const token = getRequestToken(req);
+
   if (token) {
     try {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id);
+      const session = await getTokenSession(decoded);
+      const user = session && (await User.findById(decoded.id));
 
       if (user && user.isActive) {
         req.user = user;
+        req.authSession = session;
       }
     } catch (err) {
       // Token invalid, but continue without user
@@ -103,6 +165,21 @@ export const optionalAuth = asyncHandler(async (req, res, next) => {
   next();
 });
 
+// Check an admin permission (see config/permissions.js)
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user.hasPermission(permission)) {
+      return next(
+        new ErrorResponse(
+          `Permission ${permission} is required to access this route`,
+          403
+        )
+      );
+    }
+    next();
+  };
+};
+
 // Check if user owns the resource or is admin
 export const checkOwnership = (Model, paramName = "id") => {
   return asyncHandler(async (req, res, next) => {
@@ -0,0 +1,38 @@
+import { body } from "express-validator";
+
+// Validation chains shared by more than one router
+
+// A quote or counter-offer, from either the customer or the vendor
+export const quoteValidation = [
+  body("items")
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Quote must have between 1 and 50 items"),
+
+  body("items.*.description")
+    .trim()
+    .notEmpty()
+    .withMessage("Item description is required")
+    .isLength({ max: 200 })
+    .withMessage("Item description cannot be more than 200 characters"),
+
+  body("items.*.quantity")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Item quantity must be at least 1"),
+
+  body("items.*.unitPrice")
+    .isFloat({ min: 0 })
+    .withMessage("Item price must be a positive number"),
+
+  body("amount")
+    .if(body("items").not().exists())
+    .isFloat({ min: 0 })
+    .withMessage("Quote amount must be a positive number"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Quote note cannot be more than 500 characters"),
+];
@@ -0,0 +1,270 @@
+import fs from "fs/promises";
+import path from "path";
+import mongoose from "mongoose";
+import { getRequestDevice } from "../utils/device.js";
+import { DEFAULT_ADMIN_ROLE } from "../config/permissions.js";
+
+// Actions recorded in the audit log, named <target>.<verb>
+export const AUDIT_ACTIONS = [
+  "user.approve",
+  "user.activate",
+  "user.deactivate",
+  "user.unlock",
+  "user.delete",
+  "user.restore",
+  "admin-role.assign",
+  "admin-role.remove",
+  "category.create",
+  "category.update",
+  "category.delete",
+  "expertise.create",
+  "expertise.update",
+  "expertise.delete",
+  "event-type.create",
+  "event-type.update",
+  "event-type.delete",
+  "rating.remove",
+  "order.refund",
+  "payout.create",
+  "payout.mark-paid",
+  "payout.cancel",
+  "settlement.generate",
+  "settlement.mark-paid",
+];
+
+// Fields never copied into the log: bookkeeping, secrets and tokens
+const IGNORED_FIELDS = [
+  "_id",
+  "__v",
+  "createdAt",
+  "updatedAt",
+  "password",
+  "twoFactorSecret",
+  "twoFactorBackupCodes",
+  "twoFactorLastStep",
+  "resetPasswordToken",
+  "emailVerificationToken",
+  "phoneVerificationCode",
+  "loginHistory",
+  "calendarToken",
+];
+
+const toPlain = (doc) =>
+  doc && doc.toObject ? doc.toObject({ depopulate: true }) : doc || null;
+
+// The fields an action changed, as { before, after }. Creations have no
+// before and deletions no after; those keep the whole document instead.
+const diffChanges = (beforeDoc, afterDoc) => {
+  const before = toPlain(beforeDoc);
+  const after = toPlain(afterDoc);
+  const changes = { before: before && {}, after: after && {} };
+
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const oldValue = before?.[field];
+    const newValue = after?.[field];
+    if (
+      before &&
+      after &&
+      JSON.stringify(oldValue) === JSON.stringify(newValue)
+    ) {
+      continue;
+    }
+
+    if (before && oldValue !== undefined) changes.before[field] = oldValue;
+    if (after && newValue !== undefined) changes.after[field] = newValue;
+  }
+
+  return changes;
+};
+
+// AuditLog Model (append-only record of admin and moderation actions)
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    // The actor's admin role when they acted
+    actorRole: String,
+
+    action: {
+      type: String,
+      enum: AUDIT_ACTIONS,
+      required: true,
+    },
+
+    // Model name and id of the record acted on
+    targetType: {
+      type: String,
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.ObjectId,
+      refPath: "targetType",
+      required: true,
+    },
+
+    changes: {
+      before: mongoose.Schema.Types.Mixed,
+      after: mongoose.Schema.Types.Mixed,
+    },
+
+    ip: String,
+    userAgent: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Indexes
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ target: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+// Entries are append-only: they can't be changed or removed through the app
+const refuseChange = function (next) {
+  next(new Error("Audit log entries cannot be changed or removed"));
+};
+
+auditLogSchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "findOneAndReplace",
+    "replaceOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  refuseChange
+);
+auditLogSchema.pre("deleteOne", { document: true, query: true }, refuseChange);
+
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) {
+    return refuseChange(next);
+  }
+  next();
+});
+
+// Entries that couldn't be written yet, retried in the background
+const pendingEntries = [];
+let retryTimer = null;
+let retryAttempt = 0;
+
+// Background retries before pending entries are written to a file instead
+const MAX_RETRY_ATTEMPTS = 10;
+
+// Write pending entries out to AUDIT_FALLBACK_PATH as JSON lines, so they
+// can be imported once the database is back
+const savePendingToFile = async (entries) => {
+  const filePath = path.resolve(
+    process.env.AUDIT_FALLBACK_PATH || "audit-pending.log"
+  );
+
+  try {
+    await fs.appendFile(
+      filePath,
+      entries.map((entry) => `${JSON.stringify(entry)}\n`).join("")
+    );
+    console.error(
+      `❌ Gave up writing ${entries.length} audit log entr${
+        entries.length === 1 ? "y" : "ies"
+      }; saved to ${filePath}`
+    );
+  } catch (error) {
+    console.error(
+      "❌ Failed to save pending audit log entries:",
+      error.message,
+      JSON.stringify(entries)
+    );
+  }
+};
+
+// Retry pending entries with a growing delay (30s, 1m, 2m, ... up to 10m)
+const scheduleRetry = (AuditLog) => {
+  if (retryTimer) return;
+
+  const delay = Math.min(30 * 1000 * 2 ** retryAttempt, 10 * 60 * 1000);
+  retryTimer = setTimeout(async () => {
+    retryTimer = null;
+    retryAttempt += 1;
+
+    const entries = pendingEntries.splice(0);
+    const failed = [];
+    for (const entry of entries) {
+      try {
+        await AuditLog.create(entry);
+      } catch (error) {
+        failed.push(entry);
+      }
+    }
+
+    if (!failed.length) {
+      retryAttempt = 0;
+      console.log(`✅ Wrote ${entries.length} delayed audit log entries`);
+    } else if (retryAttempt >= MAX_RETRY_ATTEMPTS) {
+      retryAttempt = 0;
+      await savePendingToFile(failed);
+    } else {
+      pendingEntries.push(...failed);
+      scheduleRetry(AuditLog);
+    }
+  }, delay);
+
+  // Pending retries don't keep the process alive
+  retryTimer.unref();
+};
+
+// Record an action taken by an admin. `target` is the document acted on;
+// `before` and `after` are its state around the action (null when it was
+// created or deleted). Requests from other roles, such as vendors managing
+// their own payouts, aren't recorded. The action has already been saved, so
+// a failed write never fails the request: the entry keeps its time and is
+// queued and retried in the background instead.
+auditLogSchema.statics.record = async function (
+  req,
+  action,
+  target,
+  { before = null, after = null } = {}
+) {
+  if (req.user?.role !== "admin") return null;
+
+  const { ip, userAgent } = getRequestDevice(req);
+  const entry = {
+    actor: req.user._id,
+    actorRole: req.user.adminRole || DEFAULT_ADMIN_ROLE,
+    action,
+    targetType: target.constructor.modelName,
+    target: target._id,
+    changes: diffChanges(before, after),
+    ip,
+    userAgent,
+    createdAt: new Date(),
+  };
+
+  try {
+    return await this.create(entry);
+  } catch (error) {
+    console.error(
+      `❌ Failed to write audit log for ${action}, will retry:`,
+      error.message
+    );
+    pendingEntries.push(entry);
+    scheduleRetry(this);
+    return null;
+  }
+};
+
+export default mongoose.model("AuditLog", auditLogSchema);
@@ -1,4 +1,119 @@
 import mongoose from "mongoose";
+import { getDailyRanges, getShiftTimes } from "../utils/schedule.js";
+import { getDistanceMeters, hasCoordinates } from "../utils/geo.js";
+import { Earning } from "./Payout.js";
+
+// Where a waiter clocked in or out and how far that was from the venue
+const clockLocationSchema = new mongoose.Schema(
+  {
+    latitude: Number,
+    longitude: Number,
+    distance: Number, // metres from the venue, when the venue is known
+  },
+  { _id: false }
+);
+
+// Overtime is paid at this multiple of the hourly rate unless a rate is set
+const DEFAULT_OVERTIME_MULTIPLIER = 1.5;
+
+// Quote revision exchanged while negotiating an order's price
+const quoteSchema = new mongoose.Schema(
+  {
+    proposedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    party: {
+      type: String,
+      enum: ["customer", "vendor"],
+      required: true,
+    },
+    items: [
+      {
+        description: {
+          type: String,
+          required: [true, "Please add an item description"],
+          maxlength: [
+            200,
+            "Item description cannot be more than 200 characters",
+          ],
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: [1, "Quantity must be at least 1"],
+        },
+        unitPrice: {
+          type: Number,
+          required: [true, "Please add an item price"],
+          min: [0, "Item price cannot be negative"],
+        },
+      },
+    ],
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Quote amount cannot be negative"],
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Quote note cannot be more than 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "countered"],
+      default: "pending",
+    },
+    respondedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Position in an order's staffing plan (e.g. 20 waiters, 4 bartenders)
+const staffingPositionSchema = new mongoose.Schema({
+  position: {
+    type: String,
+    required: [true, "Please specify the position"],
+    maxlength: [50, "Position cannot be more than 50 characters"],
+  },
+  count: {
+    type: Number,
+    required: [true, "Please add how many staff are needed"],
+    min: [1, "Count must be at least 1"],
+    max: [100, "Count cannot be more than 100"],
+  },
+  expertise: {
+    type: mongoose.Schema.ObjectId,
+    ref: "Expertise",
+  },
+  hourlyRate: {
+    type: Number,
+    required: [true, "Please add an hourly rate"],
+    min: [0, "Hourly rate cannot be negative"],
+  },
+  // Shift times default to the event's times
+  startTime: String,
+  endTime: String,
+  breakMinutes: {
+    type: Number,
+    default: 0,
+    min: [0, "Break cannot be negative"],
+  },
+  overtimeAfterHours: Number,
+  overtimeRate: Number,
+  responsibilities: [String],
+  instructions: String,
+  dresscode: String,
+  // Accepted jobs for this position, kept in sync by updateStaffing
+  filled: {
+    type: Number,
+    default: 0,
+  },
+});
 
 // Order/Booking Model (User -> Vendor)
 const orderSchema = new mongoose.Schema(
@@ -6,11 +121,13 @@ const orderSchema = new mongoose.Schema(
     user: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
+      populate: { withDeleted: true },
       required: true,
     },
     vendor: {
       type: mongoose.Schema.ObjectId,
       ref: "Vendor",
+      populate: { withDeleted: true },
       required: true,
     },
 
@@ -46,6 +163,11 @@ const orderSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please add end time"],
     },
+    // Last day of a multi-day event (defaults to the event date)
+    endDate: Date,
+    // Real start/end datetimes, computed from the fields above
+    startsAt: Date,
+    endsAt: Date,
 
     // Location
     venue: {
@@ -81,6 +203,9 @@ const orderSchema = new mongoose.Schema(
       default: "NGN",
     },
 
+    // Price negotiation history (latest revision last)
+    quotes: [quoteSchema],
+
     // Status
     status: {
       type: String,
@@ -94,6 +219,25 @@ const orderSchema = new mongoose.Schema(
       ],
       default: "pending",
     },
+    statusHistory: [
+      {
+        status: String,
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+
+    // Staffing plan for the waiters the vendor needs at the event
+    staffing: {
+      positions: [staffingPositionSchema],
+      isFullyStaffed: {
+        type: Boolean,
+        default: false,
+      },
+      fullyStaffedAt: Date,
+    },
 
     // Special Requirements
     specialRequests: String,
@@ -105,6 +249,7 @@ const orderSchema = new mongoose.Schema(
         sender: {
           type: mongoose.Schema.ObjectId,
           ref: "User",
+          populate: { withDeleted: true },
         },
         message: String,
         timestamp: {
@@ -121,19 +266,46 @@ const orderSchema = new mongoose.Schema(
     // Payment Info
     paymentStatus: {
       type: String,
-      enum: ["pending", "partial", "paid", "refunded"],
+      enum: ["pending", "partial", "paid", "partially-refunded", "refunded"],
       default: "pending",
     },
     paymentMethod: String,
     transactionId: String,
+    amountPaid: {
+      type: Number,
+      default: 0,
+    },
+    // Platform commission on the amount paid, fixed at the first payment
+    commission: {
+      rate: Number,
+      platformFee: {
+        type: Number,
+        default: 0,
+      },
+      vendorNet: {
+        type: Number,
+        default: 0,
+      },
+    },
 
     // Cancellation
     cancellationReason: String,
     cancelledBy: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
+      populate: { withDeleted: true },
     },
     cancelledAt: Date,
+    refundPercentage: Number,
+    refundAmount: Number,
+    // Gateway refund of refundAmount; a failed refund keeps the order
+    // "cancelled" until it goes through
+    refundStatus: {
+      type: String,
+      enum: ["pending", "success", "failed"],
+    },
+    refundError: String,
+    refundedAt: Date,
 
     // Rating
     isRated: {
@@ -154,17 +326,26 @@ const jobSchema = new mongoose.Schema(
     vendor: {
       type: mongoose.Schema.ObjectId,
       ref: "Vendor",
+      populate: { withDeleted: true },
       required: true,
     },
     waiter: {
       type: mongoose.Schema.ObjectId,
       ref: "Waiter",
+      populate: { withDeleted: true },
       required: true,
     },
+    // Optional - jobs can be hired directly or through an open shift
     order: {
       type: mongoose.Schema.ObjectId,
       ref: "Order",
-      required: true,
+    },
+    // Position in the order's staffing plan this job fills
+    staffingPosition: mongoose.Schema.ObjectId,
+    // Open shift the waiter applied to
+    shift: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Shift",
     },
 
     // Job Details
@@ -188,13 +369,35 @@ const jobSchema = new mongoose.Schema(
       type: String,
       required: [true, "Please add end time"],
     },
+    // Last day of a multi-day job (defaults to the work date)
+    endDate: Date,
+    // Real start/end datetimes, computed from the fields above
+    startsAt: Date,
+    endsAt: Date,
+    breakMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Break cannot be negative"],
+    },
 
     // Compensation
     hourlyRate: {
       type: Number,
       required: true,
     },
+    // Hours after which overtime applies (no overtime when unset)
+    overtimeAfterHours: {
+      type: Number,
+      min: [0, "Overtime threshold cannot be negative"],
+    },
+    // Hourly rate for overtime (defaults to 1.5x the hourly rate)
+    overtimeRate: {
+      type: Number,
+      min: [0, "Overtime rate cannot be negative"],
+    },
+    // Computed on save from the schedule and rates
     totalHours: Number,
+    overtimeHours: Number,
     totalAmount: Number,
     currency: {
       type: String,
@@ -225,6 +428,7 @@ const jobSchema = new mongoose.Schema(
         sender: {
           type: mongoose.Schema.ObjectId,
           ref: "User",
+          populate: { withDeleted: true },
         },
         message: String,
         timestamp: {
@@ -245,6 +449,47 @@ const jobSchema = new mongoose.Schema(
     // Completion
     completedAt: Date,
 
+    // Timesheet from the waiter's clock-in and clock-out
+    timesheet: {
+      status: {
+        type: String,
+        enum: [
+          "not-started",
+          "clocked-in",
+          "submitted",
+          "approved",
+          "disputed",
+        ],
+        default: "not-started",
+      },
+      clockInAt: Date,
+      clockInLocation: clockLocationSchema,
+      clockOutAt: Date,
+      clockOutLocation: clockLocationSchema,
+      // False when the venue had no coordinates to check against
+      locationVerified: Boolean,
+      actualHours: Number,
+      // Hours worked on each day of the job, adding up to actualHours
+      actualDailyHours: {
+        type: [Number],
+        default: undefined,
+      },
+      // Hours set by the vendor when approving a corrected timesheet
+      approvedHours: Number,
+      // Corrected hours for each day of a multi-day job
+      approvedDailyHours: {
+        type: [Number],
+        default: undefined,
+      },
+      disputeReason: String,
+      reviewedBy: {
+        type: mongoose.Schema.ObjectId,
+        ref: "User",
+        populate: { withDeleted: true },
+      },
+      reviewedAt: Date,
+    },
+
     // Rating
     isRated: {
       type: Boolean,
@@ -265,10 +510,312 @@ orderSchema.index({ status: 1 });
 orderSchema.index({ createdAt: -1 });
 
 jobSchema.index({ vendor: 1, waiter: 1 });
+jobSchema.index({ order: 1, staffingPosition: 1 });
 jobSchema.index({ workDate: 1 });
 jobSchema.index({ status: 1 });
+jobSchema.index({ vendor: 1, "timesheet.status": 1 });
 jobSchema.index({ createdAt: -1 });
 
+// Record status changes so customers can follow their booking
+orderSchema.pre("save", function (next) {
+  if (this.isNew || this.isModified("status")) {
+    this.statusHistory.push({ status: this.status });
+  }
+  next();
+});
+
+// Keep the real start/end datetimes in step with the event schedule
+orderSchema.pre("validate", function (next) {
+  if (
+    this.eventDate &&
+    this.startTime &&
+    this.endTime &&
+    (this.isNew ||
+      this.isModified(["eventDate", "startTime", "endTime", "endDate"]))
+  ) {
+    const { startsAt, endsAt } = getShiftTimes(
+      this.eventDate,
+      this.startTime,
+      this.endTime,
+      this.endDate
+    );
+    this.startsAt = startsAt;
+    this.endsAt = endsAt;
+  }
+  next();
+});
+
+// Latest quote revision in the negotiation
+orderSchema.methods.getCurrentQuote = function () {
+  return this.quotes.length ? this.quotes[this.quotes.length - 1] : null;
+};
+
+// Add a quote revision, superseding any pending quote from the other party
+orderSchema.methods.proposeQuote = function (
+  proposedBy,
+  party,
+  { items = [], amount, note }
+) {
+  const current = this.getCurrentQuote();
+  if (current && current.status === "pending") {
+    current.status = "countered";
+    current.respondedAt = Date.now();
+  }
+
+  // Itemized quotes are priced from their line items
+  if (items.length) {
+    amount = items.reduce(
+      (sum, item) => sum + (item.quantity || 1) * item.unitPrice,
+      0
+    );
+  }
+
+  this.quotes.push({ proposedBy, party, items, amount, note });
+  return this.getCurrentQuote();
+};
+
+// Accept or reject the current quote; acceptance fixes the price and confirms
+orderSchema.methods.respondToQuote = function (accept) {
+  const current = this.getCurrentQuote();
+
+  current.status = accept ? "accepted" : "rejected";
+  current.respondedAt = Date.now();
+
+  if (accept) {
+    this.finalPrice = current.amount;
+    this.status = "confirmed";
+  }
+
+  return current;
+};
+
+// Amount the customer has actually paid towards this order
+orderSchema.methods.getPaidAmount = function () {
+  if (this.amountPaid > 0) return this.amountPaid;
+  if (this.paymentStatus === "paid") return this.finalPrice || this.quotedPrice;
+  return 0;
+};
+
+// Agreed price, or the customer's quoted price until one is agreed
+orderSchema.methods.getTotalPrice = function () {
+  return this.finalPrice || this.quotedPrice;
+};
+
+// Amount still owed on this order
+orderSchema.methods.getAmountDue = function () {
+  return Math.max(
+    Math.round((this.getTotalPrice() - (this.amountPaid || 0)) * 100) / 100,
+    0
+  );
+};
+
+// Deposit that secures the booking (DEPOSIT_PERCENTAGE of the price)
+orderSchema.methods.getDepositAmount = function () {
+  const percentage = parseFloat(process.env.DEPOSIT_PERCENTAGE) || 30;
+  return Math.round(this.getTotalPrice() * (percentage / 100) * 100) / 100;
+};
+
+// Commission rate (%) for this order - locked once the first payment is made
+orderSchema.methods.getCommissionRate = async function () {
+  if (this.commission && this.commission.rate != null) {
+    return this.commission.rate;
+  }
+
+  const vendor = await mongoose
+    .model("Vendor")
+    .findById(this.vendor._id || this.vendor);
+  return mongoose
+    .model("Category")
+    .getCommissionRate(vendor ? vendor.categories : []);
+};
+
+// Credit a successful payment and move the payment status along
+orderSchema.methods.recordPayment = function (payment) {
+  this.amountPaid =
+    Math.round(((this.amountPaid || 0) + payment.amount) * 100) / 100;
+  this.commission.rate = payment.commissionRate;
+  this.commission.platformFee =
+    Math.round((this.commission.platformFee + payment.platformFee) * 100) / 100;
+  this.commission.vendorNet =
+    Math.round((this.commission.vendorNet + payment.vendorNet) * 100) / 100;
+  this.paymentStatus = this.getAmountDue() > 0 ? "partial" : "paid";
+  this.paymentMethod = payment.channel || payment.provider;
+  this.transactionId = payment.reference;
+  return this;
+};
+
+// Refund owed for a given refund percentage of the amount paid
+orderSchema.methods.calculateRefund = function (refundPercentage) {
+  return (
+    Math.round(this.getPaidAmount() * (refundPercentage / 100) * 100) / 100
+  );
+};
+
+// Cancel the order and record any refund owed to the customer. The refund
+// itself is sent with issueRefund().
+orderSchema.methods.cancel = function (cancelledBy, reason, refundPercentage) {
+  this.cancelledBy = cancelledBy;
+  this.cancelledAt = Date.now();
+  this.cancellationReason = reason;
+  this.refundPercentage = refundPercentage;
+  this.refundAmount = this.calculateRefund(refundPercentage);
+  this.status = "cancelled";
+
+  return this;
+};
+
+// Send the refund owed on a cancelled order back through the payment gateway
+// and record it against the payments. A gateway failure is kept in
+// refundStatus/refundError instead of being thrown, so the cancellation
+// still stands; calling this again retries what is left.
+orderSchema.methods.issueRefund = async function () {
+  if (!(this.refundAmount > 0) || this.refundStatus === "success") {
+    return this;
+  }
+
+  const Payment = mongoose.model("Payment");
+  const isFullRefund = this.refundAmount >= this.getPaidAmount();
+  try {
+    const payments = await Payment.refundOrder(this, this.refundAmount);
+
+    // The commission on the refunded part goes back to the customer too
+    this.commission.platformFee = payments.reduce(
+      (sum, payment) => Math.round((sum + payment.platformFee) * 100) / 100,
+      0
+    );
+    this.commission.vendorNet = payments.reduce(
+      (sum, payment) => Math.round((sum + payment.vendorNet) * 100) / 100,
+      0
+    );
+
+    const isPending = payments.some((payment) =>
+      payment.refunds.some((refund) => refund.status === "pending")
+    );
+    this.refundStatus = isPending ? "pending" : "success";
+    this.refundError = undefined;
+    this.refundedAt = Date.now();
+
+    // Only a full refund marks the order refunded; after a partial one it
+    // stays cancelled and the payment shows what was given back
+    if (isFullRefund) {
+      this.status = "refunded";
+      this.paymentStatus = "refunded";
+    } else {
+      this.paymentStatus = "partially-refunded";
+    }
+  } catch (error) {
+    console.error(`❌ Refund failed for order ${this._id}:`, error.message);
+    this.refundStatus = "failed";
+    this.refundError = error.message;
+  }
+
+  return this;
+};
+
+// Job statuses that take up a place in the staffing plan
+export const STAFFED_JOB_STATUSES = ["accepted", "in-progress", "completed"];
+
+// Shift details for a job filling a staffing position
+orderSchema.methods.getStaffingShift = function (position) {
+  return {
+    position: position.position,
+    responsibilities: position.responsibilities,
+    workDate: this.eventDate,
+    endDate: this.endDate,
+    startTime: position.startTime || this.startTime,
+    endTime: position.endTime || this.endTime,
+    breakMinutes: position.breakMinutes,
+    hourlyRate: position.hourlyRate,
+    overtimeAfterHours: position.overtimeAfterHours,
+    overtimeRate: position.overtimeRate,
+    instructions: position.instructions,
+    dresscode: position.dresscode,
+  };
+};
+
+// Take a place in a staffing position for an accepted job. The check and the
+// increment are one update, so two waiters accepting at once can't both take
+// the last place. Returns false when the position is already full.
+orderSchema.methods.claimStaffingPosition = async function (positionId) {
+  const result = await mongoose.model("Order").updateOne(
+    {
+      _id: this._id,
+      $expr: {
+        $anyElementTrue: {
+          $map: {
+            input: "$staffing.positions",
+            as: "position",
+            in: {
+              $and: [
+                { $eq: ["$$position._id", positionId] },
+                { $lt: ["$$position.filled", "$$position.count"] },
+              ],
+            },
+          },
+        },
+      },
+    },
+    { $inc: { "staffing.positions.$[position].filled": 1 } },
+    { arrayFilters: [{ "position._id": positionId }] }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Give back a place taken by claimStaffingPosition
+orderSchema.methods.releaseStaffingPosition = function (positionId) {
+  return mongoose
+    .model("Order")
+    .updateOne(
+      { _id: this._id },
+      { $inc: { "staffing.positions.$[position].filled": -1 } },
+      { arrayFilters: [{ "position._id": positionId }] }
+    );
+};
+
+// Recount filled positions from accepted jobs and update the staffed flag
+orderSchema.methods.updateStaffing = async function () {
+  const Job = mongoose.model("Job");
+
+  const counts = await Job.aggregate([
+    {
+      $match: {
+        order: this._id,
+        staffingPosition: { $ne: null },
+        status: { $in: STAFFED_JOB_STATUSES },
+      },
+    },
+    { $group: { _id: "$staffingPosition", filled: { $sum: 1 } } },
+  ]);
+
+  const positions = this.staffing.positions;
+  positions.forEach((position) => {
+    const count = counts.find(
+      (c) => c._id.toString() === position._id.toString()
+    );
+    position.filled = count ? count.filled : 0;
+  });
+
+  return this.updateStaffedFlag();
+};
+
+// Update the staffed flag from the positions' filled counts
+orderSchema.methods.updateStaffedFlag = function () {
+  const positions = this.staffing.positions;
+  const isFullyStaffed =
+    positions.length > 0 &&
+    positions.every((position) => position.filled >= position.count);
+
+  if (isFullyStaffed && !this.staffing.isFullyStaffed) {
+    this.staffing.fullyStaffedAt = Date.now();
+  } else if (!isFullyStaffed) {
+    this.staffing.fullyStaffedAt = undefined;
+  }
+  this.staffing.isFullyStaffed = isFullyStaffed;
+
+  return this.staffing;
+};
+
 // Populate related data
 orderSchema.pre(/^find/, function (next) {
   this.populate({
@@ -309,19 +856,218 @@ jobSchema.pre(/^find/, function (next) {
     })
     .populate({
       path: "order",
-      select: "eventTitle eventDate venue guestCount",
+      select: "eventTitle eventDate startsAt endsAt venue guestCount",
     });
   next();
 });
 
-// Virtual for duration
-jobSchema.virtual("duration").get(function () {
-  if (!this.startTime || !this.endTime) return null;
+// Virtual for event duration in hours, over every day of a multi-day event
+orderSchema.virtual("duration").get(function () {
+  if (!this.eventDate || !this.startTime || !this.endTime) return null;
+
+  return getDailyRanges(
+    this.eventDate,
+    this.startTime,
+    this.endTime,
+    this.endDate
+  ).reduce((hours, day) => hours + (day.end - day.start) / 36e5, 0);
+});
+
+const roundTo = (value, places = 2) =>
+  Math.round(value * 10 ** places) / 10 ** places;
+
+const JOB_SCHEDULE_FIELDS = [
+  "workDate",
+  "startTime",
+  "endTime",
+  "endDate",
+  "breakMinutes",
+  "hourlyRate",
+  "overtimeAfterHours",
+  "overtimeRate",
+];
+
+// Hourly rate paid for overtime hours
+jobSchema.methods.getOvertimeRate = function () {
+  return this.overtimeRate != null
+    ? this.overtimeRate
+    : this.hourlyRate * DEFAULT_OVERTIME_MULTIPLIER;
+};
+
+// Each day's shift of the job, as start/end timestamps
+jobSchema.methods.getWorkDays = function () {
+  return getDailyRanges(
+    this.workDate,
+    this.startTime,
+    this.endTime,
+    this.endDate
+  );
+};
+
+// Split the hours worked each day into regular and overtime pay. Overtime is
+// worked out day by day, then added up.
+jobSchema.methods.calculatePay = function (dailyHours) {
+  const hours = dailyHours.reduce((sum, day) => sum + day, 0);
+  const overtimeHours =
+    this.overtimeAfterHours != null
+      ? dailyHours.reduce(
+          (sum, day) => sum + Math.max(day - this.overtimeAfterHours, 0),
+          0
+        )
+      : 0;
+  const overtimeRate = this.getOvertimeRate();
+
+  return {
+    totalHours: roundTo(hours),
+    overtimeHours: roundTo(overtimeHours),
+    totalAmount: roundTo(
+      (hours - overtimeHours) * this.hourlyRate + overtimeHours * overtimeRate
+    ),
+  };
+};
+
+// Keep the waiter's earnings ledger in step with completed jobs
+jobSchema.post("save", async function (job) {
+  if (job.status === "completed") {
+    await Earning.recordJob(job);
+  }
+});
+
+// Scheduled hours for each day of the job, excluding breaks
+jobSchema.methods.getScheduledDailyHours = function () {
+  return this.getWorkDays().map((day) =>
+    Math.max((day.end - day.start) / 36e5 - (this.breakMinutes || 0) / 60, 0)
+  );
+};
+
+// Hours to pay for each day: approved, then actually worked, then scheduled.
+// Totals recorded without a daily breakdown are spread evenly over the days.
+jobSchema.methods.getBillableDailyHours = function () {
+  const timesheet = this.timesheet || {};
+  const days = this.getWorkDays().length;
+  const spread = (hours) => Array(days).fill(hours / days);
+
+  if (timesheet.approvedHours != null) {
+    return timesheet.approvedDailyHours?.length === days
+      ? timesheet.approvedDailyHours
+      : spread(timesheet.approvedHours);
+  }
+  if (timesheet.actualHours != null) {
+    return timesheet.actualDailyHours?.length === days
+      ? timesheet.actualDailyHours
+      : spread(timesheet.actualHours);
+  }
+  return this.getScheduledDailyHours();
+};
+
+// Recompute the real shift times and pay whenever the schedule or rates change
+jobSchema.pre("validate", function (next) {
+  if (
+    !this.workDate ||
+    !this.startTime ||
+    !this.endTime ||
+    !(this.isNew || this.isModified(JOB_SCHEDULE_FIELDS))
+  ) {
+    return next();
+  }
+
+  const { startsAt, endsAt } = getShiftTimes(
+    this.workDate,
+    this.startTime,
+    this.endTime,
+    this.endDate
+  );
+  this.startsAt = startsAt;
+  this.endsAt = endsAt;
 
-  const start = new Date(`2000-01-01 ${this.startTime}`);
-  const end = new Date(`2000-01-01 ${this.endTime}`);
+  // Breaks are taken each day, so they must fit within a single day's shift
+  const [firstDay] = this.getWorkDays();
+  const shiftMinutes = (firstDay.end - firstDay.start) / 60000;
+  if ((this.breakMinutes || 0) >= shiftMinutes) {
+    this.invalidate("breakMinutes", "Break must be shorter than the shift");
+    return next();
+  }
+
+  Object.assign(this, this.calculatePay(this.getBillableDailyHours()));
+  next();
+});
+
+// Venue coordinates from the job's order, or the open shift it came from
+jobSchema.methods.getVenueCoordinates = async function () {
+  const coordinates = this.order?.venue?.coordinates;
+  if (hasCoordinates(coordinates)) {
+    return coordinates;
+  }
+
+  if (this.shift) {
+    const Shift = mongoose.model("Shift");
+    const shift = await Shift.findById(this.shift).select("geoLocation");
+    const point = shift?.geoLocation?.coordinates;
+    if (point && point.length === 2) {
+      return { latitude: point[1], longitude: point[0] };
+    }
+  }
+
+  return null;
+};
+
+// Check a waiter's position against the venue geofence
+jobSchema.methods.checkGeofence = async function (position) {
+  const radius = parseInt(process.env.CLOCK_IN_RADIUS_METERS, 10) || 200;
+  const venue = await this.getVenueCoordinates();
+
+  if (!venue) {
+    return { verified: false, withinRadius: true, distance: null, radius };
+  }
+
+  const distance = Math.round(getDistanceMeters(position, venue));
+  return { verified: true, withinRadius: distance <= radius, distance, radius };
+};
+
+// Hours worked each day between clocking in and out. On a multi-day job the
+// time between one day's shift and the next is off the clock; time before
+// the first shift or after the last counts towards that day. A break is
+// taken on each day worked.
+jobSchema.methods.getWorkedDailyHours = function (clockInAt, clockOutAt) {
+  const days = this.getWorkDays();
+
+  return days.map((day, i) => {
+    const start = i === 0 ? clockInAt : Math.max(day.start, clockInAt);
+    const end =
+      i === days.length - 1 ? clockOutAt : Math.min(day.end, clockOutAt);
+    if (end <= start) return 0;
+
+    return roundTo(
+      Math.max((end - start) / 36e5 - (this.breakMinutes || 0) / 60, 0)
+    );
+  });
+};
+
+// Record clock-out, work out the hours actually worked and reprice the job
+jobSchema.methods.clockOut = function (location) {
+  const clockOutAt = new Date();
+  const dailyHours = this.getWorkedDailyHours(
+    this.timesheet.clockInAt.getTime(),
+    clockOutAt.getTime()
+  );
+
+  this.timesheet.clockOutAt = clockOutAt;
+  this.timesheet.clockOutLocation = location;
+  this.timesheet.actualDailyHours = dailyHours;
+  this.timesheet.actualHours = roundTo(
+    dailyHours.reduce((sum, hours) => sum + hours, 0)
+  );
+  this.timesheet.status = "submitted";
+  Object.assign(this, this.calculatePay(this.getBillableDailyHours()));
+
+  return this.timesheet;
+};
+
+// Virtual for duration (scheduled hours excluding breaks, over every day)
+jobSchema.virtual("duration").get(function () {
+  if (!this.workDate || !this.startTime || !this.endTime) return null;
 
-  return Math.abs(end - start) / 36e5; // Convert to hours
+  return this.getScheduledDailyHours().reduce((sum, hours) => sum + hours, 0);
 });
 
 export const Order = mongoose.model("Order", orderSchema);
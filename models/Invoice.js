@@ -0,0 +1,111 @@
+import mongoose from "mongoose";
+
+// Number prefix for each kind of document
+const NUMBER_PREFIXES = {
+  invoice: "INV",
+  "pay-statement": "PAY",
+};
+
+// Invoice Model (issued PDF documents - order invoices and job pay statements)
+const invoiceSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    type: {
+      type: String,
+      enum: Object.keys(NUMBER_PREFIXES),
+      required: true,
+    },
+    // Sequential per vendor and type; number is the printed form (INV-000042)
+    sequence: {
+      type: Number,
+      required: true,
+    },
+    number: {
+      type: String,
+      required: true,
+    },
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Order",
+    },
+    job: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Job",
+    },
+    issuedTo: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+
+    // Snapshot of the figures printed, and a key of the ones that would
+    // change the document so unchanged documents are reused
+    data: mongoose.Schema.Types.Mixed,
+    fingerprint: String,
+
+    // Stored copy of the rendered PDF
+    pdf: {
+      type: Buffer,
+      select: false,
+    },
+    fileName: String,
+    issuedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+invoiceSchema.index({ vendor: 1, type: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ order: 1, issuedAt: -1 });
+invoiceSchema.index({ job: 1, issuedAt: -1 });
+
+// Latest document for an order or job, with its stored PDF
+invoiceSchema.statics.findLatest = function (filter) {
+  return this.findOne(filter).sort({ issuedAt: -1 }).select("+pdf");
+};
+
+// Issue a document with the vendor's next number. render(document) builds the
+// PDF once the number is known.
+invoiceSchema.statics.issue = async function (details, render) {
+  const prefix = NUMBER_PREFIXES[details.type];
+
+  // Two documents issued at once can pick the same number; the unique index
+  // rejects the second, which then takes the next one
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const last = await this.findOne({
+      vendor: details.vendor,
+      type: details.type,
+    })
+      .sort({ sequence: -1 })
+      .select("sequence");
+    const sequence = (last ? last.sequence : 0) + 1;
+
+    const document = new this({
+      ...details,
+      sequence,
+      number: `${prefix}-${String(sequence).padStart(6, "0")}`,
+    });
+    document.pdf = await render(document);
+    document.fileName = `${document.number}.pdf`;
+
+    try {
+      return await document.save();
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error("Could not allocate a document number, please try again");
+};
+
+export default mongoose.model("Invoice", invoiceSchema);
@@ -0,0 +1,264 @@
+import mongoose from "mongoose";
+import { getPaymentProvider } from "../utils/paymentGateway.js";
+
+// Orders can be paid once the vendor has confirmed them
+export const PAYABLE_ORDER_STATUSES = ["confirmed", "in-progress", "completed"];
+
+// Payments that still hold money (fully refunded ones hold none)
+export const RETAINED_PAYMENT_STATUSES = ["success", "partially-refunded"];
+
+// Aggregation expression for what a payment still holds after refunds
+export const KEPT_AMOUNT = {
+  $subtract: ["$amount", { $ifNull: ["$refundedAmount", 0] }],
+};
+
+const roundTo = (value) => Math.round(value * 100) / 100;
+
+// Payment Model (customer payment towards an order)
+const paymentSchema = new mongoose.Schema(
+  {
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Order",
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+
+    // Gateway details
+    provider: {
+      type: String,
+      required: true,
+    },
+    reference: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    authorizationUrl: String,
+    channel: String,
+
+    // deposit -> first part payment; full -> everything still owed
+    type: {
+      type: String,
+      enum: ["deposit", "full"],
+      required: true,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: [0, "Amount cannot be negative"],
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+
+    // Split between the platform and the vendor, set once the payment succeeds
+    commissionRate: Number,
+    platformFee: Number,
+    vendorNet: Number,
+    // Settlement statement that paid the vendor's share out
+    settlement: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Settlement",
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ["pending", "success", "failed", "partially-refunded", "refunded"],
+      default: "pending",
+    },
+    paidAt: Date,
+    failureReason: String,
+
+    // Refunds sent back through the gateway. refundedAmount counts those the
+    // gateway accepted, whether or not it has finished processing them.
+    refundedAmount: {
+      type: Number,
+      default: 0,
+    },
+    refunds: [
+      {
+        refundId: String,
+        amount: Number,
+        status: {
+          type: String,
+          enum: ["pending", "success", "failed"],
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+paymentSchema.index({ order: 1, createdAt: -1 });
+paymentSchema.index({ user: 1 });
+paymentSchema.index({ status: 1 });
+paymentSchema.index({ vendor: 1, status: 1, settlement: 1, paidAt: 1 });
+
+// Split the amount kept (after refunds) into the platform fee and the
+// vendor's net
+paymentSchema.methods.applyCommission = function (rate) {
+  const kept = this.amount - (this.refundedAmount || 0);
+
+  this.commissionRate = rate;
+  this.platformFee = Math.round(kept * rate) / 100;
+  this.vendorNet = roundTo(kept - this.platformFee);
+  return this;
+};
+
+// Record a refund the gateway accepted. The commission is refunded along
+// with it, so the split is worked out again on what is left.
+paymentSchema.methods.recordRefund = function (refund) {
+  this.refunds.push({
+    refundId: refund.id,
+    amount: refund.amount,
+    status: refund.status,
+  });
+  this.refundedAmount = roundTo((this.refundedAmount || 0) + refund.amount);
+  this.status =
+    this.refundedAmount >= this.amount ? "refunded" : "partially-refunded";
+  this.applyCommission(this.commissionRate || 0);
+  return this;
+};
+
+// Refund part of an order's payments through their gateways, newest payment
+// first, until `amount` has been refunded in total. Refunds already recorded
+// count towards it, so a failed run can simply be repeated. Throws when a
+// gateway refuses or the payments can't cover the amount.
+paymentSchema.statics.refundOrder = async function (order, amount) {
+  const payments = await this.find({
+    order: order._id,
+    status: { $in: [...RETAINED_PAYMENT_STATUSES, "refunded"] },
+  }).sort({ paidAt: -1 });
+
+  const alreadyRefunded = payments.reduce(
+    (sum, payment) => sum + (payment.refundedAmount || 0),
+    0
+  );
+  let remaining = roundTo(amount - alreadyRefunded);
+
+  for (const payment of payments) {
+    if (remaining <= 0) break;
+
+    const share = roundTo(
+      Math.min(remaining, payment.amount - (payment.refundedAmount || 0))
+    );
+    if (share <= 0) continue;
+
+    const provider = getPaymentProvider(payment.provider);
+    if (!provider) {
+      throw new Error(
+        `Payment provider "${payment.provider}" is not available for refunds`
+      );
+    }
+
+    const refund = await provider.refund(payment.reference, share);
+    if (refund.status === "failed") {
+      throw new Error(
+        `The gateway refused the refund for ${payment.reference}`
+      );
+    }
+
+    payment.recordRefund(refund);
+    await payment.save();
+    remaining = roundTo(remaining - refund.amount);
+  }
+
+  if (remaining > 0) {
+    throw new Error(
+      `${remaining} could not be refunded: no gateway payment covers it`
+    );
+  }
+
+  return payments;
+};
+
+// Apply a verified gateway result (from a webhook or a verify call). Safe to
+// call more than once - only the first successful result credits the order.
+paymentSchema.methods.applyResult = async function (result) {
+  if (this.status !== "pending" || result.status === "pending") {
+    return this;
+  }
+
+  if (result.status === "success" && result.currency !== this.currency) {
+    result = {
+      ...result,
+      status: "failed",
+      failureReason: `Currency paid (${result.currency}) does not match the payment currency (${this.currency})`,
+    };
+  } else if (result.status === "success" && result.amount < this.amount) {
+    result = {
+      ...result,
+      status: "failed",
+      failureReason: `Amount paid (${result.amount}) is less than the amount due (${this.amount})`,
+    };
+  }
+
+  // Claim the payment atomically so concurrent webhooks can't credit it twice
+  const Payment = mongoose.model("Payment");
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: this._id, status: "pending" },
+    {
+      status: result.status,
+      channel: result.channel,
+      paidAt: result.status === "success" ? result.paidAt || Date.now() : null,
+      failureReason: result.failureReason,
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    return Payment.findById(this._id);
+  }
+
+  if (claimed.status === "success") {
+    const Order = mongoose.model("Order");
+    const order = await Order.findById(claimed.order);
+
+    claimed.applyCommission(await order.getCommissionRate());
+    await claimed.save();
+
+    order.recordPayment(claimed);
+
+    // Money that arrives after the order was cancelled is sent straight back.
+    // A refund the gateway refuses is left as a failed refund on the order
+    // for an admin to retry.
+    if (!PAYABLE_ORDER_STATUSES.includes(order.status)) {
+      console.log(
+        `⚠️ Payment ${claimed.reference} arrived for a ${order.status} order, refunding it`
+      );
+      order.refundAmount = roundTo((order.refundAmount || 0) + claimed.amount);
+      order.refundStatus = undefined;
+      await order.issueRefund();
+      await order.save();
+
+      return Payment.findById(claimed._id);
+    }
+
+    await order.save();
+  }
+
+  return claimed;
+};
+
+export default mongoose.model("Payment", paymentSchema);
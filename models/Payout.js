@@ -0,0 +1,198 @@
+import mongoose from "mongoose";
+
+export const EARNING_STATUSES = [
+  "awaiting-approval",
+  "pending",
+  "processing",
+  "paid",
+  "disputed",
+];
+
+// Earning status for each timesheet status; anything else awaits approval
+const EARNING_STATUS_BY_TIMESHEET = {
+  approved: "pending",
+  disputed: "disputed",
+};
+
+// Earning Model (ledger entry owed to a waiter)
+const earningSchema = new mongoose.Schema(
+  {
+    waiter: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Waiter",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    job: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Job",
+    },
+
+    description: {
+      type: String,
+      maxlength: [200, "Description cannot be more than 200 characters"],
+    },
+    hours: Number,
+    amount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    earnedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // awaiting-approval (timesheet not approved yet) -> pending -> processing
+    // (in a payout batch) -> paid; disputed is held back
+    status: {
+      type: String,
+      enum: EARNING_STATUSES,
+      default: "awaiting-approval",
+    },
+    payout: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Payout",
+    },
+    paidAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Payout Model (batch of earnings paid out together)
+const payoutSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    entries: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Earning",
+      },
+    ],
+    waiterCount: Number,
+    totalAmount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+    note: {
+      type: String,
+      maxlength: [500, "Note cannot be more than 500 characters"],
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ["pending", "paid", "cancelled"],
+      default: "pending",
+    },
+    reference: String,
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+    cancelledAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+earningSchema.index({ job: 1 }, { unique: true, sparse: true });
+earningSchema.index({ waiter: 1, status: 1 });
+earningSchema.index({ vendor: 1, status: 1 });
+earningSchema.index({ payout: 1 });
+
+payoutSchema.index({ vendor: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+
+// Create or refresh the ledger entry for a completed job. The entry only
+// becomes payable (pending) once the vendor approves the timesheet, and an
+// approved timesheet can't be changed, so batched entries carry final hours.
+earningSchema.statics.recordJob = async function (job) {
+  const data = {
+    waiter: job.waiter._id || job.waiter,
+    vendor: job.vendor._id || job.vendor,
+    job: job._id,
+    description: `${job.position} - ${new Date(
+      job.workDate
+    ).toLocaleDateString()}`,
+    hours: job.totalHours,
+    amount: job.totalAmount || 0,
+    currency: job.currency,
+    earnedAt: job.completedAt || Date.now(),
+    status:
+      EARNING_STATUS_BY_TIMESHEET[job.timesheet?.status] || "awaiting-approval",
+  };
+
+  // Entries already in a payout keep the amount that was batched
+  const existing = await this.findOneAndUpdate(
+    { job: job._id, status: { $nin: ["processing", "paid"] } },
+    data,
+    { new: true, runValidators: true }
+  );
+  if (existing) {
+    return existing;
+  }
+
+  const batched = await this.findOne({ job: job._id });
+  if (batched) {
+    return batched;
+  }
+
+  return this.create(data);
+};
+
+// Sum a waiter's earnings by status
+earningSchema.statics.getBalances = async function (waiterId) {
+  const totals = await this.aggregate([
+    { $match: { waiter: waiterId } },
+    {
+      $group: {
+        _id: "$status",
+        amount: { $sum: "$amount" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  return EARNING_STATUSES.reduce((balances, status) => {
+    const total = totals.find((t) => t._id === status);
+    balances[status] = {
+      amount: total ? total.amount : 0,
+      count: total ? total.count : 0,
+    };
+    return balances;
+  }, {});
+};
+
+export const Earning = mongoose.model("Earning", earningSchema);
+export const Payout = mongoose.model("Payout", payoutSchema);
@@ -6,6 +6,7 @@ const ratingSchema = new mongoose.Schema(
     reviewer: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
+      populate: { withDeleted: true },
       required: true,
     },
 
@@ -13,10 +14,12 @@ const ratingSchema = new mongoose.Schema(
     vendor: {
       type: mongoose.Schema.ObjectId,
       ref: "Vendor",
+      populate: { withDeleted: true },
     },
     waiter: {
       type: mongoose.Schema.ObjectId,
       ref: "Waiter",
+      populate: { withDeleted: true },
     },
 
     // Related booking/job
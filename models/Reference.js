@@ -15,6 +15,13 @@ const categorySchema = new mongoose.Schema(
       maxlength: [200, "Description cannot be more than 200 characters"],
     },
     icon: String, // Icon name or URL
+    // Platform commission (%) on orders from vendors in this category;
+    // falls back to PLATFORM_COMMISSION_PERCENTAGE when unset
+    commissionRate: {
+      type: Number,
+      min: [0, "Commission rate cannot be negative"],
+      max: [100, "Commission rate cannot be more than 100%"],
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -25,6 +32,24 @@ const categorySchema = new mongoose.Schema(
   }
 );
 
+// Commission rate (%) for a vendor's categories - the first one that sets its
+// own rate wins, otherwise the platform-wide rate applies
+categorySchema.statics.getCommissionRate = async function (categoryIds = []) {
+  const ids = categoryIds.map((category) => category._id || category);
+  const categories = await this.find({
+    _id: { $in: ids },
+    commissionRate: { $ne: null },
+  }).select("commissionRate");
+
+  const match = ids
+    .map((id) => categories.find((category) => category._id.equals(id)))
+    .find(Boolean);
+
+  return match
+    ? match.commissionRate
+    : parseFloat(process.env.PLATFORM_COMMISSION_PERCENTAGE) || 10;
+};
+
 // Expertise Model (for waiters)
 const expertiseSchema = new mongoose.Schema(
   {
@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Session Model (one signed-in device, holding its current refresh token)
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+      required: true,
+    },
+
+    // Hashes of the current refresh token and the one it replaced, so a
+    // replayed old token can be recognised
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    previousTokenHash: {
+      type: String,
+      select: false,
+    },
+
+    // Device the session was created from
+    userAgent: String,
+    device: String,
+    ip: String,
+
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "revoked",
+        "logout-all",
+        "password-change",
+        "token-reuse",
+        "account-deleted",
+      ],
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ refreshTokenHash: 1 });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Refresh tokens last REFRESH_TOKEN_EXPIRE days (default 30)
+const getRefreshLifetime = () =>
+  (parseInt(process.env.REFRESH_TOKEN_EXPIRE) || 30) * 24 * 60 * 60 * 1000;
+
+// New refresh token with the fields that store it
+const issueRefreshToken = () => {
+  const refreshToken = crypto.randomBytes(40).toString("hex");
+
+  return {
+    refreshToken,
+    fields: {
+      refreshTokenHash: hashToken(refreshToken),
+      lastUsedAt: Date.now(),
+      expiresAt: Date.now() + getRefreshLifetime(),
+    },
+  };
+};
+
+// Start a session for a user. Returns the session and its refresh token.
+sessionSchema.statics.start = async function (user, device) {
+  const { refreshToken, fields } = issueRefreshToken();
+  const session = await this.create({ user: user._id, ...device, ...fields });
+
+  return { session, refreshToken };
+};
+
+// Swap a refresh token for a new one. Returns null when the token is unknown,
+// expired or revoked. A token that was already swapped means it was copied,
+// so that session is revoked.
+sessionSchema.statics.rotate = async function (refreshToken) {
+  const tokenHash = hashToken(refreshToken);
+  const { refreshToken: newToken, fields } = issueRefreshToken();
+
+  // Matching on the current hash lets only one of two concurrent refreshes win
+  const session = await this.findOneAndUpdate(
+    {
+      refreshTokenHash: tokenHash,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { ...fields, previousTokenHash: tokenHash },
+    { new: true }
+  );
+  if (session) {
+    return { session, refreshToken: newToken };
+  }
+
+  await this.updateOne(
+    { previousTokenHash: tokenHash, revokedAt: null },
+    { revokedAt: Date.now(), revokedReason: "token-reuse" }
+  );
+
+  return null;
+};
+
+// Check whether the session can still be used
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > Date.now();
+};
+
+// Revoke all of a user's active sessions, optionally keeping one
+sessionSchema.statics.revokeAll = function (userId, reason, exceptId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptId) {
+    filter._id = { $ne: exceptId };
+  }
+
+  return this.updateMany(filter, {
+    revokedAt: Date.now(),
+    revokedReason: reason,
+  });
+};
+
+export default mongoose.model("Session", sessionSchema);
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// Settlement Model (statement of what the platform owes a vendor for a period)
+const settlementSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    periodStart: {
+      type: Date,
+      required: true,
+    },
+    periodEnd: {
+      type: Date,
+      required: true,
+    },
+    payments: [
+      {
+        type: mongoose.Schema.ObjectId,
+        ref: "Payment",
+      },
+    ],
+    paymentCount: Number,
+
+    // Totals
+    grossAmount: {
+      type: Number,
+      required: true,
+    },
+    platformFee: {
+      type: Number,
+      required: true,
+    },
+    netAmount: {
+      type: Number,
+      required: true,
+    },
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+
+    // Status
+    status: {
+      type: String,
+      enum: ["pending", "paid"],
+      default: "pending",
+    },
+    generatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+    reference: String,
+    paidAt: Date,
+    paidBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+settlementSchema.index({ vendor: 1, periodStart: -1 });
+settlementSchema.index({ status: 1 });
+
+// Populate vendor details
+settlementSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: "vendor",
+    select: "businessName user",
+  });
+  next();
+});
+
+export default mongoose.model("Settlement", settlementSchema);
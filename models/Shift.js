@@ -0,0 +1,272 @@
+import mongoose from "mongoose";
+
+// Waiter application for an open shift
+const applicationSchema = new mongoose.Schema(
+  {
+    waiter: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Waiter",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    message: {
+      type: String,
+      maxlength: [500, "Message cannot be more than 500 characters"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "rejected", "withdrawn"],
+      default: "pending",
+    },
+    respondedAt: Date,
+    // Job created when the application is accepted
+    job: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Job",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Open Shift Model (Vendor posts, Waiters apply)
+const shiftSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+    // Optional order the shift staffs
+    order: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Order",
+    },
+
+    // Shift Details
+    position: {
+      type: String,
+      required: [true, "Please specify the position"],
+      maxlength: [50, "Position cannot be more than 50 characters"],
+    },
+    description: {
+      type: String,
+      maxlength: [1000, "Description cannot be more than 1000 characters"],
+    },
+    expertise: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Expertise",
+    },
+    openings: {
+      type: Number,
+      default: 1,
+      min: [1, "Openings must be at least 1"],
+      max: [100, "Openings cannot be more than 100"],
+    },
+
+    // Schedule
+    workDate: {
+      type: Date,
+      required: [true, "Please add work date"],
+    },
+    endDate: Date,
+    startTime: {
+      type: String,
+      required: [true, "Please add start time"],
+    },
+    endTime: {
+      type: String,
+      required: [true, "Please add end time"],
+    },
+    breakMinutes: {
+      type: Number,
+      default: 0,
+      min: [0, "Break cannot be negative"],
+    },
+
+    // Compensation
+    hourlyRate: {
+      type: Number,
+      required: [true, "Please add an hourly rate"],
+      min: [0, "Hourly rate cannot be negative"],
+    },
+    overtimeAfterHours: Number,
+    overtimeRate: Number,
+    currency: {
+      type: String,
+      default: "NGN",
+    },
+
+    // Location
+    location: {
+      name: String,
+      address: String,
+      city: {
+        type: String,
+        required: [true, "Please add the shift city"],
+      },
+      state: String,
+      country: String,
+    },
+    // Only set when coordinates are given, so shifts without them stay out of
+    // the geo index
+    geoLocation: {
+      type: {
+        type: String,
+        enum: ["Point"],
+      },
+      coordinates: {
+        type: [Number], // [longitude, latitude]
+        default: undefined,
+      },
+    },
+
+    dresscode: String,
+    instructions: String,
+
+    // Status
+    status: {
+      type: String,
+      enum: ["open", "filled", "closed"],
+      default: "open",
+    },
+    closedAt: Date,
+
+    applications: [applicationSchema],
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+shiftSchema.index({ geoLocation: "2dsphere" });
+shiftSchema.index({ status: 1, workDate: 1 });
+shiftSchema.index({ vendor: 1, createdAt: -1 });
+shiftSchema.index({ expertise: 1 });
+shiftSchema.index({ "applications.waiter": 1 });
+
+// Populate vendor and expertise details
+shiftSchema.pre(/^find/, function (next) {
+  this.populate({
+    path: "vendor",
+    select: "businessName user averageRating",
+    populate: {
+      path: "user",
+      select: "firstName lastName",
+    },
+  }).populate({
+    path: "expertise",
+    select: "name",
+  });
+  next();
+});
+
+// Number of accepted applications
+shiftSchema.virtual("filled").get(function () {
+  return (this.applications || []).filter(
+    (app) => app.status === "accepted"
+  ).length;
+});
+
+// Number of applications still awaiting a response
+shiftSchema.virtual("pendingApplications").get(function () {
+  return (this.applications || []).filter(
+    (app) => app.status === "pending"
+  ).length;
+});
+
+// Get a waiter's latest application to this shift
+shiftSchema.methods.getApplication = function (waiterId) {
+  return [...this.applications]
+    .reverse()
+    .find(
+      (app) => (app.waiter._id || app.waiter).toString() === waiterId.toString()
+    );
+};
+
+// Job details for a waiter hired through this shift
+shiftSchema.methods.getJobDetails = function () {
+  return {
+    vendor: this.vendor._id,
+    order: this.order,
+    shift: this._id,
+    position: this.position,
+    workDate: this.workDate,
+    endDate: this.endDate,
+    startTime: this.startTime,
+    endTime: this.endTime,
+    breakMinutes: this.breakMinutes,
+    hourlyRate: this.hourlyRate,
+    overtimeAfterHours: this.overtimeAfterHours,
+    overtimeRate: this.overtimeRate,
+    currency: this.currency,
+    instructions: this.instructions,
+    dresscode: this.dresscode,
+  };
+};
+
+// Accept a pending application, taking one of the openings. The checks and
+// the change are one update, so two acceptances at once can't over-fill the
+// shift. Returns false when the shift is no longer open, has no openings
+// left or the application has already been answered.
+shiftSchema.methods.claimOpening = async function (applicationId) {
+  const result = await mongoose.model("Shift").updateOne(
+    {
+      _id: this._id,
+      status: "open",
+      applications: {
+        $elemMatch: { _id: applicationId, status: "pending" },
+      },
+      $expr: {
+        $lt: [
+          {
+            $size: {
+              $filter: {
+                input: "$applications",
+                as: "application",
+                cond: { $eq: ["$$application.status", "accepted"] },
+              },
+            },
+          },
+          "$openings",
+        ],
+      },
+    },
+    {
+      $set: {
+        "applications.$[application].status": "accepted",
+        "applications.$[application].respondedAt": new Date(),
+      },
+    },
+    { arrayFilters: [{ "application._id": applicationId }] }
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Put an application accepted by claimOpening back to pending
+shiftSchema.methods.releaseOpening = function (applicationId) {
+  return mongoose.model("Shift").updateOne(
+    { _id: this._id },
+    {
+      $set: { "applications.$[application].status": "pending" },
+      $unset: { "applications.$[application].respondedAt": 1 },
+    },
+    { arrayFilters: [{ "application._id": applicationId }] }
+  );
+};
+
+// Mark the shift filled once every opening is taken (and reopen if not)
+shiftSchema.methods.updateFillStatus = function () {
+  if (this.status === "closed") return this.status;
+
+  this.status = this.filled >= this.openings ? "filled" : "open";
+  return this.status;
+};
+
+export default mongoose.model("Shift", shiftSchema);
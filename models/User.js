@@ -2,6 +2,78 @@ import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 import crypto from "crypto";
+import {
+  verifyTotp,
+  hashBackupCode,
+  generateBackupCodes,
+} from "../utils/totp.js";
+import { ADMIN_ROLES, getRolePermissions } from "../config/permissions.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+import { getNetwork } from "../utils/device.js";
+
+// Failed sign-ins allowed before the account is locked. Each lockout in a
+// row doubles, starting at LOCKOUT_MINUTES and capped at MAX_LOCKOUT_MINUTES.
+const MAX_FAILED_LOGINS = 5;
+const LOCKOUT_MINUTES = 15;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+
+// Phone verification codes expire after PHONE_CODE_MINUTES and allow
+// MAX_PHONE_CODE_ATTEMPTS wrong guesses before a new one is needed
+const PHONE_CODE_MINUTES = 10;
+const MAX_PHONE_CODE_ATTEMPTS = 5;
+
+// Sign-in attempts kept in a user's login history
+const LOGIN_HISTORY_LIMIT = 50;
+
+// Days between a self-service deletion request and anonymizing the account
+// (ACCOUNT_DELETION_GRACE_DAYS, default 30)
+const ACCOUNT_DELETION_GRACE_DAYS =
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// Days an admin can restore a deleted account before it is anonymized
+// (DELETED_USER_RETENTION_DAYS, default 30)
+const DELETED_USER_RETENTION_DAYS =
+  parseInt(process.env.DELETED_USER_RETENTION_DAYS) || 30;
+
+// Orders and jobs in these statuses still need the account
+const OPEN_ORDER_STATUSES = ["pending", "confirmed", "in-progress"];
+const OPEN_JOB_STATUSES = ["pending", "accepted", "in-progress"];
+
+const loginHistorySchema = new mongoose.Schema(
+  {
+    ip: String,
+    userAgent: String,
+    device: String,
+    // Hash of the browser's device cookie, when it sent one
+    deviceId: String,
+    success: Boolean,
+    reason: {
+      type: String,
+      enum: ["register", "invalid-password", "invalid-2fa-code"],
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    _id: false,
+    // The device cookie hash is internal and is left out of responses
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.deviceId;
+        return ret;
+      },
+    },
+  }
+);
+
+// Codes are short, so the hash is tied to the user and phone number
+const hashPhoneCode = (user, code) =>
+  crypto
+    .createHash("sha256")
+    .update(`${user._id}:${user.phone}:${code}`)
+    .digest("hex");
 
 const userSchema = new mongoose.Schema(
   {
@@ -52,6 +124,12 @@ const userSchema = new mongoose.Schema(
       enum: ["user", "vendor", "waiter", "admin"],
       default: "user",
     },
+    // Admin role that grants permissions (see config/permissions.js). Admins
+    // without one are treated as superadmins.
+    adminRole: {
+      type: String,
+      enum: Object.keys(ADMIN_ROLES),
+    },
 
     // Profile Info
     dateOfBirth: Date,
@@ -88,6 +166,10 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    isPhoneVerified: {
+      type: Boolean,
+      default: false,
+    },
 
     // Profile Picture
     profilePicture: {
@@ -103,6 +185,62 @@ const userSchema = new mongoose.Schema(
     emailVerificationToken: String,
     emailVerificationExpire: Date,
 
+    // For phone verification (one-time code sent by SMS)
+    phoneVerificationCode: {
+      type: String,
+      select: false,
+    },
+    phoneVerificationExpire: {
+      type: Date,
+      select: false,
+    },
+    phoneVerificationAttempts: {
+      type: Number,
+      select: false,
+    },
+    phoneVerificationSentAt: Date,
+
+    // Two-factor authentication (TOTP). The secret is set during setup and
+    // only used for sign-in once enabled; backup codes are stored hashed.
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false,
+    },
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    twoFactorEnabledAt: Date,
+
+    // Sign-in protection: consecutive failures, lockout and recent attempts
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+    },
+    lockUntil: Date,
+    lockCount: {
+      type: Number,
+      default: 0,
+    },
+    loginHistory: {
+      type: [loginHistorySchema],
+      select: false,
+    },
+
+    // Self-service deletion. Personal data is anonymized once
+    // deletionScheduledFor passes, unless the user cancels first.
+    deletionRequestedAt: Date,
+    deletionScheduledFor: Date,
+    anonymizedAt: Date,
+
     // Timestamps
     lastLogin: Date,
   },
@@ -116,6 +254,11 @@ userSchema.index({ email: 1 });
 userSchema.index({ phone: 1 });
 userSchema.index({ role: 1 });
 userSchema.index({ isApproved: 1 });
+userSchema.index({ lockUntil: 1 });
+userSchema.index({ deletionScheduledFor: 1 });
+
+// Admin deletions are soft (deletedAt/deletedBy) so history stays intact
+userSchema.plugin(softDeletePlugin);
 
 // Virtual for full name
 userSchema.virtual("fullName").get(function () {
@@ -144,16 +287,32 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
   return await bcrypt.compare(enteredPassword, this.password);
 };
 
-// Sign JWT and return
-userSchema.methods.getSignedJwtToken = function () {
+// Sign a short-lived access token for one of the user's sessions
+userSchema.methods.getSignedJwtToken = function (sessionId) {
   return jwt.sign(
     {
       id: this._id,
       role: this.role,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    {
+      expiresIn: process.env.JWT_EXPIRE || "15m",
+    }
+  );
+};
+
+// Sign a short-lived token proving the password was checked, exchanged for a
+// session once a two-factor code is given
+userSchema.methods.getTwoFactorChallengeToken = function () {
+  return jwt.sign(
+    {
+      id: this._id,
+      purpose: "2fa",
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRE,
+      expiresIn: "5m",
     }
   );
 };
@@ -175,4 +334,373 @@ userSchema.methods.getResetPasswordToken = function () {
   return resetToken;
 };
 
+// Generate and hash email verification token
+userSchema.methods.getEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(20).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  this.emailVerificationExpire = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+
+  return verificationToken;
+};
+
+// Generate a phone verification code, storing only its hash
+userSchema.methods.getPhoneVerificationCode = function () {
+  const code = String(crypto.randomInt(0, 1000000)).padStart(6, "0");
+
+  this.phoneVerificationCode = hashPhoneCode(this, code);
+  this.phoneVerificationExpire = Date.now() + PHONE_CODE_MINUTES * 60 * 1000;
+  this.phoneVerificationAttempts = 0;
+  this.phoneVerificationSentAt = Date.now();
+
+  return code;
+};
+
+// Check a phone verification code. Needs the phoneVerification* fields
+// selected; returns "verified", "invalid", "expired" or "too-many-attempts"
+// and updates the user, which the caller must save.
+userSchema.methods.verifyPhoneCode = function (code) {
+  if (
+    !this.phoneVerificationCode ||
+    this.phoneVerificationExpire < Date.now()
+  ) {
+    return "expired";
+  }
+
+  if (this.phoneVerificationAttempts >= MAX_PHONE_CODE_ATTEMPTS) {
+    return "too-many-attempts";
+  }
+
+  const expected = Buffer.from(this.phoneVerificationCode);
+  const received = Buffer.from(hashPhoneCode(this, String(code).trim()));
+  if (!crypto.timingSafeEqual(expected, received)) {
+    this.phoneVerificationAttempts += 1;
+    return "invalid";
+  }
+
+  this.isPhoneVerified = true;
+  this.clearPhoneVerification();
+  return "verified";
+};
+
+// Remove any pending phone verification code
+userSchema.methods.clearPhoneVerification = function () {
+  this.phoneVerificationCode = undefined;
+  this.phoneVerificationExpire = undefined;
+  this.phoneVerificationAttempts = undefined;
+};
+
+// Check whether sign-in is locked after too many failed attempts
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil > Date.now());
+};
+
+// Record a failed sign-in, locking the account once there are too many.
+// device is { ip, userAgent, device }.
+userSchema.methods.recordFailedLogin = async function (device, reason) {
+  const User = mongoose.model("User");
+
+  const user = await User.findByIdAndUpdate(
+    this._id,
+    {
+      $inc: { failedLoginAttempts: 1 },
+      $push: {
+        loginHistory: {
+          $each: [{ ...device, success: false, reason }],
+          $slice: -LOGIN_HISTORY_LIMIT,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (user.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const minutes = Math.min(
+      LOCKOUT_MINUTES * 2 ** user.lockCount,
+      MAX_LOCKOUT_MINUTES
+    );
+    this.lockUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+    // Only the request that reached the limit starts the lockout
+    await User.updateOne(
+      { _id: this._id, failedLoginAttempts: { $gte: MAX_FAILED_LOGINS } },
+      {
+        lockUntil: this.lockUntil,
+        failedLoginAttempts: 0,
+        $inc: { lockCount: 1 },
+      }
+    );
+  }
+};
+
+// Record a successful sign-in and clear failed attempts. Needs loginHistory
+// selected; returns true when the device has not signed in before. A device
+// is known when it presents the device cookie of an earlier sign-in, or is
+// the same kind of device signing in from the same network as before.
+userSchema.methods.recordLogin = async function (
+  { deviceId, ...device },
+  reason
+) {
+  const deviceIdHash =
+    deviceId && crypto.createHash("sha256").update(deviceId).digest("hex");
+  const network = getNetwork(device.ip);
+
+  const previous = (this.loginHistory || []).filter((entry) => entry.success);
+  const isNewDevice =
+    previous.length > 0 &&
+    !previous.some(
+      (entry) =>
+        (deviceIdHash && entry.deviceId === deviceIdHash) ||
+        (network &&
+          entry.device === device.device &&
+          getNetwork(entry.ip) === network)
+    );
+
+  this.lastLogin = Date.now();
+  this.clearLockout();
+
+  await mongoose.model("User").updateOne(
+    { _id: this._id },
+    {
+      lastLogin: this.lastLogin,
+      failedLoginAttempts: 0,
+      lockCount: 0,
+      $unset: { lockUntil: 1 },
+      $push: {
+        loginHistory: {
+          $each: [{ ...device, deviceId: deviceIdHash, success: true, reason }],
+          $slice: -LOGIN_HISTORY_LIMIT,
+        },
+      },
+    }
+  );
+
+  return isNewDevice;
+};
+
+// Clear failed attempts and any lockout
+userSchema.methods.clearLockout = function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+};
+
+// Check an admin permission. Only admins have permissions.
+userSchema.methods.hasPermission = function (permission) {
+  if (this.role !== "admin") return false;
+  return getRolePermissions(this.adminRole).includes(permission);
+};
+
+// Two-factor authentication is mandatory for admins and optional for others
+userSchema.methods.requiresTwoFactor = function () {
+  return this.twoFactorEnabled || this.role === "admin";
+};
+
+// Check a TOTP or backup code. Needs the twoFactor* fields selected; marks
+// the code as used, so the caller must save the user when it matches.
+userSchema.methods.verifyTwoFactorCode = function (code) {
+  if (!this.twoFactorSecret) return false;
+
+  const step = verifyTotp(this.twoFactorSecret, code, this.twoFactorLastStep);
+  if (step !== null) {
+    this.twoFactorLastStep = step;
+    return true;
+  }
+
+  if (!this.twoFactorEnabled) return false;
+
+  const index = (this.twoFactorBackupCodes || []).indexOf(hashBackupCode(code));
+  if (index === -1) return false;
+
+  this.twoFactorBackupCodes.splice(index, 1);
+  return true;
+};
+
+// Replace the backup codes and return the new ones
+userSchema.methods.generateTwoFactorBackupCodes = function () {
+  const codes = generateBackupCodes();
+  this.twoFactorBackupCodes = codes.map(hashBackupCode);
+  return codes;
+};
+
+// Schedule the account for deletion after the grace period
+userSchema.methods.requestDeletion = function () {
+  this.deletionRequestedAt = Date.now();
+  this.deletionScheduledFor =
+    Date.now() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000;
+  return this.deletionScheduledFor;
+};
+
+// Cancel a pending deletion request
+userSchema.methods.cancelDeletion = function () {
+  this.deletionRequestedAt = undefined;
+  this.deletionScheduledFor = undefined;
+};
+
+// Last moment an admin can restore the account after it was deleted
+userSchema.methods.getRestoreDeadline = function () {
+  if (!this.deletedAt) return null;
+  return new Date(
+    this.deletedAt.getTime() + DELETED_USER_RETENTION_DAYS * 24 * 60 * 60 * 1000
+  );
+};
+
+// Whether the user still has orders or jobs in progress, as the customer,
+// the vendor or the waiter
+userSchema.methods.hasOpenWork = async function () {
+  const vendor = await mongoose
+    .model("Vendor")
+    .exists({ user: this._id })
+    .withDeleted();
+  const waiter = await mongoose
+    .model("Waiter")
+    .exists({ user: this._id })
+    .withDeleted();
+
+  const orderMatch = [{ user: this._id }];
+  const jobMatch = [];
+  if (vendor) {
+    orderMatch.push({ vendor: vendor._id });
+    jobMatch.push({ vendor: vendor._id });
+  }
+  if (waiter) {
+    jobMatch.push({ waiter: waiter._id });
+  }
+
+  const Order = mongoose.model("Order");
+  const Job = mongoose.model("Job");
+  const openOrder = await Order.exists({
+    $or: orderMatch,
+    status: { $in: OPEN_ORDER_STATUSES },
+  });
+  const openJob =
+    jobMatch.length > 0 &&
+    (await Job.exists({ $or: jobMatch, status: { $in: OPEN_JOB_STATUSES } }));
+
+  return Boolean(openOrder || openJob);
+};
+
+// Replace personal data with placeholders and close the account. Orders,
+// jobs, payments and other financial records keep pointing at the user, so
+// they stay intact; the vendor or waiter profile loses its personal details.
+// Free text the user wrote in them is removed too: the venue of their
+// bookings, messages they sent and their reviews (the star ratings stay, so
+// averages don't change).
+userSchema.methods.anonymize = async function () {
+  const id = this._id.toString();
+
+  if (this.role === "vendor") {
+    await mongoose.model("Vendor").updateOne(
+      { user: this._id },
+      {
+        $set: {
+          businessName: "Deleted vendor",
+          businessDescription: "This vendor has left Plenty Events",
+          isAvailable: false,
+          portfolio: [],
+          verificationDocuments: [],
+        },
+        $unset: {
+          location: 1,
+          website: 1,
+          socialMedia: 1,
+          calendarToken: 1,
+        },
+      }
+    );
+  } else if (this.role === "waiter") {
+    await mongoose.model("Waiter").updateOne(
+      { user: this._id },
+      {
+        $set: {
+          isAvailable: false,
+          previousWorkplaces: [],
+          certifications: [],
+        },
+        $unset: {
+          location: 1,
+          applicationDetails: 1,
+          emergencyContact: 1,
+          calendarToken: 1,
+        },
+      }
+    );
+  }
+
+  // Leave any vendor team and drop invitations to the old email
+  const VendorMember = mongoose.model("VendorMember");
+  await VendorMember.updateMany(
+    { user: this._id, status: { $ne: "removed" } },
+    { status: "removed", removedAt: Date.now() }
+  );
+  await VendorMember.deleteMany({ email: this.email, status: "pending" });
+
+  await mongoose.model("Session").revokeAll(this._id, "account-deleted");
+
+  // Free text the user wrote elsewhere
+  const Order = mongoose.model("Order");
+  await Order.updateMany(
+    { user: this._id },
+    { $unset: { venue: 1, eventDescription: 1 } }
+  );
+  for (const Model of [Order, mongoose.model("Job")]) {
+    await Model.updateMany(
+      { "messages.sender": this._id },
+      { $set: { "messages.$[sent].message": "[message removed]" } },
+      { arrayFilters: [{ "sent.sender": this._id }] }
+    );
+  }
+  await mongoose
+    .model("Rating")
+    .updateMany({ reviewer: this._id }, { $unset: { review: 1, photos: 1 } });
+
+  // Email and phone must stay unique, so they are derived from the id
+  this.firstName = "Deleted";
+  this.middleName = undefined;
+  this.lastName = "User";
+  this.email = `deleted-${id}@deleted.plentyevents.com`;
+  this.phone = `+000${BigInt(`0x${id}`)}`;
+  this.password = crypto.randomBytes(32).toString("hex");
+  this.dateOfBirth = undefined;
+  this.gender = undefined;
+  this.maritalStatus = undefined;
+  this.stateOfOrigin = undefined;
+  this.lga = undefined;
+  this.address = undefined;
+  this.profilePicture = undefined;
+
+  this.isActive = false;
+  this.isEmailVerified = false;
+  this.isPhoneVerified = false;
+  this.resetPasswordToken = undefined;
+  this.resetPasswordExpire = undefined;
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpire = undefined;
+  this.clearPhoneVerification();
+  this.phoneVerificationSentAt = undefined;
+  this.twoFactorEnabled = false;
+  this.twoFactorSecret = undefined;
+  this.twoFactorBackupCodes = undefined;
+  this.twoFactorLastStep = undefined;
+  this.twoFactorEnabledAt = undefined;
+  this.clearLockout();
+  this.loginHistory = [];
+
+  this.deletionScheduledFor = undefined;
+  this.anonymizedAt = Date.now();
+
+  await this.save({ validateBeforeSave: false });
+};
+
+export {
+  PHONE_CODE_MINUTES,
+  MAX_PHONE_CODE_ATTEMPTS,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  DELETED_USER_RETENTION_DAYS,
+};
+
 export default mongoose.model("User", userSchema);
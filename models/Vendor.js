@@ -1,10 +1,25 @@
 import mongoose from "mongoose";
+import {
+  DAYS_OF_WEEK,
+  addDays,
+  getDailyRanges,
+  getDateTimeRange,
+  getLocalDayStart,
+  getSlots,
+  getTimeRange,
+  isSameDay,
+  maxConcurrent,
+  rangesOverlap,
+  startOfDay,
+} from "../utils/schedule.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
 
 const vendorSchema = new mongoose.Schema(
   {
     user: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
+      populate: { withDeleted: true },
       required: true,
       unique: true,
     },
@@ -77,6 +92,8 @@ const vendorSchema = new mongoose.Schema(
 
     // Social Media & Contact
     website: String,
+    // Shown on invoices when the vendor is VAT registered
+    vatNumber: String,
     socialMedia: {
       instagram: String,
       facebook: String,
@@ -114,11 +131,71 @@ const vendorSchema = new mongoose.Schema(
     },
     certifications: [String],
 
+    // Cancellation Policy (refund tiers by days before the event)
+    cancellationPolicy: {
+      description: String,
+      tiers: {
+        type: [
+          {
+            minDaysBefore: {
+              type: Number,
+              required: true,
+              min: [0, "Days before event cannot be negative"],
+            },
+            refundPercentage: {
+              type: Number,
+              required: true,
+              min: [0, "Refund percentage cannot be negative"],
+              max: [100, "Refund percentage cannot be more than 100"],
+            },
+          },
+        ],
+        default: [
+          { minDaysBefore: 14, refundPercentage: 100 },
+          { minDaysBefore: 7, refundPercentage: 50 },
+          { minDaysBefore: 0, refundPercentage: 0 },
+        ],
+      },
+    },
+
     // Availability
     isAvailable: {
       type: Boolean,
       default: true,
     },
+    dailyCapacity: {
+      type: Number,
+      min: [1, "Daily capacity must be at least 1"],
+      default: 1,
+    }, // Number of events the vendor can run at the same time
+    blackoutDates: [
+      {
+        from: {
+          type: Date,
+          required: [true, "Please add a blackout start date"],
+        },
+        to: Date,
+        reason: String,
+      },
+    ],
+    holidayExceptions: [
+      {
+        date: {
+          type: Date,
+          required: [true, "Please add the exception date"],
+        },
+        open: String,
+        close: String,
+        isClosed: Boolean,
+        note: String,
+      },
+    ], // Overrides business hours on specific dates
+
+    // Secret token in the private calendar (.ics) feed URL
+    calendarToken: {
+      type: String,
+      select: false,
+    },
 
     // Verification Status
     isVerified: {
@@ -163,6 +240,10 @@ vendorSchema.index({ categories: 1 });
 vendorSchema.index({ averageRating: -1 });
 vendorSchema.index({ "priceRange.min": 1, "priceRange.max": 1 });
 vendorSchema.index({ isVerified: 1, isAvailable: 1 });
+vendorSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
+// Deleted along with the account, see adminController.deleteUser
+vendorSchema.plugin(softDeletePlugin);
 
 // Populate user details
 vendorSchema.pre(/^find/, function (next) {
@@ -182,6 +263,251 @@ vendorSchema.virtual("completionRate").get(function () {
   return Math.round((this.completedBookings / this.totalBookings) * 100);
 });
 
+// Get opening hours for a date, taking blackouts and holiday exceptions into account
+vendorSchema.methods.getDaySchedule = function (date) {
+  const day = startOfDay(date);
+
+  const blackout = (this.blackoutDates || []).find(
+    (b) => startOfDay(b.from) <= day && day <= startOfDay(b.to || b.from)
+  );
+  if (blackout) {
+    return { isClosed: true, reason: blackout.reason || "Unavailable" };
+  }
+
+  const exception = (this.holidayExceptions || []).find((e) =>
+    isSameDay(e.date, day)
+  );
+  const hours =
+    exception || this.businessHours?.[DAYS_OF_WEEK[day.getUTCDay()]];
+
+  if (hours?.isClosed) {
+    return {
+      isClosed: true,
+      reason: exception ? exception.note || "Holiday" : "Closed",
+    };
+  }
+
+  return {
+    isClosed: false,
+    open: hours?.open || "00:00",
+    close: hours?.close || "24:00",
+  };
+};
+
+// Get the real start/end timestamps of confirmed events running at any time
+// between the start of `from` and the end of `to`, one range per event day. Overnight events from the
+// day before and multi-day events that started earlier are included.
+vendorSchema.methods.getBookedRanges = async function (
+  from,
+  to,
+  excludeOrderId
+) {
+  const Order = mongoose.model("Order");
+  const windowStart = getLocalDayStart(from);
+  const windowEnd = getLocalDayStart(addDays(to, 1));
+
+  const query = {
+    vendor: this._id,
+    status: { $in: ["confirmed", "in-progress"] },
+    eventDate: { $lt: addDays(startOfDay(to), 1) },
+    $or: [
+      { eventDate: { $gte: addDays(startOfDay(from), -1) } },
+      { endDate: { $gte: startOfDay(from) } },
+    ],
+  };
+
+  if (excludeOrderId) {
+    query._id = { $ne: excludeOrderId };
+  }
+
+  const orders = await Order.find(query).select(
+    "eventDate endDate startTime endTime"
+  );
+
+  // Multi-day events take up their hours on each day they run
+  return orders
+    .flatMap((order) =>
+      getDailyRanges(
+        order.eventDate,
+        order.startTime,
+        order.endTime,
+        order.endDate
+      )
+    )
+    .filter((range) =>
+      rangesOverlap(range, { start: windowStart, end: windowEnd })
+    );
+};
+
+// Get confirmed events per day between two dates, as minutes after that
+// day's midnight. Events running past midnight appear on each day they touch.
+vendorSchema.methods.getBookedEvents = async function (
+  from,
+  to,
+  excludeOrderId
+) {
+  const ranges = await this.getBookedRanges(from, to, excludeOrderId);
+  const byDay = {};
+
+  for (
+    let day = startOfDay(from);
+    day <= startOfDay(to);
+    day = addDays(day, 1)
+  ) {
+    const dayStart = getLocalDayStart(day);
+    const dayRange = {
+      start: dayStart,
+      end: getLocalDayStart(addDays(day, 1)),
+    };
+
+    byDay[day.toISOString()] = ranges
+      .filter((range) => rangesOverlap(range, dayRange))
+      .map((range) => ({
+        start: (range.start - dayStart) / (60 * 1000),
+        end: (range.end - dayStart) / (60 * 1000),
+      }));
+  }
+
+  return byDay;
+};
+
+// Check whether a time range lies within the vendor's opening hours. Hours
+// that run past midnight, and consecutive open days, join up, so overnight
+// and multi-day events are allowed when the vendor is open throughout.
+vendorSchema.methods.isOpenThroughout = function (range) {
+  const windows = [];
+
+  for (
+    let day = addDays(startOfDay(range.start), -1);
+    getLocalDayStart(day) < range.end;
+    day = addDays(day, 1)
+  ) {
+    const schedule = this.getDaySchedule(day);
+    if (!schedule.isClosed) {
+      windows.push(getDateTimeRange(day, schedule.open, schedule.close));
+    }
+  }
+
+  // Walk forward through the opening windows from the start of the range
+  let coveredUntil = range.start;
+  windows
+    .sort((a, b) => a.start - b.start)
+    .forEach((window) => {
+      if (window.start <= coveredUntil && window.end > coveredUntil) {
+        coveredUntil = window.end;
+      }
+    });
+
+  return coveredUntil >= range.end;
+};
+
+// Check whether an event can be booked, returning the reason if not. A
+// multi-day event runs from startTime to endTime on each day through endDate.
+vendorSchema.methods.checkAvailability = async function (
+  eventDate,
+  startTime,
+  endTime,
+  endDate,
+  excludeOrderId
+) {
+  const days = getDailyRanges(eventDate, startTime, endTime, endDate);
+  const booked = await this.getBookedRanges(
+    eventDate,
+    new Date(days[days.length - 1].end),
+    excludeOrderId
+  );
+
+  for (let i = 0; i < days.length; i++) {
+    const range = days[i];
+    const date = addDays(startOfDay(eventDate), i);
+    const label =
+      days.length > 1 ? ` on ${date.toISOString().slice(0, 10)}` : "";
+
+    const schedule = this.getDaySchedule(date);
+    if (schedule.isClosed) {
+      return {
+        available: false,
+        reason: `Vendor is not available on this date${label} (${schedule.reason})`,
+      };
+    }
+
+    if (!this.isOpenThroughout(range)) {
+      return {
+        available: false,
+        reason: `Event is outside the vendor's opening hours${label} (${schedule.open} - ${schedule.close})`,
+      };
+    }
+
+    if (maxConcurrent(booked, range) >= this.dailyCapacity) {
+      return {
+        available: false,
+        reason: `Vendor is fully booked at this time${label}`,
+      };
+    }
+  }
+
+  return { available: true };
+};
+
+// Get free and busy slots for each day in a date range
+vendorSchema.methods.getAvailability = async function (from, to) {
+  const booked = await this.getBookedEvents(from, to);
+  const days = [];
+
+  for (
+    let day = startOfDay(from);
+    day <= startOfDay(to);
+    day = addDays(day, 1)
+  ) {
+    const schedule = this.getDaySchedule(day);
+    const ranges = booked[day.toISOString()] || [];
+
+    if (schedule.isClosed) {
+      days.push({
+        date: day,
+        isClosed: true,
+        reason: schedule.reason,
+        free: [],
+        busy: [],
+      });
+      continue;
+    }
+
+    days.push({
+      date: day,
+      isClosed: false,
+      open: schedule.open,
+      close: schedule.close,
+      capacity: this.dailyCapacity,
+      bookedEvents: ranges.length,
+      ...getSlots(
+        getTimeRange(schedule.open, schedule.close),
+        ranges,
+        this.dailyCapacity
+      ),
+    });
+  }
+
+  return days;
+};
+
+// Get refund percentage for a booking cancelled `cancelledAt` before `eventDate`
+vendorSchema.methods.getRefundPercentage = function (
+  eventDate,
+  cancelledAt = new Date()
+) {
+  const daysBefore = Math.floor(
+    (new Date(eventDate) - new Date(cancelledAt)) / (24 * 60 * 60 * 1000)
+  );
+
+  const tiers = [...(this.cancellationPolicy?.tiers || [])].sort(
+    (a, b) => b.minDaysBefore - a.minDaysBefore
+  );
+
+  const tier = tiers.find((t) => daysBefore >= t.minDaysBefore);
+  return tier ? tier.refundPercentage : 0;
+};
+
 // Update averageRating when a new rating is added
 vendorSchema.methods.updateRating = async function () {
   const Rating = mongoose.model("Rating");
@@ -0,0 +1,129 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+// Team roles from least to most access. Viewers can see orders and messages,
+// managers can also act on them and hire waiters, owners also manage the team.
+export const TEAM_ROLES = ["viewer", "manager", "owner"];
+
+// Days an invitation link stays valid
+const INVITE_EXPIRE_DAYS = 7;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// Check that a team role grants at least the access of another
+export const hasTeamRole = (role, minimum) =>
+  TEAM_ROLES.indexOf(role) >= TEAM_ROLES.indexOf(minimum);
+
+// VendorMember Model (a staff account acting for a vendor business). The
+// vendor's own account is always its owner and has no membership.
+const vendorMemberSchema = new mongoose.Schema(
+  {
+    vendor: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Vendor",
+      populate: { withDeleted: true },
+      required: true,
+    },
+
+    // Invitations are sent to an email; the account is linked on acceptance
+    email: {
+      type: String,
+      required: [true, "Please add an email"],
+      lowercase: true,
+      trim: true,
+    },
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+
+    role: {
+      type: String,
+      enum: TEAM_ROLES,
+      default: "viewer",
+    },
+    status: {
+      type: String,
+      enum: ["pending", "active", "removed"],
+      default: "pending",
+    },
+
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+    inviteTokenHash: {
+      type: String,
+      select: false,
+    },
+    inviteExpire: {
+      type: Date,
+      select: false,
+    },
+    acceptedAt: Date,
+    removedAt: Date,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+vendorMemberSchema.index({ vendor: 1, email: 1 }, { unique: true });
+vendorMemberSchema.index({ user: 1, status: 1 });
+vendorMemberSchema.index({ inviteTokenHash: 1 });
+
+// Generate an invitation token (stored hashed) and reset the invitation
+vendorMemberSchema.methods.getInviteToken = function () {
+  const inviteToken = crypto.randomBytes(20).toString("hex");
+
+  this.inviteTokenHash = hashToken(inviteToken);
+  this.inviteExpire = Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000;
+  this.status = "pending";
+
+  return inviteToken;
+};
+
+// Find a pending, unexpired invitation by its token
+vendorMemberSchema.statics.findByInviteToken = function (inviteToken) {
+  return this.findOne({
+    inviteTokenHash: hashToken(inviteToken),
+    inviteExpire: { $gt: Date.now() },
+    status: "pending",
+  }).select("+inviteTokenHash +inviteExpire");
+};
+
+// Resolve the vendor a user acts for: their own business, or the one whose
+// team they belong to. Returns { vendor, role, member } or null.
+vendorMemberSchema.statics.findActingVendor = async function (userId) {
+  const Vendor = mongoose.model("Vendor");
+
+  const ownVendor = await Vendor.findOne({ user: userId });
+  if (ownVendor) {
+    return { vendor: ownVendor, role: "owner", member: null };
+  }
+
+  const member = await this.findOne({ user: userId, status: "active" });
+  if (!member) return null;
+
+  const vendor = await Vendor.findById(member.vendor);
+  if (!vendor) return null;
+
+  return { vendor, role: member.role, member };
+};
+
+// Accounts that have acted for a vendor, current and former members included,
+// so messages any of them sent count as the vendor's own
+vendorMemberSchema.statics.getTeamUserIds = async function (vendor) {
+  const userIds = await this.distinct("user", {
+    vendor: vendor._id,
+    user: { $ne: null },
+  });
+
+  return [vendor.user._id || vendor.user, ...userIds];
+};
+
+export default mongoose.model("VendorMember", vendorMemberSchema);
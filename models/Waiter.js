@@ -1,10 +1,25 @@
 import mongoose from "mongoose";
+import {
+  DAYS_OF_WEEK,
+  addDays,
+  getDailyRanges,
+  getDateTimeRange,
+  getTimeRange,
+  isPublicHoliday,
+  rangesOverlap,
+  startOfDay,
+} from "../utils/schedule.js";
+import { softDeletePlugin } from "../utils/softDelete.js";
+
+// Shifts running past this time count as evening work
+const EVENING_START = 18 * 60;
 
 const waiterSchema = new mongoose.Schema(
   {
     user: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
+      populate: { withDeleted: true },
       required: true,
       unique: true,
     },
@@ -186,6 +201,12 @@ const waiterSchema = new mongoose.Schema(
       },
     },
 
+    // Secret token in the private calendar (.ics) feed URL
+    calendarToken: {
+      type: String,
+      select: false,
+    },
+
     // Verification Status
     isVerified: {
       type: Boolean,
@@ -228,6 +249,10 @@ waiterSchema.index({ averageRating: -1 });
 waiterSchema.index({ attitudeRating: -1 });
 waiterSchema.index({ hourlyRate: 1 });
 waiterSchema.index({ isVerified: 1, isAvailable: 1 });
+waiterSchema.index({ calendarToken: 1 }, { unique: true, sparse: true });
+
+// Deleted along with the account, see adminController.deleteUser
+waiterSchema.plugin(softDeletePlugin);
 
 // Populate user and expertise details
 waiterSchema.pre(/^find/, function (next) {
@@ -253,6 +278,153 @@ waiterSchema.virtual("responseRate").get(function () {
   return 95; // Placeholder
 });
 
+// Check a shift against the waiter's declared hours and work preferences
+waiterSchema.methods.getAvailabilityConflicts = function (
+  workDate,
+  startTime,
+  endTime
+) {
+  const conflicts = [];
+  const day = startOfDay(workDate);
+  const dayName = DAYS_OF_WEEK[day.getUTCDay()];
+  const preferences = this.applicationDetails || {};
+  const shift = getTimeRange(startTime, endTime);
+
+  const hours = this.availableHours?.[dayName];
+  if (hours && hours.available === false) {
+    conflicts.push({
+      type: "availability",
+      reason: `Waiter is not available on ${dayName}s`,
+    });
+  } else if (hours?.start && hours?.end) {
+    const available = getTimeRange(hours.start, hours.end);
+    if (shift.start < available.start || shift.end > available.end) {
+      conflicts.push({
+        type: "availability",
+        reason: `Shift is outside the waiter's ${dayName} hours (${hours.start} - ${hours.end})`,
+      });
+    }
+  }
+
+  if (
+    preferences.canWorkWeekends === false &&
+    ["saturday", "sunday"].includes(dayName)
+  ) {
+    conflicts.push({
+      type: "preference",
+      reason: "Waiter does not work weekends",
+    });
+  }
+
+  if (preferences.canWorkEvenings === false && shift.end > EVENING_START) {
+    conflicts.push({
+      type: "preference",
+      reason: "Waiter does not work evenings",
+    });
+  }
+
+  if (preferences.canWorkHolidays === false && isPublicHoliday(day)) {
+    conflicts.push({
+      type: "preference",
+      reason: "Waiter does not work public holidays",
+    });
+  }
+
+  return conflicts;
+};
+
+// Find accepted jobs that overlap a shift
+waiterSchema.methods.getJobConflicts = async function (
+  { workDate, startTime, endTime, endDate },
+  excludeJobId
+) {
+  const Job = mongoose.model("Job");
+  const shift = getDateTimeRange(workDate, startTime, endTime, endDate);
+
+  // Jobs saved before start/end datetimes were stored are matched by work
+  // date, including overnight shifts from the previous day
+  const query = {
+    waiter: this._id,
+    status: { $in: ["accepted", "in-progress"] },
+    $or: [
+      {
+        startsAt: { $lt: new Date(shift.end) },
+        endsAt: { $gt: new Date(shift.start) },
+      },
+      {
+        startsAt: { $exists: false },
+        workDate: {
+          $gte: addDays(startOfDay(workDate), -1),
+          $lt: addDays(startOfDay(endDate || workDate), 2),
+        },
+      },
+    ],
+  };
+
+  if (excludeJobId) {
+    query._id = { $ne: excludeJobId };
+  }
+
+  const jobs = await Job.find(query).select(
+    "position workDate endDate startTime endTime status vendor"
+  );
+
+  // Multi-day jobs only overlap where one of their daily shifts does
+  const shiftDays = getDailyRanges(workDate, startTime, endTime, endDate);
+
+  return jobs
+    .filter((job) =>
+      getDailyRanges(
+        job.workDate,
+        job.startTime,
+        job.endTime,
+        job.endDate
+      ).some((jobDay) =>
+        shiftDays.some((shiftDay) => rangesOverlap(shiftDay, jobDay))
+      )
+    )
+    .map((job) => ({
+      type: "job",
+      reason: `Overlaps an accepted ${job.position} job (${job.startTime} - ${job.endTime})`,
+      job: {
+        id: job._id,
+        position: job.position,
+        workDate: job.workDate,
+        endDate: job.endDate,
+        startTime: job.startTime,
+        endTime: job.endTime,
+        status: job.status,
+      },
+    }));
+};
+
+// Collect job overlaps and, unless overridden, availability conflicts
+waiterSchema.methods.getScheduleConflicts = async function (
+  shift,
+  excludeJobId
+) {
+  const { workDate, startTime, endTime, overrideAvailability } = shift;
+
+  const jobConflicts = await this.getJobConflicts(shift, excludeJobId);
+
+  if (overrideAvailability === true || overrideAvailability === "true") {
+    return jobConflicts;
+  }
+
+  return [
+    ...jobConflicts,
+    ...this.getAvailabilityConflicts(workDate, startTime, endTime),
+  ];
+};
+
+// Check whether the waiter has a given expertise
+waiterSchema.methods.hasExpertise = function (expertiseId) {
+  return this.expertise.some(
+    (expertise) =>
+      (expertise._id || expertise).toString() === expertiseId.toString()
+  );
+};
+
 // Update averageRating when a new rating is added
 waiterSchema.methods.updateRating = async function () {
   const Rating = mongoose.model("Rating");
@@ -1,5 +1,5 @@
 import express from "express";
-import { query, param } from "express-validator";
+import { body, query, param } from "express-validator";
 import {
   getAllUsers,
   getAllVendors,
@@ -8,15 +8,31 @@ import {
   approveUser,
   deactivateUser,
   deleteUser,
+  restoreUser,
+  getUserLoginHistory,
+  unlockUser,
   getDashboardStats,
   getPlatformAnalytics,
+  getAdminRoles,
+  assignAdminRole,
+  removeAdminRole,
 } from "../controllers/adminController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import {
+  generateSettlements,
+  getSettlements,
+  getSettlement,
+  markSettlementPaid,
+} from "../controllers/settlementController.js";
+import { getAuditLogs } from "../controllers/auditController.js";
+import { protect, authorize, requirePermission } from "../middleware/auth.js";
 import { validationHandler } from "../middleware/errorHandler.js";
+import { ADMIN_ROLES } from "../config/permissions.js";
+import { AUDIT_ACTIONS } from "../models/AuditLog.js";
 
 const router = express.Router();
 
-// All admin routes require authentication and admin role
+// All admin routes require authentication and admin role; each route also
+// checks the permission it needs
 router.use(protect);
 router.use(authorize("admin"));
 
@@ -40,7 +56,7 @@ const listValidation = [
 
   query("status")
     .optional()
-    .isIn(["active", "inactive", "pending", "approved"])
+    .isIn(["active", "inactive", "pending", "approved", "locked", "deleted"])
     .withMessage("Invalid status filter"),
 
   query("role")
@@ -63,29 +79,235 @@ const userIdValidation = [
   param("id").isMongoId().withMessage("Invalid user ID"),
 ];
 
+const adminRoleValidation = [
+  body("adminRole")
+    .isIn(Object.keys(ADMIN_ROLES))
+    .withMessage(
+      `Admin role must be one of: ${Object.keys(ADMIN_ROLES).join(", ")}`
+    ),
+];
+
+const settlementIdValidation = [
+  param("id").isMongoId().withMessage("Invalid settlement ID"),
+];
+
+const settlementListValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "paid"])
+    .withMessage("Status must be pending or paid"),
+
+  query("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+];
+
+const generateSettlementValidation = [
+  body("from").isISO8601().withMessage("Please provide a valid period start"),
+
+  body("to").isISO8601().withMessage("Please provide a valid period end"),
+
+  body("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+];
+
+const settlementPaidValidation = [
+  body("reference")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Please provide a payment reference"),
+
+  body("paidAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid payment date"),
+];
+
+const auditListValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("actor").optional().isMongoId().withMessage("Invalid actor ID"),
+
+  query("target").optional().isMongoId().withMessage("Invalid target ID"),
+
+  query("targetType")
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage("Invalid target type"),
+
+  query("action")
+    .optional()
+    .isIn(AUDIT_ACTIONS)
+    .withMessage("Invalid action filter"),
+
+  query("from").optional().isISO8601().withMessage("Invalid start date"),
+
+  query("to").optional().isISO8601().withMessage("Invalid end date"),
+
+  query("format")
+    .optional()
+    .isIn(["json", "csv"])
+    .withMessage("Format must be json or csv"),
+];
+
 // Dashboard and analytics routes
-router.get("/dashboard", getDashboardStats);
-router.get("/analytics", getPlatformAnalytics);
+router.get(
+  "/dashboard",
+  requirePermission("dashboard.view"),
+  getDashboardStats
+);
+router.get(
+  "/analytics",
+  requirePermission("analytics.view"),
+  getPlatformAnalytics
+);
 
 // User management routes
-router.get("/users", listValidation, validationHandler, getAllUsers);
-router.get("/vendors", listValidation, validationHandler, getAllVendors);
-router.get("/waiters", listValidation, validationHandler, getAllWaiters);
+router.get(
+  "/users",
+  requirePermission("users.view"),
+  listValidation,
+  validationHandler,
+  getAllUsers
+);
+router.get(
+  "/vendors",
+  requirePermission("users.view"),
+  listValidation,
+  validationHandler,
+  getAllVendors
+);
+router.get(
+  "/waiters",
+  requirePermission("users.view"),
+  listValidation,
+  validationHandler,
+  getAllWaiters
+);
 
 // Individual user management
-router.get("/users/:id", userIdValidation, validationHandler, getUserById);
+router.get(
+  "/users/:id",
+  requirePermission("users.view"),
+  userIdValidation,
+  validationHandler,
+  getUserById
+);
 router.put(
   "/users/:id/approve",
+  requirePermission("users.approve"),
   userIdValidation,
   validationHandler,
   approveUser
 );
 router.put(
   "/users/:id/deactivate",
+  requirePermission("users.deactivate"),
   userIdValidation,
   validationHandler,
   deactivateUser
 );
-router.delete("/users/:id", userIdValidation, validationHandler, deleteUser);
+router.get(
+  "/users/:id/login-history",
+  requirePermission("users.view"),
+  userIdValidation,
+  validationHandler,
+  getUserLoginHistory
+);
+router.put(
+  "/users/:id/unlock",
+  requirePermission("users.unlock"),
+  userIdValidation,
+  validationHandler,
+  unlockUser
+);
+router.delete(
+  "/users/:id",
+  requirePermission("users.delete"),
+  userIdValidation,
+  validationHandler,
+  deleteUser
+);
+router.put(
+  "/users/:id/restore",
+  requirePermission("users.delete"),
+  userIdValidation,
+  validationHandler,
+  restoreUser
+);
+
+// Admin roles - superadmins only
+router.get("/roles", requirePermission("roles.manage"), getAdminRoles);
+router.put(
+  "/users/:id/admin-role",
+  requirePermission("roles.manage"),
+  userIdValidation,
+  adminRoleValidation,
+  validationHandler,
+  assignAdminRole
+);
+router.delete(
+  "/users/:id/admin-role",
+  requirePermission("roles.manage"),
+  userIdValidation,
+  validationHandler,
+  removeAdminRole
+);
+
+// Audit log of admin and moderation actions
+router.get(
+  "/audit",
+  requirePermission("audit.view"),
+  auditListValidation,
+  validationHandler,
+  getAuditLogs
+);
+
+// Vendor settlement statements
+router.get(
+  "/settlements",
+  requirePermission("settlements.view"),
+  settlementListValidation,
+  validationHandler,
+  getSettlements
+);
+router.post(
+  "/settlements",
+  requirePermission("settlements.manage"),
+  generateSettlementValidation,
+  validationHandler,
+  generateSettlements
+);
+router.get(
+  "/settlements/:id",
+  requirePermission("settlements.view"),
+  settlementIdValidation,
+  validationHandler,
+  getSettlement
+);
+router.put(
+  "/settlements/:id/paid",
+  requirePermission("settlements.manage"),
+  settlementIdValidation,
+  settlementPaidValidation,
+  validationHandler,
+  markSettlementPaid
+);
 
 export default router;
@@ -1,5 +1,5 @@
 import express from "express";
-import { body } from "express-validator";
+import { body, param, query } from "express-validator";
 import {
   register,
   login,
@@ -9,10 +9,31 @@ import {
   forgotPassword,
   resetPassword,
   updatePassword,
+  verifyEmail,
+  resendVerification,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  loginTwoFactor,
+  loginTwoFactorSetup,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  getLoginHistory,
+  sendPhoneVerification,
+  verifyPhone,
 } from "../controllers/authController.js";
+import {
+  exportMyData,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+} from "../controllers/accountController.js";
 import { protect, sensitiveOpLimit } from "../middleware/auth.js";
 import { validationHandler } from "../middleware/errorHandler.js";
 import rateLimit from "express-rate-limit";
+import { normalizePhone } from "../utils/phone.js";
 
 const router = express.Router();
 
@@ -33,6 +54,33 @@ const passwordResetLimiter = rateLimit({
   },
 });
 
+const verificationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 3, // limit each IP to 3 verification emails per hour
+  message: {
+    error: "Too many verification email requests, please try again later",
+  },
+});
+
+const phoneCodeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 verification texts per hour
+  message: {
+    error: "Too many verification code requests, please try again later",
+  },
+});
+
+const dataExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // limit each IP to 5 data exports per hour
+  message: {
+    error: "Too many data export requests, please try again later",
+  },
+});
+
+// Two-factor codes are only 6 digits, so attempts are kept low
+const twoFactorLimiter = rateLimit(sensitiveOpLimit);
+
 // Validation rules
 const registerValidation = [
   body("firstName")
@@ -59,7 +107,8 @@ const registerValidation = [
     .normalizeEmail(),
 
   body("phone")
-    .isMobilePhone()
+    .customSanitizer(normalizePhone)
+    .notEmpty()
     .withMessage("Please provide a valid phone number"),
 
   body("password")
@@ -167,7 +216,8 @@ const updateProfileValidation = [
 
   body("phone")
     .optional()
-    .isMobilePhone()
+    .customSanitizer(normalizePhone)
+    .notEmpty()
     .withMessage("Please provide a valid phone number"),
 
   body("dateOfBirth")
@@ -217,6 +267,41 @@ const updatePasswordValidation = [
     ),
 ];
 
+const challengeValidation = [
+  body("challengeToken").notEmpty().withMessage("Challenge token is required"),
+];
+
+const twoFactorCodeValidation = [
+  body("code").trim().notEmpty().withMessage("Two-factor code is required"),
+];
+
+const disableTwoFactorValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+  ...twoFactorCodeValidation,
+];
+
+const phoneCodeValidation = [
+  body("code")
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage("Please provide the 6-digit verification code"),
+];
+
+const exportValidation = [
+  query("format")
+    .optional()
+    .isIn(["json", "zip"])
+    .withMessage("Format must be json or zip"),
+];
+
+const deleteAccountValidation = [
+  body("password").notEmpty().withMessage("Password is required"),
+];
+
+const sessionIdValidation = [
+  param("id").isMongoId().withMessage("Invalid session ID"),
+];
+
 // Public routes
 router.post(
   "/register",
@@ -226,6 +311,21 @@ router.post(
   register
 );
 router.post("/login", authLimiter, loginValidation, validationHandler, login);
+router.post(
+  "/login/2fa",
+  twoFactorLimiter,
+  challengeValidation,
+  twoFactorCodeValidation,
+  validationHandler,
+  loginTwoFactor
+);
+router.post(
+  "/login/2fa/setup",
+  authLimiter,
+  challengeValidation,
+  validationHandler,
+  loginTwoFactorSetup
+);
 router.post(
   "/forgot-password",
   passwordResetLimiter,
@@ -239,11 +339,21 @@ router.post(
   validationHandler,
   resetPassword
 );
+router.post("/verify-email/:token", authLimiter, verifyEmail);
+router.post("/refresh", refreshToken);
 
 // Protected routes
 router.use(protect); // All routes after this middleware are protected
 
 router.post("/logout", logout);
+router.post("/resend-verification", verificationLimiter, resendVerification);
+router.post("/phone/send", phoneCodeLimiter, sendPhoneVerification);
+router.post(
+  "/phone/verify",
+  phoneCodeValidation,
+  validationHandler,
+  verifyPhone
+);
 router.get("/profile", getMe);
 router.put(
   "/profile",
@@ -257,5 +367,51 @@ router.put(
   validationHandler,
   updatePassword
 );
+router.post("/2fa/setup", setupTwoFactor);
+router.post(
+  "/2fa/enable",
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  validationHandler,
+  enableTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  twoFactorLimiter,
+  disableTwoFactorValidation,
+  validationHandler,
+  disableTwoFactor
+);
+router.post(
+  "/2fa/backup-codes",
+  twoFactorLimiter,
+  twoFactorCodeValidation,
+  validationHandler,
+  regenerateBackupCodes
+);
+router.get("/login-history", getLoginHistory);
+router.get("/sessions", getSessions);
+router.delete("/sessions", revokeAllSessions);
+router.delete(
+  "/sessions/:id",
+  sessionIdValidation,
+  validationHandler,
+  revokeSession
+);
+router.get(
+  "/export",
+  dataExportLimiter,
+  exportValidation,
+  validationHandler,
+  exportMyData
+);
+router.post(
+  "/delete-account",
+  authLimiter,
+  deleteAccountValidation,
+  validationHandler,
+  requestAccountDeletion
+);
+router.delete("/delete-account", cancelAccountDeletion);
 
 export default router;
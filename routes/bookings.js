@@ -0,0 +1,146 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  getMyBookings,
+  getBookingSummary,
+  getMyBooking,
+  getMyBookingStatus,
+  getCancellationQuote,
+  cancelBooking,
+  getBookingQuotes,
+  counterQuote,
+  acceptQuote,
+  rejectQuote,
+} from "../controllers/bookingController.js";
+import { getBookingInvoice } from "../controllers/documentController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { validationHandler } from "../middleware/errorHandler.js";
+import { quoteValidation } from "../middleware/validation.js";
+
+const router = express.Router();
+
+// All booking routes require authentication as a customer
+router.use(protect);
+router.use(authorize("user"));
+
+// Validation rules
+const bookingIdValidation = [
+  param("id").isMongoId().withMessage("Invalid booking ID"),
+];
+
+const listValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn([
+      "pending",
+      "confirmed",
+      "in-progress",
+      "completed",
+      "cancelled",
+      "refunded",
+    ])
+    .withMessage("Invalid status filter"),
+
+  query("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+
+  query("from").optional().isISO8601().withMessage("From must be a valid date"),
+
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("To must be a valid date")
+    .custom((to, { req }) => {
+      if (req.query.from && new Date(to) < new Date(req.query.from)) {
+        throw new Error("To date must be after from date");
+      }
+      return true;
+    }),
+
+  query("sortBy")
+    .optional()
+    .isIn(["createdAt", "eventDate"])
+    .withMessage("Sort by must be createdAt or eventDate"),
+
+  query("order")
+    .optional()
+    .isIn(["asc", "desc"])
+    .withMessage("Order must be asc or desc"),
+];
+
+const cancelValidation = [
+  body("reason")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Cancellation reason cannot be more than 500 characters"),
+];
+
+router.get("/", listValidation, validationHandler, getMyBookings);
+router.get("/summary", getBookingSummary);
+router.get("/:id", bookingIdValidation, validationHandler, getMyBooking);
+router.get(
+  "/:id/status",
+  bookingIdValidation,
+  validationHandler,
+  getMyBookingStatus
+);
+router.get(
+  "/:id/cancellation",
+  bookingIdValidation,
+  validationHandler,
+  getCancellationQuote
+);
+router.put(
+  "/:id/cancel",
+  bookingIdValidation,
+  cancelValidation,
+  validationHandler,
+  cancelBooking
+);
+
+// Quote negotiation with the vendor
+router.get(
+  "/:id/quotes",
+  bookingIdValidation,
+  validationHandler,
+  getBookingQuotes
+);
+router.post(
+  "/:id/quotes",
+  bookingIdValidation,
+  quoteValidation,
+  validationHandler,
+  counterQuote
+);
+router.put(
+  "/:id/quotes/accept",
+  bookingIdValidation,
+  validationHandler,
+  acceptQuote
+);
+router.put(
+  "/:id/quotes/reject",
+  bookingIdValidation,
+  validationHandler,
+  rejectQuote
+);
+
+// Invoice PDF
+router.get(
+  "/:id/invoice",
+  bookingIdValidation,
+  validationHandler,
+  getBookingInvoice
+);
+
+export default router;
@@ -0,0 +1,29 @@
+import express from "express";
+import { param } from "express-validator";
+import {
+  getCalendarFeed,
+  regenerateCalendarFeed,
+  getCalendar,
+} from "../controllers/calendarController.js";
+import { protect, authorize } from "../middleware/auth.js";
+import { validationHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// Public feed - calendar apps can't send a token header, so the secret is
+// part of the URL
+router.get(
+  "/:token.ics",
+  [param("token").isHexadecimal().withMessage("Invalid calendar token")],
+  validationHandler,
+  getCalendar
+);
+
+// Vendor and waiter routes - manage the feed URL
+router.use(protect);
+router.use(authorize("vendor", "waiter"));
+
+router.get("/feed", getCalendarFeed);
+router.post("/feed/regenerate", regenerateCalendarFeed);
+
+export default router;
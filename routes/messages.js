@@ -0,0 +1,91 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  getInbox,
+  getOrderMessages,
+  sendOrderMessage,
+  markOrderMessagesRead,
+  getJobMessages,
+  sendJobMessage,
+  markJobMessagesRead,
+} from "../controllers/messageController.js";
+import { protect } from "../middleware/auth.js";
+import { validationHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// All messaging routes require authentication
+router.use(protect);
+
+// Validation rules
+const idValidation = [param("id").isMongoId().withMessage("Invalid ID")];
+
+const listValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+const messageValidation = [
+  body("message")
+    .trim()
+    .notEmpty()
+    .withMessage("Message is required")
+    .isLength({ max: 2000 })
+    .withMessage("Message cannot be more than 2000 characters"),
+];
+
+// Inbox across all conversations
+router.get("/inbox", listValidation, validationHandler, getInbox);
+
+// Order conversations (customer <-> vendor)
+router.get(
+  "/orders/:id",
+  idValidation,
+  listValidation,
+  validationHandler,
+  getOrderMessages
+);
+router.post(
+  "/orders/:id",
+  idValidation,
+  messageValidation,
+  validationHandler,
+  sendOrderMessage
+);
+router.put(
+  "/orders/:id/read",
+  idValidation,
+  validationHandler,
+  markOrderMessagesRead
+);
+
+// Job conversations (vendor <-> waiter)
+router.get(
+  "/jobs/:id",
+  idValidation,
+  listValidation,
+  validationHandler,
+  getJobMessages
+);
+router.post(
+  "/jobs/:id",
+  idValidation,
+  messageValidation,
+  validationHandler,
+  sendJobMessage
+);
+router.put(
+  "/jobs/:id/read",
+  idValidation,
+  validationHandler,
+  markJobMessagesRead
+);
+
+export default router;
@@ -0,0 +1,109 @@
+import express from "express";
+import { body, param } from "express-validator";
+import {
+  initializePayment,
+  verifyPayment,
+  getOrderPayments,
+  handleWebhook,
+  completeMockPayment,
+  retryRefund,
+} from "../controllers/paymentController.js";
+import { protect, authorize, requirePermission } from "../middleware/auth.js";
+import {
+  validationHandler,
+  ErrorResponse,
+} from "../middleware/errorHandler.js";
+import { checkPaymentConfig } from "../utils/paymentGateway.js";
+
+const router = express.Router();
+
+// Validation rules
+const orderIdValidation = [
+  param("orderId").isMongoId().withMessage("Invalid order ID"),
+];
+
+const referenceValidation = [
+  param("reference")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Invalid payment reference"),
+];
+
+const initializeValidation = [
+  body("type")
+    .optional()
+    .isIn(["deposit", "full"])
+    .withMessage("Payment type must be deposit or full"),
+];
+
+const mockValidation = [
+  body("status")
+    .optional()
+    .isIn(["success", "failed"])
+    .withMessage("Status must be success or failed"),
+
+  body("amount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Amount must be a positive number"),
+];
+
+// Without a configured payment provider only the payment routes are
+// unavailable; the rest of the API keeps running
+router.use((req, res, next) => {
+  try {
+    checkPaymentConfig();
+  } catch (error) {
+    return next(new ErrorResponse("Payments are temporarily unavailable", 503));
+  }
+  next();
+});
+
+// Gateway webhooks are authenticated by their signature, not a token
+router.post("/webhook/:provider", handleWebhook);
+
+router.use(protect);
+
+router.get(
+  "/orders/:orderId",
+  orderIdValidation,
+  validationHandler,
+  getOrderPayments
+);
+
+// Customer routes - pay for a booking
+router.post(
+  "/orders/:orderId/initialize",
+  authorize("user"),
+  orderIdValidation,
+  initializeValidation,
+  validationHandler,
+  initializePayment
+);
+router.get(
+  "/verify/:reference",
+  authorize("user"),
+  referenceValidation,
+  validationHandler,
+  verifyPayment
+);
+router.post(
+  "/mock/:reference",
+  authorize("user"),
+  referenceValidation,
+  mockValidation,
+  validationHandler,
+  completeMockPayment
+);
+
+// Admin routes - refunds the gateway didn't accept the first time
+router.post(
+  "/orders/:orderId/refund",
+  authorize("admin"),
+  requirePermission("payments.refund"),
+  orderIdValidation,
+  validationHandler,
+  retryRefund
+);
+
+export default router;
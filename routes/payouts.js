@@ -0,0 +1,117 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  getUnpaidEarnings,
+  createPayout,
+  getPayouts,
+  getPayout,
+  markPayoutPaid,
+  cancelPayout,
+  getPayslip,
+} from "../controllers/payoutController.js";
+import { protect, authorize, checkApproval } from "../middleware/auth.js";
+import { validationHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// All payout routes require an approved account
+router.use(protect);
+router.use(checkApproval);
+
+// Validation rules
+const idValidation = [param("id").isMongoId().withMessage("Invalid payout ID")];
+
+const listValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "paid", "cancelled"])
+    .withMessage("Invalid status filter"),
+
+  query(["vendor", "waiter"])
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid ID filter"),
+];
+
+const createValidation = [
+  body("vendor").optional().isMongoId().withMessage("Invalid vendor ID"),
+
+  body(["entryIds", "waiterIds"])
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage("Please provide at least one ID"),
+
+  body(["entryIds.*", "waiterIds.*"])
+    .isMongoId()
+    .withMessage("Invalid ID in selection"),
+
+  body(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be valid"),
+
+  body("note")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Note cannot be more than 500 characters"),
+];
+
+const paidValidation = [
+  body("reference")
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("Please provide a payment reference"),
+
+  body("paidAt")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid payment date"),
+];
+
+const payslipValidation = [
+  query("waiter").optional().isMongoId().withMessage("Invalid waiter ID"),
+
+  query("format")
+    .optional()
+    .isIn(["json", "csv"])
+    .withMessage("Format must be json or csv"),
+];
+
+// Payslips are also available to the waiter they belong to
+router.get(
+  "/:id/payslip",
+  authorize("vendor", "admin", "waiter"),
+  idValidation,
+  payslipValidation,
+  validationHandler,
+  getPayslip
+);
+
+// Vendor and admin routes - batch and settle earnings
+router.use(authorize("vendor", "admin"));
+
+router.get("/unpaid", listValidation, validationHandler, getUnpaidEarnings);
+router.get("/", listValidation, validationHandler, getPayouts);
+router.post("/", createValidation, validationHandler, createPayout);
+router.get("/:id", idValidation, validationHandler, getPayout);
+router.put(
+  "/:id/paid",
+  idValidation,
+  paidValidation,
+  validationHandler,
+  markPayoutPaid
+);
+router.put("/:id/cancel", idValidation, validationHandler, cancelPayout);
+
+export default router;
@@ -14,7 +14,7 @@ import {
   updateEventType,
   deleteEventType,
 } from "../controllers/referenceController.js";
-import { protect, authorize } from "../middleware/auth.js";
+import { protect, authorize, requirePermission } from "../middleware/auth.js";
 import { validationHandler } from "../middleware/errorHandler.js";
 
 const router = express.Router();
@@ -39,6 +39,12 @@ const categoryValidation = [
     .trim()
     .isLength({ max: 100 })
     .withMessage("Icon cannot be more than 100 characters"),
+
+  // null clears the category's own rate so the platform rate applies
+  body("commissionRate")
+    .optional({ values: "null" })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Commission rate must be between 0 and 100"),
 ];
 
 const expertiseValidation = [
@@ -97,9 +103,10 @@ router.get("/categories", getCategories);
 router.get("/expertise", getExpertise);
 router.get("/events", getEventTypes);
 
-// Protected routes - admin only
+// Protected routes - admins with reference.edit
 router.use(protect);
 router.use(authorize("admin"));
+router.use(requirePermission("reference.edit"));
 
 // Categories management
 router.post(
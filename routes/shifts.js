@@ -0,0 +1,314 @@
+import express from "express";
+import { body, param, query } from "express-validator";
+import {
+  createShift,
+  getMyShifts,
+  updateShift,
+  closeShift,
+  getShiftApplications,
+  acceptApplication,
+  rejectApplication,
+  getOpenShifts,
+  getMyApplications,
+  getShift,
+  applyToShift,
+  withdrawApplication,
+} from "../controllers/shiftController.js";
+import {
+  protect,
+  authorize,
+  checkApproval,
+  requireEmailVerification,
+  loadActingVendor,
+} from "../middleware/auth.js";
+import { validationHandler } from "../middleware/errorHandler.js";
+
+const router = express.Router();
+
+// All shift routes require an approved account
+router.use(protect);
+router.use(checkApproval);
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Validation rules
+const idValidation = [param("id").isMongoId().withMessage("Invalid shift ID")];
+
+// Rules shared by creating and updating a shift (required on create only)
+const shiftFieldValidation = (isUpdate) => {
+  const field = (chain) => (isUpdate ? chain.optional() : chain);
+
+  return [
+    field(body("position"))
+      .trim()
+      .isLength({ min: 2, max: 50 })
+      .withMessage("Position must be between 2 and 50 characters"),
+
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Description cannot be more than 1000 characters"),
+
+    body("expertise")
+      .optional()
+      .isMongoId()
+      .withMessage("Invalid expertise ID"),
+
+    body("openings")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Openings must be between 1 and 100"),
+
+    field(body("workDate"))
+      .isISO8601()
+      .withMessage("Please provide a valid work date")
+      .custom((value) => {
+        const workDate = new Date(value);
+        const now = new Date();
+        now.setHours(0, 0, 0, 0);
+
+        if (workDate < now) {
+          throw new Error("Work date cannot be in the past");
+        }
+        return true;
+      }),
+
+    body("endDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Please provide a valid end date"),
+
+    // An end time before the start time means the shift ends the next day
+    field(body("startTime"))
+      .matches(timeRegex)
+      .withMessage("Start time must be in HH:MM format"),
+
+    field(body("endTime"))
+      .matches(timeRegex)
+      .withMessage("End time must be in HH:MM format"),
+
+    body("breakMinutes")
+      .optional()
+      .isInt({ min: 0, max: 1440 })
+      .withMessage("Break must be between 0 and 1440 minutes"),
+
+    field(body("hourlyRate"))
+      .isFloat({ min: 0 })
+      .withMessage("Hourly rate must be a positive number"),
+
+    body(["overtimeAfterHours", "overtimeRate"])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Overtime settings must be positive numbers"),
+
+    field(body("location.city"))
+      .trim()
+      .notEmpty()
+      .withMessage("City is required"),
+
+    body(["location.name", "location.address"])
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Location details cannot be more than 200 characters"),
+
+    body("location.latitude")
+      .optional()
+      .isFloat({ min: -90, max: 90 })
+      .withMessage("Latitude must be between -90 and 90"),
+
+    body("location.longitude")
+      .optional()
+      .isFloat({ min: -180, max: 180 })
+      .withMessage("Longitude must be between -180 and 180"),
+
+    body("instructions")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Instructions cannot be more than 1000 characters"),
+  ];
+};
+
+const createValidation = [
+  ...shiftFieldValidation(false),
+  body("orderId").optional().isMongoId().withMessage("Invalid order ID"),
+];
+
+const listValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn([
+      "open",
+      "filled",
+      "closed",
+      "pending",
+      "accepted",
+      "rejected",
+      "withdrawn",
+    ])
+    .withMessage("Invalid status filter"),
+];
+
+const browseValidation = [
+  ...listValidation,
+
+  query("expertise").optional().isMongoId().withMessage("Invalid expertise ID"),
+
+  query(["matchExpertise", "inServiceAreas"])
+    .optional()
+    .isBoolean()
+    .withMessage("Filters must be true or false"),
+
+  query("location")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Location must be between 2 and 50 characters"),
+
+  query("radius")
+    .optional()
+    .isFloat({ min: 1, max: 200 })
+    .withMessage("Radius must be between 1 and 200 km"),
+
+  query(["from", "to"])
+    .optional()
+    .isISO8601()
+    .withMessage("Dates must be valid"),
+
+  query("minRate")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Minimum rate must be a positive number"),
+
+  query("sortBy")
+    .optional()
+    .isIn(["date", "rate", "newest"])
+    .withMessage("Sort by must be date, rate, or newest"),
+];
+
+const applicationValidation = [
+  ...idValidation,
+  param("applicationId").isMongoId().withMessage("Invalid application ID"),
+];
+
+const applyValidation = [
+  body("message")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Message cannot be more than 500 characters"),
+];
+
+// Waiter routes - browse and apply for shifts
+router.get(
+  "/",
+  authorize("waiter"),
+  browseValidation,
+  validationHandler,
+  getOpenShifts
+);
+router.get(
+  "/applications",
+  authorize("waiter"),
+  listValidation,
+  validationHandler,
+  getMyApplications
+);
+router.post(
+  "/:id/apply",
+  authorize("waiter"),
+  idValidation,
+  applyValidation,
+  validationHandler,
+  applyToShift
+);
+router.put(
+  "/:id/withdraw",
+  authorize("waiter"),
+  idValidation,
+  validationHandler,
+  withdrawApplication
+);
+
+// Vendor routes - post shifts and review applicants, also for team members
+router.post(
+  "/",
+  authorize("vendor"),
+  loadActingVendor("manager"),
+  createValidation,
+  validationHandler,
+  createShift
+);
+router.get(
+  "/mine",
+  authorize("vendor"),
+  loadActingVendor(),
+  listValidation,
+  validationHandler,
+  getMyShifts
+);
+router.put(
+  "/:id",
+  authorize("vendor"),
+  loadActingVendor("manager"),
+  idValidation,
+  shiftFieldValidation(true),
+  validationHandler,
+  updateShift
+);
+router.put(
+  "/:id/close",
+  authorize("vendor"),
+  loadActingVendor("manager"),
+  idValidation,
+  validationHandler,
+  closeShift
+);
+router.get(
+  "/:id/applications",
+  authorize("vendor"),
+  loadActingVendor(),
+  idValidation,
+  validationHandler,
+  getShiftApplications
+);
+router.put(
+  "/:id/applications/:applicationId/accept",
+  authorize("vendor"),
+  requireEmailVerification,
+  loadActingVendor("manager"),
+  applicationValidation,
+  validationHandler,
+  acceptApplication
+);
+router.put(
+  "/:id/applications/:applicationId/reject",
+  authorize("vendor"),
+  loadActingVendor("manager"),
+  applicationValidation,
+  validationHandler,
+  rejectApplication
+);
+
+// Shared route - shift details
+router.get(
+  "/:id",
+  authorize("vendor", "waiter"),
+  idValidation,
+  validationHandler,
+  getShift
+);
+
+export default router;
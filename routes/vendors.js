@@ -1,5 +1,5 @@
 import express from "express";
-import { body, query } from "express-validator";
+import { body, param, query } from "express-validator";
 import {
   getVendors,
   getVendor,
@@ -11,17 +11,50 @@ import {
   updateOrderStatus,
   getVendorStats,
   uploadPortfolioImages,
+  getOrderQuotes,
+  proposeOrderQuote,
+  acceptOrderQuote,
+  rejectOrderQuote,
+  getVendorAvailability,
+  updateVendorAvailability,
 } from "../controllers/vendorController.js";
+import {
+  getStaffingPlan,
+  updateStaffingPlan,
+  sendStaffingOffers,
+} from "../controllers/staffingController.js";
+import {
+  getMySettlements,
+  getSettlement,
+} from "../controllers/settlementController.js";
+import { getVendorOrderInvoice } from "../controllers/documentController.js";
+import {
+  getTeam,
+  inviteTeamMember,
+  updateTeamMember,
+  removeTeamMember,
+  acceptTeamInvitation,
+} from "../controllers/teamController.js";
 import {
   protect,
   authorize,
   checkApproval,
   optionalAuth,
+  requireEmailVerification,
+  loadActingVendor,
+  sensitiveOpLimit,
 } from "../middleware/auth.js";
 import { validationHandler } from "../middleware/errorHandler.js";
+import { quoteValidation } from "../middleware/validation.js";
+import rateLimit from "express-rate-limit";
+import { normalizePhone } from "../utils/phone.js";
+import { TEAM_ROLES } from "../models/VendorMember.js";
 
 const router = express.Router();
 
+// Invitation tokens are accepted without signing in, so attempts are limited
+const invitationLimiter = rateLimit(sensitiveOpLimit);
+
 // Validation rules
 const vendorProfileValidation = [
   body("businessName")
@@ -76,6 +109,12 @@ const vendorProfileValidation = [
     .isURL()
     .withMessage("Please provide a valid website URL"),
 
+  body("vatNumber")
+    .optional()
+    .trim()
+    .isLength({ max: 30 })
+    .withMessage("VAT number cannot be more than 30 characters"),
+
   body("socialMedia.instagram")
     .optional()
     .isURL()
@@ -100,6 +139,25 @@ const vendorProfileValidation = [
     .trim()
     .isLength({ min: 2, max: 50 })
     .withMessage("Each service area must be between 2 and 50 characters"),
+
+  body("cancellationPolicy.description")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Policy description cannot be more than 500 characters"),
+
+  body("cancellationPolicy.tiers")
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage("Cancellation policy must have between 1 and 10 tiers"),
+
+  body("cancellationPolicy.tiers.*.minDaysBefore")
+    .isInt({ min: 0 })
+    .withMessage("Days before event must be a positive integer"),
+
+  body("cancellationPolicy.tiers.*.refundPercentage")
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("Refund percentage must be between 0 and 100"),
 ];
 
 const ratingValidation = [
@@ -173,13 +231,21 @@ const hireValidation = [
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage("Start time must be in HH:MM format"),
 
+  // An end time before the start time means the event ends the next day
   body("endTime")
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage("End time must be in HH:MM format")
-    .custom((endTime, { req }) => {
-      const start = req.body.startTime;
-      if (start && endTime <= start) {
-        throw new Error("End time must be after start time");
+    .withMessage("End time must be in HH:MM format"),
+
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid end date")
+    .custom((endDate, { req }) => {
+      if (
+        req.body.eventDate &&
+        new Date(endDate) < new Date(req.body.eventDate)
+      ) {
+        throw new Error("End date cannot be before the event date");
       }
       return true;
     }),
@@ -194,6 +260,12 @@ const hireValidation = [
     .isFloat({ min: 0 })
     .withMessage("Quoted price cannot be negative"),
 
+  body("quoteNote")
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("Quote note cannot be more than 500 characters"),
+
   body("venue.name")
     .optional()
     .trim()
@@ -212,6 +284,16 @@ const hireValidation = [
     .isLength({ max: 50 })
     .withMessage("City cannot be more than 50 characters"),
 
+  body("venue.coordinates.latitude")
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Venue latitude must be between -90 and 90"),
+
+  body("venue.coordinates.longitude")
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Venue longitude must be between -180 and 180"),
+
   body("specialRequests")
     .optional()
     .trim()
@@ -219,6 +301,88 @@ const hireValidation = [
     .withMessage("Special requests cannot be more than 1000 characters"),
 ];
 
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const availabilityQueryValidation = [
+  query("from").optional().isISO8601().withMessage("From must be a valid date"),
+
+  query("to")
+    .optional()
+    .isISO8601()
+    .withMessage("To must be a valid date")
+    .custom((to, { req }) => {
+      const from = req.query.from ? new Date(req.query.from) : new Date();
+      const days = (new Date(to) - from) / (24 * 60 * 60 * 1000);
+      if (days < 0) {
+        throw new Error("To date must be after from date");
+      }
+      if (days > 92) {
+        throw new Error("Date range cannot be more than 3 months");
+      }
+      return true;
+    }),
+];
+
+const availabilityValidation = [
+  body("isAvailable")
+    .optional()
+    .isBoolean()
+    .withMessage("isAvailable must be true or false"),
+
+  body("dailyCapacity")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Daily capacity must be between 1 and 100"),
+
+  body("businessHours.*.open")
+    .optional()
+    .matches(timeRegex)
+    .withMessage("Opening time must be in HH:MM format"),
+
+  body("businessHours.*.close")
+    .optional()
+    .matches(timeRegex)
+    .withMessage("Closing time must be in HH:MM format"),
+
+  body("businessHours.*.isClosed")
+    .optional()
+    .isBoolean()
+    .withMessage("isClosed must be true or false"),
+
+  body("blackoutDates")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Blackout dates must be an array of at most 100 entries"),
+
+  body("blackoutDates.*.from")
+    .isISO8601()
+    .withMessage("Blackout start must be a valid date"),
+
+  body("blackoutDates.*.to")
+    .optional()
+    .isISO8601()
+    .withMessage("Blackout end must be a valid date"),
+
+  body("holidayExceptions")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("Holiday exceptions must be an array of at most 100 entries"),
+
+  body("holidayExceptions.*.date")
+    .isISO8601()
+    .withMessage("Exception date must be a valid date"),
+
+  body("holidayExceptions.*.open")
+    .optional()
+    .matches(timeRegex)
+    .withMessage("Opening time must be in HH:MM format"),
+
+  body("holidayExceptions.*.close")
+    .optional()
+    .matches(timeRegex)
+    .withMessage("Closing time must be in HH:MM format"),
+];
+
 const listValidation = [
   query("page")
     .optional()
@@ -264,9 +428,163 @@ const listValidation = [
     .withMessage("Order must be asc or desc"),
 ];
 
+const staffingValidation = [
+  body("positions")
+    .isArray({ max: 20 })
+    .withMessage("Positions must be an array of at most 20 positions"),
+
+  body("positions.*._id")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid staffing position ID"),
+
+  body("positions.*.position")
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Position must be between 2 and 50 characters"),
+
+  body("positions.*.count")
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Count must be between 1 and 100"),
+
+  body("positions.*.expertise")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid expertise ID"),
+
+  body("positions.*.hourlyRate")
+    .isFloat({ min: 0 })
+    .withMessage("Hourly rate must be a positive number"),
+
+  body(["positions.*.startTime", "positions.*.endTime"])
+    .optional()
+    .matches(timeRegex)
+    .withMessage("Times must be in HH:MM format"),
+
+  body("positions.*.breakMinutes")
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage("Break must be between 0 and 1440 minutes"),
+
+  body(["positions.*.overtimeAfterHours", "positions.*.overtimeRate"])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Overtime settings must be positive numbers"),
+
+  body("positions.*.responsibilities")
+    .optional()
+    .isArray()
+    .withMessage("Responsibilities must be an array"),
+
+  body("positions.*.instructions")
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("Instructions cannot be more than 1000 characters"),
+];
+
+const staffingOfferValidation = [
+  param("positionId").isMongoId().withMessage("Invalid staffing position ID"),
+
+  body("waiterIds")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("Please provide between 1 and 50 waiters"),
+
+  body("waiterIds.*").isMongoId().withMessage("Invalid waiter ID"),
+
+  body("overrideAvailability")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideAvailability must be true or false"),
+];
+
+const settlementListValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+
+  query("status")
+    .optional()
+    .isIn(["pending", "paid"])
+    .withMessage("Status must be pending or paid"),
+];
+
+const teamRoleValidation = [
+  body("role")
+    .isIn(TEAM_ROLES)
+    .withMessage(`Team role must be one of: ${TEAM_ROLES.join(", ")}`),
+];
+
+const teamInviteValidation = [
+  body("email")
+    .isEmail()
+    .withMessage("Please provide a valid email")
+    .normalizeEmail(),
+
+  ...teamRoleValidation,
+];
+
+const teamMemberIdValidation = [
+  param("memberId").isMongoId().withMessage("Invalid team member ID"),
+];
+
+// New accounts need a name and phone; existing ones only their password
+const acceptInvitationValidation = [
+  body("firstName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("First name must be between 2 and 50 characters")
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage("First name can only contain letters and spaces"),
+
+  body("lastName")
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 50 })
+    .withMessage("Last name must be between 2 and 50 characters")
+    .matches(/^[a-zA-Z\s]+$/)
+    .withMessage("Last name can only contain letters and spaces"),
+
+  body("phone")
+    .optional()
+    .customSanitizer(normalizePhone)
+    .notEmpty()
+    .withMessage("Please provide a valid phone number"),
+
+  body("password")
+    .isLength({ min: 6 })
+    .withMessage("Password must be at least 6 characters long")
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage(
+      "Password must contain at least one uppercase letter, one lowercase letter, and one number"
+    ),
+];
+
 // Public routes
 router.get("/", listValidation, validationHandler, optionalAuth, getVendors);
-router.get("/:id", getVendor);
+// Only match ids so this doesn't shadow the protected routes below
+router.get("/:id([0-9a-fA-F]{24})", getVendor);
+router.get(
+  "/:id/availability",
+  availabilityQueryValidation,
+  validationHandler,
+  getVendorAvailability
+);
+
+router.post(
+  "/team/invitations/:token/accept",
+  invitationLimiter,
+  acceptInvitationValidation,
+  validationHandler,
+  acceptTeamInvitation
+);
 
 // Protected routes - require authentication
 router.use(protect);
@@ -275,6 +593,7 @@ router.use(protect);
 router.post(
   "/:id/rate",
   authorize("user"),
+  requireEmailVerification,
   ratingValidation,
   validationHandler,
   rateVendor
@@ -282,6 +601,7 @@ router.post(
 router.post(
   "/:id/hire",
   authorize("user"),
+  requireEmailVerification,
   hireValidation,
   validationHandler,
   hireVendor
@@ -296,31 +616,182 @@ router.put(
   validationHandler,
   updateVendorProfile
 );
+router.put(
+  "/availability",
+  authorize("vendor"),
+  checkApproval,
+  availabilityValidation,
+  validationHandler,
+  updateVendorAvailability
+);
 router.post(
   "/portfolio/upload",
   authorize("vendor"),
   checkApproval,
   uploadPortfolioImages
 );
-router.get("/orders/stats", authorize("vendor"), checkApproval, getVendorStats);
-router.get("/orders", authorize("vendor"), checkApproval, getVendorOrders);
+
+// Vendor team - owners manage members, everyone on the team can see it
+router.get(
+  "/team",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getTeam
+);
+router.post(
+  "/team",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("owner"),
+  teamInviteValidation,
+  validationHandler,
+  inviteTeamMember
+);
+router.put(
+  "/team/:memberId",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("owner"),
+  teamMemberIdValidation,
+  teamRoleValidation,
+  validationHandler,
+  updateTeamMember
+);
+router.delete(
+  "/team/:memberId",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("owner"),
+  teamMemberIdValidation,
+  validationHandler,
+  removeTeamMember
+);
+
+// Orders and quotes - also available to the vendor's team members
+router.get(
+  "/orders/stats",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getVendorStats
+);
+router.get(
+  "/orders",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getVendorOrders
+);
 router.get(
   "/orders/:orderId",
   authorize("vendor"),
   checkApproval,
+  loadActingVendor(),
   getVendorOrder
 );
 router.put(
   "/orders/:orderId",
   authorize("vendor"),
   checkApproval,
+  loadActingVendor("manager"),
   [
     body("status")
       .isIn(["pending", "confirmed", "in-progress", "completed", "cancelled"])
       .withMessage("Invalid status"),
+    body("reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Cancellation reason cannot be more than 500 characters"),
   ],
   validationHandler,
   updateOrderStatus
 );
 
+router.get(
+  "/orders/:orderId/invoice",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getVendorOrderInvoice
+);
+
+router.get(
+  "/orders/:orderId/quotes",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getOrderQuotes
+);
+router.post(
+  "/orders/:orderId/quotes",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  quoteValidation,
+  validationHandler,
+  proposeOrderQuote
+);
+router.put(
+  "/orders/:orderId/quotes/accept",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  acceptOrderQuote
+);
+router.put(
+  "/orders/:orderId/quotes/reject",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  rejectOrderQuote
+);
+
+// Staffing plan for the waiters needed at an order's event
+router.get(
+  "/orders/:orderId/staffing",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  getStaffingPlan
+);
+router.put(
+  "/orders/:orderId/staffing",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  staffingValidation,
+  validationHandler,
+  updateStaffingPlan
+);
+router.post(
+  "/orders/:orderId/staffing/:positionId/offers",
+  authorize("vendor"),
+  checkApproval,
+  requireEmailVerification,
+  loadActingVendor("manager"),
+  staffingOfferValidation,
+  validationHandler,
+  sendStaffingOffers
+);
+
+// Settlement statements for paid orders
+router.get(
+  "/settlements",
+  authorize("vendor"),
+  checkApproval,
+  settlementListValidation,
+  validationHandler,
+  getMySettlements
+);
+router.get(
+  "/settlements/:id",
+  authorize("vendor"),
+  checkApproval,
+  [param("id").isMongoId().withMessage("Invalid settlement ID")],
+  validationHandler,
+  getSettlement
+);
+
 export default router;
@@ -11,12 +11,24 @@ import {
   updateJobStatus,
   getWaiterStats,
   uploadWaiterDocuments,
+  checkWaiterConflicts,
+  updateJobSchedule,
 } from "../controllers/waiterController.js";
+import {
+  clockIn,
+  clockOut,
+  getTimesheets,
+  reviewTimesheet,
+} from "../controllers/timesheetController.js";
+import { getMyEarnings } from "../controllers/payoutController.js";
+import { getJobPayStatement } from "../controllers/documentController.js";
 import {
   protect,
   authorize,
   checkApproval,
   optionalAuth,
+  requireEmailVerification,
+  loadActingVendor,
 } from "../middleware/auth.js";
 import { validationHandler } from "../middleware/errorHandler.js";
 
@@ -162,6 +174,38 @@ const ratingValidation = [
     .withMessage("Professionalism rating must be between 1 and 5"),
 ];
 
+// Multi-day end date, breaks and overtime for a job
+const shiftDetailsValidation = [
+  body("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid end date")
+    .custom((endDate, { req }) => {
+      if (
+        req.body.workDate &&
+        new Date(endDate) < new Date(req.body.workDate)
+      ) {
+        throw new Error("End date cannot be before the work date");
+      }
+      return true;
+    }),
+
+  body("breakMinutes")
+    .optional()
+    .isInt({ min: 0, max: 1440 })
+    .withMessage("Break must be between 0 and 1440 minutes"),
+
+  body("overtimeAfterHours")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Overtime threshold must be a positive number of hours"),
+
+  body("overtimeRate")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Overtime rate must be a positive number"),
+];
+
 const hireValidation = [
   body("position")
     .trim()
@@ -188,21 +232,17 @@ const hireValidation = [
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
     .withMessage("Start time must be in HH:MM format"),
 
+  // An end time before the start time means the shift ends the next day
   body("endTime")
     .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
-    .withMessage("End time must be in HH:MM format")
-    .custom((endTime, { req }) => {
-      const start = req.body.startTime;
-      if (start && endTime <= start) {
-        throw new Error("End time must be after start time");
-      }
-      return true;
-    }),
+    .withMessage("End time must be in HH:MM format"),
 
   body("hourlyRate")
     .isFloat({ min: 0 })
     .withMessage("Hourly rate must be a positive number"),
 
+  ...shiftDetailsValidation,
+
   body("responsibilities")
     .optional()
     .isArray()
@@ -218,6 +258,104 @@ const hireValidation = [
     .trim()
     .isLength({ max: 1000 })
     .withMessage("Instructions cannot be more than 1000 characters"),
+
+  body("overrideAvailability")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideAvailability must be true or false"),
+];
+
+const scheduleValidation = [
+  body("workDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid work date"),
+
+  body("startTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Start time must be in HH:MM format"),
+
+  body("endTime")
+    .optional()
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("End time must be in HH:MM format"),
+
+  body("hourlyRate")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Hourly rate must be a positive number"),
+
+  ...shiftDetailsValidation,
+];
+
+const clockValidation = [
+  body("latitude")
+    .isFloat({ min: -90, max: 90 })
+    .withMessage("Latitude must be between -90 and 90"),
+
+  body("longitude")
+    .isFloat({ min: -180, max: 180 })
+    .withMessage("Longitude must be between -180 and 180"),
+];
+
+const timesheetListValidation = [
+  query("status")
+    .optional()
+    .isIn(["clocked-in", "submitted", "approved", "disputed"])
+    .withMessage("Invalid timesheet status"),
+
+  query("order").optional().isMongoId().withMessage("Invalid order ID"),
+];
+
+const timesheetReviewValidation = [
+  body("action")
+    .isIn(["approve", "dispute"])
+    .withMessage("Action must be approve or dispute"),
+
+  body("hours")
+    .optional()
+    .isFloat({ min: 0, max: 168 })
+    .withMessage("Hours must be between 0 and 168"),
+
+  body("dailyHours")
+    .optional()
+    .isArray({ min: 1, max: 31 })
+    .withMessage("Daily hours must list between 1 and 31 days"),
+
+  body("dailyHours.*")
+    .isFloat({ min: 0, max: 24 })
+    .withMessage("Hours for each day must be between 0 and 24"),
+
+  body("reason")
+    .if(body("action").equals("dispute"))
+    .trim()
+    .notEmpty()
+    .withMessage("Please give a reason for disputing the timesheet")
+    .isLength({ max: 500 })
+    .withMessage("Reason cannot be more than 500 characters"),
+];
+
+const conflictCheckValidation = [
+  query("workDate").isISO8601().withMessage("Please provide a valid work date"),
+
+  query("startTime")
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("Start time must be in HH:MM format"),
+
+  query("endTime")
+    .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+    .withMessage("End time must be in HH:MM format"),
+
+  query("endDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Please provide a valid end date"),
+
+  query("overrideAvailability")
+    .optional()
+    .isBoolean()
+    .withMessage("overrideAvailability must be true or false"),
 ];
 
 const listValidation = [
@@ -267,7 +405,8 @@ const listValidation = [
 
 // Public routes
 router.get("/", listValidation, validationHandler, optionalAuth, getWaiters);
-router.get("/:id", getWaiter);
+// Only match ids so this doesn't shadow the protected routes below
+router.get("/:id([0-9a-fA-F]{24})", getWaiter);
 
 // Protected routes - require authentication
 router.use(protect);
@@ -276,14 +415,25 @@ router.use(protect);
 router.post(
   "/:id/rate",
   authorize("vendor"),
+  requireEmailVerification,
   ratingValidation,
   validationHandler,
   rateWaiter
 );
+router.get(
+  "/:id/conflicts",
+  authorize("vendor"),
+  checkApproval,
+  conflictCheckValidation,
+  validationHandler,
+  checkWaiterConflicts
+);
 router.post(
   "/:id/hire",
   authorize("vendor"),
   checkApproval,
+  requireEmailVerification,
+  loadActingVendor("manager"),
   hireValidation,
   validationHandler,
   hireWaiter
@@ -299,8 +449,58 @@ router.put(
 );
 router.post("/documents/upload", authorize("waiter"), uploadWaiterDocuments);
 router.get("/jobs/stats", authorize("waiter"), checkApproval, getWaiterStats);
+router.get("/earnings", authorize("waiter"), checkApproval, getMyEarnings);
 router.get("/jobs", authorize("waiter"), checkApproval, getWaiterJobs);
 router.get("/jobs/:jobId", authorize("waiter"), checkApproval, getWaiterJob);
+router.get(
+  "/timesheets",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor(),
+  timesheetListValidation,
+  validationHandler,
+  getTimesheets
+);
+router.put(
+  "/jobs/:jobId/timesheet",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  timesheetReviewValidation,
+  validationHandler,
+  reviewTimesheet
+);
+router.get(
+  "/jobs/:jobId/pay-statement",
+  authorize("waiter", "vendor"),
+  checkApproval,
+  getJobPayStatement
+);
+router.put(
+  "/jobs/:jobId/clock-in",
+  authorize("waiter"),
+  checkApproval,
+  clockValidation,
+  validationHandler,
+  clockIn
+);
+router.put(
+  "/jobs/:jobId/clock-out",
+  authorize("waiter"),
+  checkApproval,
+  clockValidation,
+  validationHandler,
+  clockOut
+);
+router.put(
+  "/jobs/:jobId/schedule",
+  authorize("vendor"),
+  checkApproval,
+  loadActingVendor("manager"),
+  scheduleValidation,
+  validationHandler,
+  updateJobSchedule
+);
 router.put(
   "/jobs/:jobId",
   authorize("waiter"),
@@ -0,0 +1,66 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+// Registered for User#anonymize and User#hasOpenWork, which use these through
+// mongoose.model(), and for the references their queries populate
+import "../models/Vendor.js";
+import "../models/Waiter.js";
+import "../models/Session.js";
+import "../models/VendorMember.js";
+import "../models/Booking.js";
+import "../models/Rating.js";
+import "../models/Reference.js";
+
+// Load env vars
+dotenv.config();
+
+// Shared by the account deletion scripts, not run on its own: anonymize the
+// users matching `query`, report the ones that failed and exit. `label`
+// names the accounts in the output, e.g. "deleted accounts". With
+// skipOpenWork, users who still have orders or jobs in progress are left for
+// a later run.
+export const anonymizeUsers = async (
+  query,
+  label,
+  { skipOpenWork = false } = {}
+) => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    const users = await User.find({ ...query, anonymizedAt: null });
+
+    let anonymized = 0;
+    const skipped = [];
+    const failed = [];
+
+    for (const user of users) {
+      try {
+        if (skipOpenWork && (await user.hasOpenWork())) {
+          skipped.push(`${user._id}: has open orders or jobs`);
+          continue;
+        }
+
+        await user.anonymize();
+        anonymized++;
+      } catch (error) {
+        failed.push(`${user._id}: ${error.message}`);
+      }
+    }
+
+    console.log(`\n✅ ${anonymized} ${label} anonymized`);
+    if (skipped.length > 0) {
+      console.log(`\n⚠️ ${skipped.length} ${label} skipped until later:`);
+      skipped.forEach((line) => console.log(`- ${line}`));
+    }
+    if (failed.length > 0) {
+      console.log(`\n⚠️ ${failed.length} ${label} could not be anonymized:`);
+      failed.forEach((line) => console.log(`- ${line}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error(`❌ Anonymizing ${label} failed:`, error);
+    process.exit(1);
+  }
+};
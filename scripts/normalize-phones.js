@@ -0,0 +1,58 @@
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { normalizePhone } from "../utils/phone.js";
+
+// Load env vars
+dotenv.config();
+
+// Rewrite stored user phone numbers in E.164 format. Numbers that can't be
+// read, or that would clash with another user's number, are listed and left
+// unchanged for an admin to resolve.
+const normalizePhones = async () => {
+  try {
+    const conn = await mongoose.connect(process.env.MONGODB_URI);
+    console.log(`MongoDB Connected: ${conn.connection.host}`);
+
+    const users = await User.find().select("phone email");
+    const owners = new Map(users.map((user) => [user.phone, user._id]));
+
+    let updated = 0;
+    const skipped = [];
+
+    for (const user of users) {
+      const phone = normalizePhone(user.phone);
+
+      if (!phone) {
+        skipped.push(`${user.email}: "${user.phone}" is not a valid number`);
+        continue;
+      }
+      if (phone === user.phone) continue;
+
+      const owner = owners.get(phone);
+      if (owner && !owner.equals(user._id)) {
+        skipped.push(`${user.email}: ${phone} is already used by ${owner}`);
+        continue;
+      }
+
+      await User.updateOne({ _id: user._id }, { phone });
+      owners.delete(user.phone);
+      owners.set(phone, user._id);
+      updated++;
+    }
+
+    console.log(`\n✅ ${updated} phone numbers normalized`);
+    if (skipped.length > 0) {
+      console.log(`\n⚠️ ${skipped.length} users need attention:`);
+      skipped.forEach((line) => console.log(`- ${line}`));
+    }
+
+    process.exit(0);
+  } catch (error) {
+    console.error("❌ Phone normalization failed:", error);
+    process.exit(1);
+  }
+};
+
+// Run normalization
+normalizePhones();
@@ -0,0 +1,8 @@
+import { anonymizeUsers } from "./anonymize-users.js";
+
+// Anonymize accounts whose deletion grace period has ended. Orders or jobs
+// started since the request (or still open) keep the account until they are
+// finished. Meant to be run on a schedule, e.g. once a day from cron.
+anonymizeUsers({ deletionScheduledFor: { $lte: Date.now() } }, "accounts", {
+  skipOpenWork: true,
+});
@@ -0,0 +1,11 @@
+import { DELETED_USER_RETENTION_DAYS } from "../models/User.js";
+import { anonymizeUsers } from "./anonymize-users.js";
+
+// Anonymize accounts deleted by an admin once they can no longer be
+// restored. The records stay (soft deleted) so orders, jobs and ratings keep
+// pointing at them. Meant to be run on a schedule, e.g. once a day from cron.
+const cutoff = new Date(
+  Date.now() - DELETED_USER_RETENTION_DAYS * 24 * 60 * 60 * 1000
+);
+
+anonymizeUsers({ deletedAt: { $ne: null, $lte: cutoff } }, "deleted accounts");
@@ -265,6 +265,7 @@ const setupDatabase = async () => {
         phone: "+2348000000000",
         password: "Admin@123",
         role: "admin",
+        adminRole: "superadmin",
         isApproved: true,
         isEmailVerified: true,
       });
@@ -3,11 +3,14 @@ import cors from "cors";
 import helmet from "helmet";
 import morgan from "morgan";
 import compression from "compression";
+import cookieParser from "cookie-parser";
 import rateLimit from "express-rate-limit";
 import mongoSanitize from "express-mongo-sanitize";
 import dotenv from "dotenv";
 import connectDB from "./config/db.js";
 import { errorHandler } from "./middleware/errorHandler.js";
+import { checkPaymentConfig } from "./utils/paymentGateway.js";
+import { checkSmsConfig } from "./utils/smsService.js";
 
 // Route imports
 import authRoutes from "./routes/auth.js";
@@ -16,10 +19,39 @@ import waiterRoutes from "./routes/waiters.js";
 import adminRoutes from "./routes/admin.js";
 import ratingRoutes from "./routes/ratings.js";
 import referenceRoutes from "./routes/reference.js";
+import bookingRoutes from "./routes/bookings.js";
+import messageRoutes from "./routes/messages.js";
+import shiftRoutes from "./routes/shifts.js";
+import payoutRoutes from "./routes/payouts.js";
+import paymentRoutes from "./routes/payments.js";
+import calendarRoutes from "./routes/calendar.js";
 
 // Load env vars
 dotenv.config();
 
+// Without an explicitly configured payment provider the payment routes answer
+// 503; the rest of the API still starts
+try {
+  checkPaymentConfig();
+} catch (error) {
+  console.error(
+    "❌ Payment configuration error:",
+    error.message,
+    "- payments are disabled until this is fixed"
+  );
+}
+
+// Likewise, without an SMS provider phone verification answers 503
+try {
+  checkSmsConfig();
+} catch (error) {
+  console.error(
+    "❌ SMS configuration error:",
+    error.message,
+    "- phone verification is disabled until this is fixed"
+  );
+}
+
 // Connect to database
 connectDB();
 
@@ -85,9 +117,17 @@ const limiter = rateLimit({
 });
 app.use("/api", limiter);
 
-// Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+// Body parsing middleware (keep the raw body for webhook signature checks)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf.toString();
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+app.use(cookieParser());
 
 // Compression middleware
 app.use(compression());
@@ -120,6 +160,12 @@ app.get("/api", (req, res) => {
       waiters: "/api/waiters",
       admin: "/api/admin",
       ratings: "/api/ratings",
+      bookings: "/api/bookings",
+      messages: "/api/messages",
+      shifts: "/api/shifts",
+      payouts: "/api/payouts",
+      payments: "/api/payments",
+      calendar: "/api/calendar",
       categories: "/api/categories",
       expertise: "/api/expertise",
       events: "/api/events",
@@ -143,6 +189,12 @@ app.use("/api/vendors", vendorRoutes);
 app.use("/api/waiters", waiterRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/ratings", ratingRoutes);
+app.use("/api/bookings", bookingRoutes);
+app.use("/api/messages", messageRoutes);
+app.use("/api/shifts", shiftRoutes);
+app.use("/api/payouts", payoutRoutes);
+app.use("/api/payments", paymentRoutes);
+app.use("/api/calendar", calendarRoutes);
 app.use("/api", referenceRoutes); // For categories, expertise, events
 
 // 404 handler
@@ -0,0 +1,21 @@
+// Helpers for exporting data as CSV
+
+// Text starting with these is run as a formula by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote a value when it contains a comma, quote or line break. Text that a
+// spreadsheet would read as a formula is prefixed with ' to keep it as text.
+const toCsvValue = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Convert an array of rows (arrays of values) to CSV text
+export const toCsv = (rows) =>
+  rows.map((row) => row.map(toCsvValue).join(",")).join("\r\n");
@@ -0,0 +1,68 @@
+// Helpers for describing the device behind a request
+
+const BROWSERS = [
+  ["Edge", /Edg(e|A|iOS)?\//],
+  ["Opera", /OPR\/|Opera/],
+  ["Samsung Internet", /SamsungBrowser\//],
+  ["Chrome", /Chrome\/|CriOS\//],
+  ["Firefox", /Firefox\/|FxiOS\//],
+  ["Safari", /Safari\//],
+];
+
+const OPERATING_SYSTEMS = [
+  ["Android", /Android/],
+  ["iOS", /iPhone|iPad|iPod/],
+  ["Windows", /Windows/],
+  ["macOS", /Mac OS X|Macintosh/],
+  ["Linux", /Linux/],
+];
+
+const findName = (list, userAgent) =>
+  list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// Short readable label for a user agent, e.g. "Chrome on Windows"
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const browser = findName(BROWSERS, userAgent);
+  const os = findName(OPERATING_SYSTEMS, userAgent);
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.slice(0, 50);
+};
+
+// Device details recorded with sessions and sign-ins
+export const getRequestDevice = (req) => {
+  const userAgent = req.get("user-agent") || "";
+
+  return {
+    userAgent: userAgent.slice(0, 500),
+    device: describeDevice(userAgent),
+    ip: req.ip,
+  };
+};
+
+// Network an IP address belongs to: the /24 of an IPv4 address or the /64
+// of an IPv6 one, so sign-ins from the same home or office compare equal
+export const getNetwork = (ip) => {
+  if (!ip) return null;
+
+  const ipv4 = ip.replace(/^::ffff:/, "");
+  if (/^\d+\.\d+\.\d+\.\d+$/.test(ipv4)) {
+    return ipv4.split(".").slice(0, 3).join(".");
+  }
+
+  const [head, tail] = ip.toLowerCase().split("::");
+  const headGroups = head ? head.split(":") : [];
+  const tailGroups = tail ? tail.split(":") : [];
+  const groups = [
+    ...headGroups,
+    ...Array(Math.max(8 - headGroups.length - tailGroups.length, 0)).fill("0"),
+    ...tailGroups,
+  ];
+
+  return groups
+    .slice(0, 4)
+    .map((group) => group.replace(/^0+(?=.)/, ""))
+    .join(":");
+};
@@ -1,3 +1,4 @@
+import mongoose from "mongoose";
 import nodemailer from "nodemailer";
 
 // Create reusable transporter
@@ -151,6 +152,55 @@ export const sendPasswordResetEmail = async (user, resetToken) => {
   });
 };
 
+// Email verification email
+export const sendEmailVerificationEmail = async (user, verificationToken) => {
+  const verifyUrl = `${process.env.FRONTEND_URL}/verify-email/${verificationToken}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #3498db; margin-bottom: 10px;">📧 Verify Your Email</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">Confirm your Plenty Events email address</p>
+        </div>
+
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${user.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            Please confirm your email address by clicking the button below.
+            You'll need a verified email to hire vendors and waiters or leave ratings.
+            This link will expire in 24 hours.
+          </p>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${verifyUrl}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Verify Email
+          </a>
+        </div>
+
+        <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="color: #856404; margin: 0; font-size: 14px;">
+            <strong>Security Note:</strong> If you didn't create a Plenty Events account, please ignore this email.
+          </p>
+        </div>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: "Verify Your Email - Plenty Events",
+    html,
+  });
+};
+
 // Booking confirmation email for users
 export const sendBookingConfirmationEmail = async (user, booking, vendor) => {
   const html = `
@@ -271,6 +321,203 @@ export const sendNewBookingNotificationEmail = async (
   });
 };
 
+// Booking cancellation notification
+export const sendBookingCancellationEmail = async (
+  recipient,
+  booking,
+  cancelledBy
+) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #e74c3c; margin-bottom: 10px;">❌ Booking Cancelled</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">An event booking has been cancelled</p>
+        </div>
+        
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${recipient.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            The booking for <strong>${
+              booking.eventTitle
+            }</strong> was cancelled by <strong>${cancelledBy.firstName} ${
+    cancelledBy.lastName
+  }</strong>.
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #2c3e50; margin-top: 0;">Cancellation Details:</h3>
+          <ul style="color: #555; line-height: 1.8;">
+            <li><strong>Event:</strong> ${booking.eventTitle}</li>
+            <li><strong>Date:</strong> ${new Date(
+              booking.eventDate
+            ).toLocaleDateString()}</li>
+            <li><strong>Reason:</strong> ${
+              booking.cancellationReason || "Not specified"
+            }</li>
+            <li><strong>Refund:</strong> ${booking.currency} ${(
+    booking.refundAmount || 0
+  ).toLocaleString()} (${booking.refundPercentage || 0}%)</li>
+          </ul>
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Questions about this cancellation? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: recipient.email,
+    subject: `Booking Cancelled - ${booking.eventTitle}`,
+    html,
+  });
+};
+
+// Quote negotiation update
+export const sendQuoteUpdateEmail = async (
+  recipient,
+  booking,
+  quote,
+  action
+) => {
+  const headings = {
+    countered: "💬 New Quote Received",
+    accepted: "✅ Quote Accepted",
+    rejected: "❌ Quote Rejected",
+  };
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #2c3e50; margin-bottom: 10px;">${
+            headings[action]
+          }</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">Price negotiation for ${
+            booking.eventTitle
+          }</p>
+        </div>
+        
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${recipient.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            ${
+              action === "countered"
+                ? `A new quote of <strong>${
+                    booking.currency
+                  } ${quote.amount.toLocaleString()}</strong> is awaiting your response.`
+                : `Your quote of <strong>${
+                    booking.currency
+                  } ${quote.amount.toLocaleString()}</strong> was ${action}.`
+            }
+          </p>
+          ${
+            quote.note
+              ? `<p style="color: #555; line-height: 1.6;"><em>${quote.note}</em></p>`
+              : ""
+          }
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: recipient.email,
+    subject: `Quote ${action} - ${booking.eventTitle}`,
+    html,
+  });
+};
+
+// Notify one side of a quote negotiation about a quote action. `party` is
+// the side being told, "customer" or "vendor". Email problems are logged
+// and never fail the request.
+export const notifyQuoteUpdate = async (order, quote, action, party) => {
+  if (process.env.EMAIL_USER && process.env.EMAIL_PASS) {
+    try {
+      const recipient =
+        party === "vendor"
+          ? (
+              await mongoose
+                .model("Vendor")
+                .findById(order.vendor._id)
+                .withDeleted()
+            ).user
+          : order.user;
+      await sendQuoteUpdateEmail(recipient, order, quote, action);
+      console.log("✅ Quote update email sent successfully");
+    } catch (error) {
+      console.error("❌ Failed to send quote update email:", error.message);
+    }
+  } else {
+    console.log("⚠️ Email credentials not configured, skipping quote email");
+  }
+};
+
+// Shift application outcome email for waiters
+export const sendShiftApplicationEmail = async (waiter, shift, status) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #9b59b6; margin-bottom: 10px;">${
+            status === "accepted"
+              ? "🎉 Application Accepted!"
+              : "Application Update"
+          }</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">${
+            shift.position
+          } shift on ${new Date(shift.workDate).toLocaleDateString()}</p>
+        </div>
+        
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${waiter.user.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            ${
+              status === "accepted"
+                ? `<strong>${shift.vendor.businessName}</strong> accepted your application. The job has been added to your schedule.`
+                : `<strong>${shift.vendor.businessName}</strong> did not take your application this time. Keep an eye out for new shifts near you.`
+            }
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <h3 style="color: #2c3e50; margin-top: 0;">Shift Details:</h3>
+          <ul style="color: #555; line-height: 1.8;">
+            <li><strong>Position:</strong> ${shift.position}</li>
+            <li><strong>Time:</strong> ${shift.startTime} - ${
+    shift.endTime
+  }</li>
+            <li><strong>Location:</strong> ${shift.location.city}</li>
+            <li><strong>Rate:</strong> ${shift.currency} ${
+    shift.hourlyRate
+  }/hour</li>
+          </ul>
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Questions? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: waiter.user.email,
+    subject: `Shift application ${status} - ${shift.position}`,
+    html,
+  });
+};
+
 // Job offer email for waiters
 export const sendJobOfferEmail = async (waiter, job, vendor) => {
   const html = `
@@ -301,6 +548,9 @@ export const sendJobOfferEmail = async (waiter, job, vendor) => {
             <li><strong>Rate:</strong> ${job.currency} ${
     job.hourlyRate
   }/hour</li>
+            <li><strong>Total:</strong> ${job.currency} ${job.totalAmount} (${
+    job.totalHours
+  } hours)</li>
             <li><strong>Vendor:</strong> ${vendor.businessName}</li>
           </ul>
         </div>
@@ -334,6 +584,57 @@ export const sendJobOfferEmail = async (waiter, job, vendor) => {
   });
 };
 
+// New message notification
+export const sendNewMessageEmail = async (
+  recipient,
+  sender,
+  conversationTitle,
+  message,
+  conversationPath
+) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #3498db; margin-bottom: 10px;">💬 New Message</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">You have a new message about ${conversationTitle}</p>
+        </div>
+        
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${recipient.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            <strong>${sender.firstName} ${
+    sender.lastName
+  }</strong> sent you a message:
+          </p>
+        </div>
+        
+        <div style="background-color: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
+          <p style="color: #555; line-height: 1.6; margin: 0;">${message}</p>
+        </div>
+        
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/messages/${conversationPath}" 
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Reply
+          </a>
+        </div>
+        
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: recipient.email,
+    subject: `New message - ${conversationTitle}`,
+    html,
+  });
+};
+
 // Account approval email
 export const sendAccountApprovalEmail = async (user) => {
   const html = `
@@ -380,4 +681,160 @@ export const sendAccountApprovalEmail = async (user) => {
   });
 };
 
+// New device sign-in alert
+export const sendNewDeviceLoginEmail = async (user, login) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #e67e22; margin-bottom: 10px;">🔔 New Sign-In</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">Your account was accessed from a new device</p>
+        </div>
+
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${user.firstName}!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            We noticed a sign-in to your Plenty Events account from a device you haven't used before.
+          </p>
+          <div style="background-color: #f8f9fa; padding: 15px; border-radius: 5px; margin: 20px 0;">
+            <p style="margin: 5px 0;"><strong>Device:</strong> ${
+              login.device
+            }</p>
+            <p style="margin: 5px 0;"><strong>IP Address:</strong> ${
+              login.ip
+            }</p>
+            <p style="margin: 5px 0;"><strong>Time:</strong> ${new Date(
+              login.at
+            ).toLocaleString()}</p>
+          </div>
+        </div>
+
+        <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="color: #856404; margin: 0; font-size: 14px;">
+            <strong>Security Note:</strong> If this was you, you can ignore this email. If it wasn't,
+            change your password right away and sign out of all sessions from your account settings.
+          </p>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${process.env.FRONTEND_URL}/settings/security"
+             style="background-color: #e67e22; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Review Account Security
+          </a>
+        </div>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: "New Sign-In to Your Account - Plenty Events",
+    html,
+  });
+};
+
 export default sendEmail;
+
+// Vendor team invitation email
+export const sendTeamInvitationEmail = async (
+  email,
+  vendor,
+  inviter,
+  role,
+  inviteToken
+) => {
+  const inviteUrl = `${process.env.FRONTEND_URL}/team-invitations/${inviteToken}`;
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #3498db; margin-bottom: 10px;">🤝 Team Invitation</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">You've been invited to a vendor team</p>
+        </div>
+
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello!</h2>
+          <p style="color: #555; line-height: 1.6;">
+            ${inviter.firstName} ${inviter.lastName} has invited you to join
+            <strong>${vendor.businessName}</strong> as a ${role}.
+            Accept the invitation to help manage their bookings. This link will expire in 7 days.
+          </p>
+        </div>
+
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}"
+             style="background-color: #3498db; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; display: inline-block; font-weight: bold;">
+            Accept Invitation
+          </a>
+        </div>
+
+        <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="color: #856404; margin: 0; font-size: 14px;">
+            <strong>Security Note:</strong> If you weren't expecting this invitation, please ignore this email.
+          </p>
+        </div>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email,
+    subject: `Join ${vendor.businessName} on Plenty Events`,
+    html,
+  });
+};
+
+// Account deletion scheduled email
+export const sendAccountDeletionEmail = async (user, scheduledFor) => {
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f8f9fa;">
+      <div style="background-color: white; padding: 30px; border-radius: 10px; box-shadow: 0 2px 10px rgba(0,0,0,0.1);">
+        <div style="text-align: center; margin-bottom: 30px;">
+          <h1 style="color: #e74c3c; margin-bottom: 10px;">👋 Account Deletion Scheduled</h1>
+          <p style="color: #7f8c8d; font-size: 16px;">We're sorry to see you go</p>
+        </div>
+
+        <div style="margin-bottom: 30px;">
+          <h2 style="color: #34495e;">Hello ${user.firstName},</h2>
+          <p style="color: #555; line-height: 1.6;">
+            Your Plenty Events account will be deleted on
+            <strong>${new Date(scheduledFor).toDateString()}</strong>.
+            After that your personal details are removed for good. Records of
+            payments and bookings are kept, without your personal details.
+          </p>
+          <p style="color: #555; line-height: 1.6;">
+            Changed your mind? Log in before then and cancel the deletion from your account settings.
+          </p>
+        </div>
+
+        <div style="background-color: #fff3cd; border: 1px solid #ffeaa7; padding: 15px; border-radius: 5px; margin: 20px 0;">
+          <p style="color: #856404; margin: 0; font-size: 14px;">
+            <strong>Security Note:</strong> If you didn't ask to delete your account, log in and cancel the deletion, then change your password.
+          </p>
+        </div>
+
+        <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #eee; color: #888; font-size: 14px; text-align: center;">
+          <p>Need help? Contact us at <a href="mailto:support@plentyevents.com" style="color: #3498db;">support@plentyevents.com</a></p>
+          <p>© ${new Date().getFullYear()} Plenty Events. All rights reserved.</p>
+        </div>
+      </div>
+    </div>
+  `;
+
+  await sendEmail({
+    email: user.email,
+    subject: "Account Deletion Scheduled - Plenty Events",
+    html,
+  });
+};
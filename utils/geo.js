@@ -0,0 +1,25 @@
+// Helpers for working with latitude/longitude coordinates
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+// Great-circle distance in metres between two { latitude, longitude } points
+export const getDistanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) *
+      Math.cos(toRadians(to.latitude)) *
+      Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Check whether a point has both coordinates set
+export const hasCoordinates = (point) =>
+  point != null &&
+  typeof point.latitude === "number" &&
+  typeof point.longitude === "number";
@@ -0,0 +1,74 @@
+// Minimal iCalendar (RFC 5545) writer for schedule feeds
+
+// Escape text values (backslash, semicolon, comma and newlines)
+const escapeText = (value) =>
+  String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+
+// UTC date-time, e.g. 20240615T170000Z
+const formatDateTime = (date) =>
+  new Date(date)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+
+// Fold lines longer than 75 octets onto continuation lines
+const foldLine = (line) => {
+  const parts = [];
+  let current = "";
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > 75) {
+      parts.push(current);
+      current = " ";
+    }
+    current += char;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n");
+};
+
+// Build a calendar from events of the form
+// { uid, start, end, summary, description, location, geo, status, updatedAt }
+export const buildCalendar = (name, events) => {
+  const now = formatDateTime(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Plenty Events//Schedule//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatDateTime(event.start)}`,
+      `DTEND:${formatDateTime(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.location) {
+      lines.push(`LOCATION:${escapeText(event.location)}`);
+    }
+    if (event.geo) {
+      lines.push(`GEO:${event.geo.latitude};${event.geo.longitude}`);
+    }
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.updatedAt) {
+      lines.push(`LAST-MODIFIED:${formatDateTime(event.updatedAt)}`);
+    }
+    lines.push(`STATUS:${event.status || "CONFIRMED"}`, "END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+};
@@ -0,0 +1,251 @@
+import crypto from "crypto";
+
+// Payment providers share one interface:
+//   isConfigured() -> boolean
+//   initialize({ reference, amount, currency, email, callbackUrl, metadata })
+//     -> { reference, authorizationUrl }
+//   verify(reference) -> transaction result
+//   verifySignature(rawBody, headers) -> boolean
+//   parseEvent(body) -> transaction result
+//   refund(reference, amount) -> { id, status, amount }
+// A transaction result is { reference, status, amount, currency, channel,
+// paidAt } with status "success", "failed" or "pending" and amounts in the
+// major currency unit (naira, not kobo). Refund status is "success",
+// "pending" (the gateway is still processing it) or "failed".
+
+const signPayload = (secret, payload) =>
+  crypto.createHmac("sha512", secret).update(payload).digest("hex");
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, received) => {
+  if (!received || expected.length !== received.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+};
+
+// Local mock provider - keeps transactions in memory so payments can be
+// exercised offline. Checkout is completed with the simulate() helper. It
+// only runs with its own MOCK_PAYMENT_SECRET, so webhooks can't be forged
+// with a well-known one.
+const mockTransactions = new Map();
+
+const mockProvider = {
+  name: "mock",
+  signatureHeader: "x-mock-signature",
+
+  isConfigured() {
+    return Boolean(process.env.MOCK_PAYMENT_SECRET);
+  },
+
+  async initialize({ reference, amount, currency }) {
+    mockTransactions.set(reference, {
+      reference,
+      status: "pending",
+      amount,
+      currency,
+    });
+
+    const apiUrl =
+      process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+    return {
+      reference,
+      authorizationUrl: `${apiUrl}/api/payments/mock/${reference}`,
+    };
+  },
+
+  async verify(reference) {
+    const transaction = mockTransactions.get(reference);
+    return transaction
+      ? { ...transaction }
+      : { reference, status: "pending", amount: 0 };
+  },
+
+  verifySignature(rawBody, headers) {
+    if (!this.isConfigured()) return false;
+    return signaturesMatch(
+      signPayload(process.env.MOCK_PAYMENT_SECRET, rawBody || ""),
+      headers[this.signatureHeader]
+    );
+  },
+
+  parseEvent(body) {
+    return { ...body.data, event: body.event };
+  },
+
+  async refund(reference, amount) {
+    const transaction = mockTransactions.get(reference);
+    if (transaction) {
+      transaction.refunded = (transaction.refunded || 0) + amount;
+    }
+    return { id: `mock-refund-${Date.now()}`, status: "success", amount };
+  },
+
+  // Complete a mock checkout and build the signed webhook the gateway would send
+  simulate(reference, status = "success", amount, currency) {
+    const transaction = mockTransactions.get(reference) || { reference };
+
+    transaction.status = status;
+    transaction.amount = amount ?? transaction.amount;
+    transaction.currency = currency ?? transaction.currency;
+    transaction.channel = "mock";
+    if (status === "success") {
+      transaction.paidAt = new Date().toISOString();
+    }
+    mockTransactions.set(reference, transaction);
+
+    const rawBody = JSON.stringify({
+      event: status === "success" ? "charge.success" : "charge.failed",
+      data: transaction,
+    });
+    return {
+      rawBody,
+      headers: {
+        [this.signatureHeader]: signPayload(
+          process.env.MOCK_PAYMENT_SECRET,
+          rawBody
+        ),
+      },
+    };
+  },
+};
+
+// Paystack provider - amounts are sent and received in kobo
+const PAYSTACK_API_URL = "https://api.paystack.co";
+
+const paystackRequest = async (path, options = {}) => {
+  const response = await fetch(`${PAYSTACK_API_URL}${path}`, {
+    ...options,
+    headers: {
+      Authorization: `Bearer ${process.env.PAYSTACK_SECRET_KEY}`,
+      "Content-Type": "application/json",
+    },
+  });
+  const body = await response.json();
+
+  if (!response.ok || !body.status) {
+    throw new Error(body.message || "Payment gateway request failed");
+  }
+  return body.data;
+};
+
+const toPaystackResult = (data) => ({
+  reference: data.reference,
+  status: ["success", "failed"].includes(data.status) ? data.status : "pending",
+  amount: data.amount / 100,
+  currency: data.currency,
+  channel: data.channel,
+  paidAt: data.paid_at || data.paidAt,
+});
+
+// Paystack refund statuses: "processed" is done, the rest are in progress
+const toPaystackRefundStatus = (status) => {
+  if (status === "processed") return "success";
+  if (status === "failed") return "failed";
+  return "pending";
+};
+
+const paystackProvider = {
+  name: "paystack",
+  signatureHeader: "x-paystack-signature",
+
+  isConfigured() {
+    return Boolean(process.env.PAYSTACK_SECRET_KEY);
+  },
+
+  async initialize({
+    reference,
+    amount,
+    currency,
+    email,
+    callbackUrl,
+    metadata,
+  }) {
+    const data = await paystackRequest("/transaction/initialize", {
+      method: "POST",
+      body: JSON.stringify({
+        reference,
+        amount: Math.round(amount * 100),
+        currency,
+        email,
+        callback_url: callbackUrl,
+        metadata,
+      }),
+    });
+
+    return {
+      reference: data.reference,
+      authorizationUrl: data.authorization_url,
+    };
+  },
+
+  async verify(reference) {
+    const data = await paystackRequest(
+      `/transaction/verify/${encodeURIComponent(reference)}`
+    );
+    return toPaystackResult(data);
+  },
+
+  verifySignature(rawBody, headers) {
+    if (!this.isConfigured()) return false;
+    return signaturesMatch(
+      signPayload(process.env.PAYSTACK_SECRET_KEY, rawBody || ""),
+      headers[this.signatureHeader]
+    );
+  },
+
+  parseEvent(body) {
+    return { ...toPaystackResult(body.data), event: body.event };
+  },
+
+  async refund(reference, amount) {
+    const data = await paystackRequest("/refund", {
+      method: "POST",
+      body: JSON.stringify({
+        transaction: reference,
+        amount: Math.round(amount * 100),
+      }),
+    });
+
+    return {
+      id: String(data.id),
+      status: toPaystackRefundStatus(data.status),
+      amount: data.amount / 100,
+    };
+  },
+};
+
+const providers = {
+  mock: mockProvider,
+  paystack: paystackProvider,
+};
+
+// Look up a provider by name (PAYMENT_PROVIDER for new payments); null when
+// it isn't supported or its secret isn't set
+export const getPaymentProvider = (name = process.env.PAYMENT_PROVIDER) => {
+  const provider = providers[name];
+  return provider && provider.isConfigured() ? provider : null;
+};
+
+// Check the payment settings. There is no default provider, so a deploy that
+// forgets PAYMENT_PROVIDER has its payment routes disabled instead of taking
+// payments through the mock gateway.
+export const checkPaymentConfig = () => {
+  const name = process.env.PAYMENT_PROVIDER;
+
+  if (!name) {
+    throw new Error("PAYMENT_PROVIDER is not set");
+  }
+  if (!providers[name]) {
+    throw new Error(`Unknown payment provider "${name}"`);
+  }
+  if (!providers[name].isConfigured()) {
+    throw new Error(
+      name === "mock"
+        ? "The mock payment provider needs MOCK_PAYMENT_SECRET"
+        : `Payment provider "${name}" is missing its secret key`
+    );
+  }
+};
+
+// Unique reference for a new payment
+export const generatePaymentReference = () =>
+  `PE-${Date.now()}-${crypto.randomBytes(4).toString("hex").toUpperCase()}`;
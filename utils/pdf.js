@@ -0,0 +1,217 @@
+import PDFDocument from "pdfkit";
+
+const PAGE_MARGIN = 50;
+const CONTENT_WIDTH = 495; // A4 width less both margins
+
+// Render a PDF with a build callback and resolve with its bytes
+const renderPdf = (build) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: PAGE_MARGIN });
+    const chunks = [];
+
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    build(doc);
+    doc.end();
+  });
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "";
+
+// Vendor business details on the left, document title and number on the right
+const drawHeader = (doc, title, document) => {
+  const { vendor } = document.data;
+  const top = doc.y;
+
+  doc.font("Helvetica-Bold").fontSize(18).text(vendor.businessName, {
+    width: 300,
+  });
+  doc.font("Helvetica").fontSize(9);
+  [vendor.address, vendor.phone, vendor.email, vendor.website]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line, { width: 300 }));
+  if (vendor.vatNumber) {
+    doc.text(`VAT No: ${vendor.vatNumber}`, { width: 300 });
+  }
+  const leftBottom = doc.y;
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(16)
+    .text(title, PAGE_MARGIN, top, { width: CONTENT_WIDTH, align: "right" });
+  doc
+    .font("Helvetica")
+    .fontSize(9)
+    .text(`No: ${document.number}`, { width: CONTENT_WIDTH, align: "right" })
+    .text(`Date: ${formatDate(document.issuedAt)}`, {
+      width: CONTENT_WIDTH,
+      align: "right",
+    });
+
+  doc.x = PAGE_MARGIN;
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+};
+
+// Labelled block of lines, e.g. "Bill To"
+const drawBlock = (doc, label, lines) => {
+  doc.font("Helvetica-Bold").fontSize(10).text(label);
+  doc.font("Helvetica").fontSize(9);
+  lines.filter(Boolean).forEach((line) => doc.text(line));
+  doc.moveDown();
+};
+
+// Table with a header row; columns are { header, width, align }
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let height = 0;
+
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, i) => {
+      const options = { width: columns[i].width - 6, align: columns[i].align };
+      doc.text(String(cell ?? ""), x + 3, y, options);
+      height = Math.max(
+        height,
+        doc.heightOfString(String(cell ?? ""), options)
+      );
+      x += columns[i].width;
+    });
+
+    doc.y = y + height + 6;
+  };
+
+  drawRow(
+    columns.map((column) => column.header),
+    "Helvetica-Bold"
+  );
+  doc
+    .moveTo(PAGE_MARGIN, doc.y - 3)
+    .lineTo(PAGE_MARGIN + CONTENT_WIDTH, doc.y - 3)
+    .stroke();
+  rows.forEach((row) => drawRow(row, "Helvetica"));
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+};
+
+// Right-aligned label/value pairs under a table
+const drawTotals = (doc, totals) => {
+  totals.forEach(({ label, value, bold }) => {
+    const y = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    doc.text(label, PAGE_MARGIN + 245, y, { width: 130, align: "right" });
+    doc.text(value, PAGE_MARGIN + 380, y, {
+      width: 115,
+      align: "right",
+    });
+    doc.moveDown(0.3);
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+};
+
+// Render an order invoice from its stored snapshot
+export const renderInvoicePdf = (document) =>
+  renderPdf((doc) => {
+    const { customer, event, items, totals, currency } = document.data;
+
+    drawHeader(doc, "INVOICE", document);
+    drawBlock(doc, "Bill To", [customer.name, customer.email, customer.phone]);
+    drawBlock(doc, "Event", [
+      event.title,
+      event.date && `Date: ${formatDate(event.date)}`,
+      event.venue && `Venue: ${event.venue}`,
+      `Guests: ${event.guestCount}`,
+    ]);
+
+    drawTable(
+      doc,
+      [
+        { header: "Description", width: 245, align: "left" },
+        { header: "Qty", width: 50, align: "right" },
+        { header: "Unit Price", width: 100, align: "right" },
+        { header: "Amount", width: 100, align: "right" },
+      ],
+      items.map((item) => [
+        item.description,
+        item.quantity,
+        formatMoney(item.unitPrice, currency),
+        formatMoney(item.amount, currency),
+      ])
+    );
+
+    const money = (amount) => formatMoney(amount, currency);
+    drawTotals(doc, [
+      { label: "Subtotal (excl. VAT)", value: money(totals.subtotal) },
+      { label: `VAT (${totals.vatRate}%)`, value: money(totals.vat) },
+      { label: "Total", value: money(totals.total), bold: true },
+      { label: "Deposit paid", value: money(totals.depositPaid) },
+      { label: "Other payments", value: money(totals.otherPayments) },
+      { label: "Balance due", value: money(totals.balance), bold: true },
+    ]);
+
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .text(
+        "Prices include VAT. Thank you for booking with us through Plenty Events.",
+        { width: CONTENT_WIDTH, align: "center" }
+      );
+  });
+
+// Render a waiter's pay statement for a job from its stored snapshot
+export const renderPayStatementPdf = (document) =>
+  renderPdf((doc) => {
+    const { waiter, job, lines, totals, currency } = document.data;
+
+    drawHeader(doc, "PAY STATEMENT", document);
+    drawBlock(doc, "Paid To", [waiter.name, waiter.email, waiter.phone]);
+    drawBlock(doc, "Job", [
+      job.position,
+      job.event,
+      `Date: ${formatDate(job.workDate)}`,
+      `Shift: ${job.startTime} - ${job.endTime}`,
+      job.breakMinutes ? `Unpaid break: ${job.breakMinutes} minutes` : null,
+    ]);
+
+    drawTable(
+      doc,
+      [
+        { header: "Description", width: 245, align: "left" },
+        { header: "Hours", width: 50, align: "right" },
+        { header: "Rate", width: 100, align: "right" },
+        { header: "Amount", width: 100, align: "right" },
+      ],
+      lines.map((line) => [
+        line.description,
+        line.hours,
+        formatMoney(line.rate, currency),
+        formatMoney(line.amount, currency),
+      ])
+    );
+
+    drawTotals(doc, [
+      { label: "Total hours", value: String(totals.hours) },
+      {
+        label: "Total pay",
+        value: formatMoney(totals.amount, currency),
+        bold: true,
+      },
+    ]);
+  });
@@ -0,0 +1,40 @@
+// Helpers for working with phone numbers in E.164 format (+2348012345678)
+
+// Country calling code assumed for local numbers (Nigeria by default)
+const getDefaultCountryCode = () =>
+  (process.env.DEFAULT_PHONE_COUNTRY_CODE || "234").replace(/^\+/, "");
+
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+
+// Normalize a phone number to E.164, e.g. "0801 234 5678" -> "+2348012345678".
+// Returns null when the number can't be read.
+export const normalizePhone = (phone) => {
+  if (typeof phone !== "string") return null;
+
+  let digits = phone.trim().replace(/[\s\-().]/g, "");
+  const countryCode = getDefaultCountryCode();
+
+  if (digits.startsWith("+")) {
+    digits = digits.slice(1);
+  } else if (digits.startsWith("00")) {
+    digits = digits.slice(2);
+  } else if (digits.startsWith("0")) {
+    // Local number with a trunk prefix
+    digits = countryCode + digits.slice(1);
+  } else if (!digits.startsWith(countryCode) && digits.length <= 10) {
+    // Local number without the trunk prefix
+    digits = countryCode + digits;
+  }
+
+  // A trunk zero kept after the country code, e.g. +234 0801...
+  if (digits.startsWith(`${countryCode}0`)) {
+    digits = countryCode + digits.slice(countryCode.length + 1);
+  }
+
+  const normalized = `+${digits}`;
+  return E164_PATTERN.test(normalized) ? normalized : null;
+};
+
+// Phone number with the middle digits hidden, e.g. +234801****678
+export const maskPhone = (phone) =>
+  phone ? `${phone.slice(0, 7)}****${phone.slice(-3)}` : phone;
@@ -0,0 +1,188 @@
+// Helpers for working with "HH:MM" times and calendar days
+
+export const DAYS_OF_WEEK = [
+  "sunday",
+  "monday",
+  "tuesday",
+  "wednesday",
+  "thursday",
+  "friday",
+  "saturday",
+];
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Convert "HH:MM" to minutes after midnight
+export const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Convert minutes after midnight back to "HH:MM"
+export const toTimeString = (minutes) => {
+  const hours = Math.floor(minutes / 60);
+  const mins = minutes % 60;
+  return `${String(hours).padStart(2, "0")}:${String(mins).padStart(2, "0")}`;
+};
+
+// Start of the (UTC) calendar day for a date
+export const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Add whole days to a date
+export const addDays = (date, days) =>
+  new Date(new Date(date).getTime() + days * MINUTES_PER_DAY * 60 * 1000);
+
+// Check whether two dates fall on the same calendar day
+export const isSameDay = (a, b) =>
+  startOfDay(a).getTime() === startOfDay(b).getTime();
+
+// Get a start/end range in minutes, treating an end before the start as the next day
+export const getTimeRange = (startTime, endTime) => {
+  const start = toMinutes(startTime);
+  let end = toMinutes(endTime);
+
+  if (end <= start) {
+    end += MINUTES_PER_DAY;
+  }
+
+  return { start, end };
+};
+
+// Offset of event local time from UTC in minutes (EVENT_UTC_OFFSET, default +01:00 WAT)
+export const getUtcOffsetMinutes = () => {
+  const match = /^([+-])(\d{1,2}):?(\d{2})?$/.exec(
+    process.env.EVENT_UTC_OFFSET || "+01:00"
+  );
+  if (!match) return 60;
+
+  const minutes = Number(match[2]) * 60 + Number(match[3] || 0);
+  return match[1] === "-" ? -minutes : minutes;
+};
+
+// Timestamp of midnight, event local time, at the start of a calendar day
+export const getLocalDayStart = (date) =>
+  startOfDay(date).getTime() - getUtcOffsetMinutes() * 60 * 1000;
+
+// Get the real start/end datetimes of a shift starting on a given date. A
+// multi-day shift runs from startTime to endTime on each day from date through
+// endDate, so it ends with the last day's shift. A shift ending at or before
+// its start time rolls over to the following day.
+export const getShiftTimes = (date, startTime, endTime, endDate) => {
+  const days = getDailyRanges(date, startTime, endTime, endDate);
+
+  return {
+    startsAt: new Date(days[0].start),
+    endsAt: new Date(days[days.length - 1].end),
+  };
+};
+
+// Get absolute start/end timestamps for a shift starting on a given date,
+// from the first day's start to the last day's end
+export const getDateTimeRange = (date, startTime, endTime, endDate) => {
+  const { startsAt, endsAt } = getShiftTimes(date, startTime, endTime, endDate);
+
+  return {
+    start: startsAt.getTime(),
+    end: endsAt.getTime(),
+  };
+};
+
+// Get the start/end timestamps of each day's shift, one per day from date
+// through endDate (just date when there is no later end date)
+export const getDailyRanges = (date, startTime, endTime, endDate) => {
+  const { start, end } = getTimeRange(startTime, endTime);
+  const firstDay = startOfDay(date);
+  const lastDay =
+    endDate && startOfDay(endDate) > firstDay ? startOfDay(endDate) : firstDay;
+  const ranges = [];
+
+  for (let day = firstDay; day <= lastDay; day = addDays(day, 1)) {
+    const dayStart = getLocalDayStart(day);
+    ranges.push({
+      start: dayStart + start * 60 * 1000,
+      end: dayStart + end * 60 * 1000,
+    });
+  }
+
+  return ranges;
+};
+
+// Fixed-date public holidays (MM-DD), extendable with PUBLIC_HOLIDAYS=YYYY-MM-DD,...
+const FIXED_HOLIDAYS = ["01-01", "05-01", "06-12", "10-01", "12-25", "12-26"];
+
+export const isPublicHoliday = (date) => {
+  const isoDate = startOfDay(date).toISOString().slice(0, 10);
+  const extraHolidays = (process.env.PUBLIC_HOLIDAYS || "")
+    .split(",")
+    .map((holiday) => holiday.trim())
+    .filter(Boolean);
+
+  return (
+    FIXED_HOLIDAYS.includes(isoDate.slice(5)) || extraHolidays.includes(isoDate)
+  );
+};
+
+// Check whether two ranges overlap
+export const rangesOverlap = (a, b) => a.start < b.end && b.start < a.end;
+
+// Highest number of ranges running at the same time within a window
+export const maxConcurrent = (ranges, window) => {
+  const points = [window.start];
+  ranges.forEach((range) => {
+    if (range.start > window.start && range.start < window.end) {
+      points.push(range.start);
+    }
+  });
+
+  return points.reduce((max, point) => {
+    const running = ranges.filter(
+      (range) => range.start <= point && point < range.end
+    ).length;
+    return Math.max(max, running);
+  }, 0);
+};
+
+// Split a window into free and busy slots given booked ranges and a capacity
+export const getSlots = (window, ranges, capacity) => {
+  const boundaries = new Set([window.start, window.end]);
+  ranges.forEach((range) => {
+    [range.start, range.end].forEach((point) => {
+      if (point > window.start && point < window.end) {
+        boundaries.add(point);
+      }
+    });
+  });
+
+  const points = [...boundaries].sort((a, b) => a - b);
+  const slots = { free: [], busy: [] };
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const segment = { start: points[i], end: points[i + 1] };
+    const running = ranges.filter((range) =>
+      rangesOverlap(range, segment)
+    ).length;
+    const list = running >= capacity ? slots.busy : slots.free;
+    const last = list[list.length - 1];
+
+    // Merge with the previous slot when they are adjacent
+    if (last && last.end === segment.start) {
+      last.end = segment.end;
+    } else {
+      list.push(segment);
+    }
+  }
+
+  const format = (slot) => ({
+    startTime: toTimeString(slot.start % MINUTES_PER_DAY),
+    endTime: toTimeString(slot.end % MINUTES_PER_DAY),
+  });
+
+  return {
+    free: slots.free.map(format),
+    busy: slots.busy.map(format),
+  };
+};
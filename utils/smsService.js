@@ -0,0 +1,130 @@
+import fs from "fs/promises";
+import path from "path";
+
+// SMS providers share one interface:
+//   send({ to, message }) -> { id }
+// where "to" is an E.164 phone number. SMS_PROVIDER picks the provider:
+// "console" and "file" are for local development, "termii" sends real
+// messages. Outside production it defaults to "console"; in production it
+// must be set, so verification codes are never just written to the log.
+
+// Console provider - prints messages to the server log
+const consoleProvider = {
+  name: "console",
+
+  async send({ to, message }) {
+    console.log(`📱 SMS to ${to}: ${message}`);
+    return { id: `console-${Date.now()}` };
+  },
+};
+
+// File provider - appends messages as JSON lines to SMS_FILE_PATH so tests
+// and local tools can read them
+const fileProvider = {
+  name: "file",
+
+  async send({ to, message }) {
+    const id = `file-${Date.now()}`;
+    const filePath = path.resolve(
+      process.env.SMS_FILE_PATH || "sms-outbox.log"
+    );
+
+    await fs.appendFile(
+      filePath,
+      `${JSON.stringify({ id, to, message, sentAt: new Date() })}\n`
+    );
+    return { id };
+  },
+};
+
+// Termii provider (Nigerian SMS gateway)
+const TERMII_API_URL = "https://api.ng.termii.com/api";
+
+const termiiProvider = {
+  name: "termii",
+
+  async send({ to, message }) {
+    const response = await fetch(`${TERMII_API_URL}/sms/send`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        api_key: process.env.TERMII_API_KEY,
+        to: to.replace(/^\+/, ""),
+        from: process.env.TERMII_SENDER_ID || "PlentyEvts",
+        sms: message,
+        type: "plain",
+        channel: process.env.TERMII_CHANNEL || "generic",
+      }),
+    });
+    const body = await response.json();
+
+    if (!response.ok || !body.message_id) {
+      throw new Error(body.message || "SMS provider request failed");
+    }
+    return { id: body.message_id };
+  },
+};
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+  termii: termiiProvider,
+};
+
+// Providers that don't deliver messages, only keep them locally
+const DEVELOPMENT_PROVIDERS = ["console", "file"];
+
+// Provider used for outgoing messages (SMS_PROVIDER)
+export const getSmsProvider = () => {
+  const name =
+    process.env.SMS_PROVIDER ||
+    (process.env.NODE_ENV === "production" ? null : "console");
+
+  if (!name) {
+    throw new Error("SMS_PROVIDER is not set");
+  }
+
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown SMS provider "${name}"`);
+  }
+  return provider;
+};
+
+// Provider name, throwing when texts can't be sent with the current settings
+const getConfiguredProvider = () => {
+  const { name } = getSmsProvider();
+
+  if (name === "termii" && !process.env.TERMII_API_KEY) {
+    throw new Error("The termii SMS provider needs TERMII_API_KEY");
+  }
+  return name;
+};
+
+// Check whether texts can be sent with the current settings
+export const isSmsConfigured = () => {
+  try {
+    getConfiguredProvider();
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Check the SMS settings at startup, so a production deploy that forgets
+// SMS_PROVIDER is reported instead of printing verification codes to the log
+export const checkSmsConfig = () => {
+  const name = getConfiguredProvider();
+
+  if (
+    process.env.NODE_ENV === "production" &&
+    DEVELOPMENT_PROVIDERS.includes(name)
+  ) {
+    console.log(
+      `⚠️ SMS provider "${name}" does not deliver messages; verification codes are only kept locally`
+    );
+  }
+};
+
+// Send a text message with the configured provider
+export const sendSms = (to, message) => getSmsProvider().send({ to, message });
@@ -0,0 +1,78 @@
+// Soft deletion for mongoose schemas. Deleted documents keep their data and
+// stay referenced by orders, jobs and ratings, but queries leave them out
+// unless asked otherwise:
+//
+//   Model.find().withDeleted()   // everything
+//   Model.find().onlyDeleted()   // deleted documents only
+//   Model.aggregate(pipeline).option({ withDeleted: true })
+//
+// References to these models load deleted documents too, so history still
+// shows who it belonged to. Each reference path sets that as its default
+// populate option:
+//
+//   user: { type: mongoose.Schema.ObjectId, ref: "User", populate: { withDeleted: true } }
+//
+// Updates and deletes (updateOne, updateMany, deleteOne, ...) are not filtered.
+import mongoose from "mongoose";
+
+const FILTERED_QUERIES = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "countDocuments",
+];
+
+export const softDeletePlugin = (schema) => {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true,
+    },
+    deletedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      populate: { withDeleted: true },
+    },
+  });
+
+  schema.query.withDeleted = function () {
+    return this.setOptions({ withDeleted: true });
+  };
+
+  schema.query.onlyDeleted = function () {
+    return this.setOptions({ withDeleted: true }).where({
+      deletedAt: { $ne: null },
+    });
+  };
+
+  // Queries that already filter on deletedAt are left as they are
+  schema.pre(FILTERED_QUERIES, function (next) {
+    if (!this.getOptions().withDeleted && !("deletedAt" in this.getFilter())) {
+      this.where({ deletedAt: null });
+    }
+    next();
+  });
+
+  // $geoNear has to stay the first stage of a pipeline
+  schema.pre("aggregate", function (next) {
+    if (!this.options.withDeleted) {
+      const pipeline = this.pipeline();
+      const index = pipeline[0]?.$geoNear ? 1 : 0;
+      pipeline.splice(index, 0, { $match: { deletedAt: null } });
+    }
+    next();
+  });
+
+  schema.methods.softDelete = function (deletedBy) {
+    this.deletedAt = Date.now();
+    this.deletedBy = deletedBy;
+    return this.save({ validateBeforeSave: false });
+  };
+
+  schema.methods.restore = function () {
+    this.deletedAt = null;
+    this.deletedBy = undefined;
+    return this.save({ validateBeforeSave: false });
+  };
+};